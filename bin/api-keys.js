@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Admin CLI for payment API keys. Talks to the running service through the admin API, so keys take
+ * effect immediately whatever the storage driver.
+ *
+ *   npm run api-keys -- issue <name> [--merchant <merchantId>] [--also <merchantId,...>]
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <keyId>
+ *
+ * Uses ADMIN_API_KEY and reaches the service at API_BASE_URL (default http://localhost:$PORT).
+ */
+const axios = require('axios');
+const config = require('../config');
+
+const USAGE = `Usage:
+  api-keys issue <name> [--merchant <merchantId>] [--also <merchantId,...>]
+  api-keys list
+  api-keys revoke <keyId>`;
+
+const client = axios.create({
+  baseURL: `${process.env.API_BASE_URL || `http://localhost:${config.server.port}`}/api/admin`,
+  headers: { 'X-Admin-Key': config.security.adminApiKey },
+  timeout: 10000
+});
+
+/**
+ * Print one key as a table row
+ * @param {Object} apiKey - Key description from the admin API
+ */
+const printKey = (apiKey) => {
+  const state = apiKey.active ? 'active' : `revoked ${apiKey.revokedAt}`;
+  console.log([
+    apiKey.id,
+    apiKey.name,
+    [apiKey.merchantId, ...(apiKey.merchantIds || [])].filter(Boolean).join(',') || '-',
+    `created ${apiKey.createdAt}`,
+    `last used ${apiKey.lastUsedAt || 'never'}`,
+    state
+  ].join('  '));
+};
+
+const commands = {
+  issue: async ([name, ...options]) => {
+    if (!name) {
+      throw new Error('issue needs a name');
+    }
+    const merchantIndex = options.indexOf('--merchant');
+    const merchantId = merchantIndex >= 0 ? options[merchantIndex + 1] : undefined;
+    const alsoIndex = options.indexOf('--also');
+    const merchantIds = alsoIndex >= 0 ? String(options[alsoIndex + 1] || '').split(',').filter(Boolean) : undefined;
+
+    const { data } = await client.post('/api-keys', { name, merchantId, merchantIds });
+    printKey(data.data);
+    console.log(`\nAPI key (shown only once, store it now):\n${data.data.key}`);
+  },
+
+  list: async () => {
+    const { data } = await client.get('/api-keys');
+    if (data.data.length === 0) {
+      console.log('No API keys issued');
+    }
+    data.data.forEach(printKey);
+  },
+
+  revoke: async ([id]) => {
+    if (!id) {
+      throw new Error('revoke needs a key ID');
+    }
+    const { data } = await client.delete(`/api-keys/${encodeURIComponent(id)}`);
+    printKey(data.data);
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (!config.security.adminApiKey) {
+    console.error('❌ ADMIN_API_KEY is not configured');
+    process.exit(1);
+  }
+
+  try {
+    await commands[command](args);
+  } catch (error) {
+    const message = error.response && error.response.data
+      ? error.response.data.message || JSON.stringify(error.response.data)
+      : error.message;
+    console.error(`❌ ${message}`);
+    process.exit(1);
+  }
+};
+
+main();
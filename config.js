@@ -1,4 +1,35 @@
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Parse a JSON value from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {*} fallback - Value used when the variable is missing or invalid
+ * @returns {*} Parsed value or fallback
+ */
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`❌ Invalid JSON in ${name}, using default value:`, error.message);
+    return fallback;
+  }
+};
+
+/**
+ * Parse an Express "trust proxy" value: true/false, a hop count, or addresses/subnets/names
+ * @param {string} value - Raw value
+ * @returns {boolean|number|string} Express setting
+ */
+const parseTrustProxy = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
 
 module.exports = {
   // PayID19 API Configuration
@@ -11,7 +42,9 @@ module.exports = {
   // Server Configuration
   server: {
     port: process.env.PORT || 3000,
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv: process.env.NODE_ENV || 'development',
+    // Express "trust proxy" setting: whose X-Forwarded-For is believed for the client IP (nginx runs on loopback)
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY || 'loopback')
   },
 
   // Domain Configuration
@@ -19,15 +52,184 @@ module.exports = {
     url: process.env.DOMAIN_URL || 'https://coin-payment.m-gh.com'
   },
 
+  // Merchants (tenants) served by this deployment, each optionally with its own PayID19 account, domain,
+  // default return URLs, downstream webhook, branding and allowed return URL origins (see utils/merchants.js)
+  // MERCHANTS: {"shop-eu": {"name": "EU Shop", "payid19": {"publicKey": "...", "privateKey": "..."},
+  //   "domainUrl": "https://pay.eu.example.com", "successUrl": "https://eu.example.com/thanks",
+  //   "cancelUrl": "https://eu.example.com/cart", "webhook": {"url": "https://...", "secret": "..."},
+  //   "branding": {"name": "EU Shop", "primaryColor": "#0055aa"}, "returnUrlOrigins": ["https://eu.example.com"]}}
+  merchants: parseJsonEnv('MERCHANTS', {}),
+
+  // Payment providers
+  // MERCHANT_PROVIDERS: {"shop-eu": "payid19"} picks the provider by X-Merchant-Id
+  providers: {
+    default: (process.env.PAYMENT_PROVIDER || 'payid19').toLowerCase(),
+    merchants: parseJsonEnv('MERCHANT_PROVIDERS', {})
+  },
+
+  // Return URLs (successUrl/cancelUrl) may only point to these origins; the service's own domain is always allowed
+  // RETURN_URL_ORIGINS: {"default": ["https://shop.example.com"], "shop-eu": ["https://eu.shop.example.com"]}
+  redirects: {
+    allowedOrigins: parseJsonEnv('RETURN_URL_ORIGINS', {}),
+    // HMAC secret for the return_url signature on success/cancel pages; a dedicated secret, without it return URLs aren't followed
+    signingSecret: process.env.RETURN_URL_SECRET || ''
+  },
+
   // Callback URLs
   callbacks: {
     callback: process.env.CALLBACK_URL || '/api/payment/callback',
     success: process.env.SUCCESS_URL || '/payment/success',
-    cancel: process.env.CANCEL_URL || '/payment/cancel'
+    cancel: process.env.CANCEL_URL || '/payment/cancel',
+    failure: process.env.FAILURE_URL || '/payment/failure'
+  },
+
+  // Success/cancel/failure pages
+  // MERCHANT_BRANDING: {"default": {"name": "My Shop", "logoUrl": "https://...", "primaryColor": "#28a745",
+  //   "supportUrl": "https://...", "locale": "en"}, "shop-eu": {...}}
+  pages: {
+    defaultLocale: process.env.DEFAULT_LOCALE || 'en',
+    branding: parseJsonEnv('MERCHANT_BRANDING', {})
+  },
+
+  // Hosted checkout page (/checkout/:invoiceId)
+  checkout: {
+    pollIntervalSeconds: parseInt(process.env.CHECKOUT_POLL_INTERVAL_SECONDS, 10) || 5
+  },
+
+  // Server-Sent Events stream of invoice status changes (/api/payment/invoices/:invoiceId/events)
+  events: {
+    heartbeatSeconds: parseInt(process.env.SSE_HEARTBEAT_SECONDS, 10) || 15,
+    maxClientsPerInvoice: parseInt(process.env.SSE_MAX_CLIENTS_PER_INVOICE, 10) || 20
+  },
+
+  // Downstream webhook subscribers notified for every verified PayID19 callback
+  // WEBHOOK_SUBSCRIBERS: [{"id": "shop", "url": "https://...", "secret": "...", "events": ["finished"]}]
+  // Without it, WEBHOOK_FORWARD_URL (if set) is the only subscriber
+  webhooks: {
+    subscribers: parseJsonEnv('WEBHOOK_SUBSCRIBERS', process.env.WEBHOOK_FORWARD_URL
+      ? [{
+        id: 'default',
+        url: process.env.WEBHOOK_FORWARD_URL,
+        secret: process.env.WEBHOOK_FORWARD_SECRET || '',
+        events: ['*']
+      }]
+      : []),
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // How long a processed callback is remembered for duplicate detection
+    dedupeTtlSeconds: parseInt(process.env.WEBHOOK_DEDUPE_TTL_SECONDS, 10) || 7 * 24 * 60 * 60,
+    // Fallback HMAC secret for subscribers without their own secret
+    signingSecret: process.env.WEBHOOK_SIGNING_SECRET || '',
+    // Outbox delivery retries (exponential backoff with jitter, then dead-letter)
+    retry: {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+      baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 5000,
+      maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 60 * 60 * 1000,
+      pollIntervalMs: parseInt(process.env.WEBHOOK_QUEUE_POLL_INTERVAL_MS, 10) || 5000
+    }
+  },
+
+  // Invoice lifetime and local expiry
+  invoices: {
+    // Passed upstream where the provider supports it (PayID19: expiration_date, in hours)
+    lifetimeHours: parseInt(process.env.INVOICE_LIFETIME_HOURS, 10) || 24,
+    expiryCheckIntervalSeconds: parseInt(process.env.INVOICE_EXPIRY_CHECK_INTERVAL_SECONDS, 10) || 60,
+    // Extra time after expires_at before a waiting invoice is expired locally, for clock skew
+    expiryGraceSeconds: parseInt(process.env.INVOICE_EXPIRY_GRACE_SECONDS, 10) || 120
+  },
+
+  // Background reconciliation of invoices whose callback may have been lost
+  reconciliation: {
+    enabled: process.env.RECONCILIATION_ENABLED !== 'false',
+    intervalSeconds: parseInt(process.env.RECONCILIATION_INTERVAL_SECONDS, 10) || 5 * 60,
+    // Invoices updated more recently than this are left to their webhook
+    staleAfterSeconds: parseInt(process.env.RECONCILIATION_STALE_AFTER_SECONDS, 10) || 10 * 60,
+    concurrency: parseInt(process.env.RECONCILIATION_CONCURRENCY, 10) || 3,
+    batchSize: parseInt(process.env.RECONCILIATION_BATCH_SIZE, 10) || 100,
+    reportsToKeep: parseInt(process.env.RECONCILIATION_REPORTS_TO_KEEP, 10) || 50
+  },
+
+  // Underpayment / overpayment policy
+  // PAYMENT_TOLERANCE: {"default": {"percent": 5}, "BTC": {"absolute": 0.00001}}
+  payments: {
+    tolerance: parseJsonEnv('PAYMENT_TOLERANCE', {
+      default: { percent: 5 }
+    })
+  },
+
+  // Currencies accepted in request bodies and their decimal precision; the supported-currencies
+  // cache additionally validates priceCurrency against the gateway's own list on invoice creation
+  // CURRENCY_DECIMALS: {"USD": 2, "BTC": 8} replaces the whitelist below
+  currencies: {
+    cacheTtlSeconds: parseInt(process.env.CURRENCIES_CACHE_TTL_SECONDS, 10) || 60 * 60,
+    decimals: parseJsonEnv('CURRENCY_DECIMALS', {
+      USD: 2, EUR: 2, GBP: 2, CHF: 2, CAD: 2, AUD: 2, TRY: 2, RUB: 2, INR: 2, BRL: 2, JPY: 0,
+      BTC: 8, LTC: 8, BCH: 8, DOGE: 8, DASH: 8, ETH: 18, BNB: 18, TRX: 6, USDT: 6, USDC: 6, XRP: 6
+    })
+  },
+
+  // Token-bucket rate limits: each bucket holds `burst` requests and refills at `perMinute` requests a minute
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // memory (per process) or redis (shared between instances)
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    // How long a Redis call may take before the request is let through
+    redisTimeoutMs: parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS, 10) || 500,
+    // Invoice creation (create-invoice and top-ups), which calls the gateway
+    invoicePerApiKey: {
+      burst: parseInt(process.env.RATE_LIMIT_INVOICE_KEY_BURST, 10) || 20,
+      perMinute: parseInt(process.env.RATE_LIMIT_INVOICE_KEY_PER_MINUTE, 10) || 60
+    },
+    invoicePerIp: {
+      burst: parseInt(process.env.RATE_LIMIT_INVOICE_IP_BURST, 10) || 10,
+      perMinute: parseInt(process.env.RATE_LIMIT_INVOICE_IP_PER_MINUTE, 10) || 30
+    },
+    webhookPerIp: {
+      burst: parseInt(process.env.RATE_LIMIT_WEBHOOK_IP_BURST, 10) || 60,
+      perMinute: parseInt(process.env.RATE_LIMIT_WEBHOOK_IP_PER_MINUTE, 10) || 300
+    },
+    // Sources sending this many callbacks with a wrong private key within the window are blocked for a while
+    webhookAuthFailures: {
+      maxFailures: parseInt(process.env.WEBHOOK_AUTH_MAX_FAILURES, 10) || 5,
+      windowSeconds: parseInt(process.env.WEBHOOK_AUTH_FAILURE_WINDOW_SECONDS, 10) || 10 * 60,
+      blockSeconds: parseInt(process.env.WEBHOOK_AUTH_BLOCK_SECONDS, 10) || 15 * 60
+    }
+  },
+
+  // Idempotency-Key handling on invoice creation
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 24 * 60 * 60
+  },
+
+  // Storage
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'file',
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
   },
 
   // Security
   security: {
-    apiSecret: process.env.API_SECRET || 'your_api_secret_for_webhook_verification'
+    apiSecret: process.env.API_SECRET || 'your_api_secret_for_webhook_verification',
+    // Credential for the /api/admin endpoints; the admin API is disabled when empty
+    adminApiKey: process.env.ADMIN_API_KEY || '',
+    // Require an API key on invoice creation and lookup (keys are hashed with apiSecret)
+    apiKeysRequired: process.env.API_KEYS_REQUIRED !== 'false',
+    // Addresses and CIDR ranges allowed to send gateway callbacks (comma separated); empty allows any source.
+    // Matched against the client IP, which only comes from X-Forwarded-For when set by a trusted proxy (TRUST_PROXY)
+    webhookAllowedIps: (process.env.WEBHOOK_ALLOWED_IPS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    // How gateway callbacks are authenticated: privatekey (key in the body), hmac (signature header) or both
+    webhookVerificationMode: (process.env.WEBHOOK_VERIFICATION_MODE || 'privatekey').toLowerCase(),
+    // Header carrying the HMAC-SHA256 signature of the callback body in hmac mode
+    webhookSignatureHeader: process.env.WEBHOOK_SIGNATURE_HEADER || 'X-Signature',
+    // Header carrying the signed send time (Unix seconds) in hmac mode
+    webhookTimestampHeader: process.env.WEBHOOK_TIMESTAMP_HEADER || 'X-Signature-Timestamp',
+    // Callbacks issued longer ago than this are rejected as replays (0 disables the check)
+    webhookReplayWindowSeconds: process.env.WEBHOOK_REPLAY_WINDOW_SECONDS !== undefined
+      ? parseInt(process.env.WEBHOOK_REPLAY_WINDOW_SECONDS, 10) || 0
+      : 24 * 60 * 60,
+    // Tolerated clock difference for callbacks dated in the future
+    webhookClockSkewSeconds: parseInt(process.env.WEBHOOK_CLOCK_SKEW_SECONDS, 10) || 5 * 60,
+    // Reject callbacks that carry no timestamp at all instead of accepting them
+    webhookRequireTimestamp: process.env.WEBHOOK_REQUIRE_TIMESTAMP === 'true'
   }
 };
@@ -0,0 +1,49 @@
+const config = require('../config');
+const { secretsMatch } = require('../utils/signature');
+
+/**
+ * Extract the admin credential from the request headers
+ * Accepts either `X-Admin-Key: <key>` or `Authorization: Bearer <key>`
+ * @param {Object} req - Express request
+ * @returns {string|null} Presented credential or null
+ */
+const getPresentedKey = (req) => {
+  if (req.headers['x-admin-key']) {
+    return req.headers['x-admin-key'];
+  }
+
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Protect admin routes with the ADMIN_API_KEY credential
+ */
+const adminAuth = (req, res, next) => {
+  const adminApiKey = config.security.adminApiKey;
+
+  if (!adminApiKey) {
+    console.error('❌ Admin API called but ADMIN_API_KEY is not configured');
+    return res.status(503).json({
+      error: 'Admin API Disabled',
+      message: 'ADMIN_API_KEY is not configured'
+    });
+  }
+
+  const presentedKey = getPresentedKey(req);
+  if (!presentedKey || !secretsMatch(presentedKey, adminApiKey)) {
+    console.error('❌ Admin API authentication failed:', {
+      path: req.originalUrl,
+      ipAddress: req.ip
+    });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin credential is required'
+    });
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
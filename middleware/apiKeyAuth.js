@@ -0,0 +1,52 @@
+const config = require('../config');
+const ApiKeyStore = require('../services/ApiKeyStore');
+
+/**
+ * Extract the API key from the request headers
+ * Accepts `Authorization: Bearer <key>`
+ * @param {Object} req - Express request
+ * @returns {string|null} Presented key or null
+ */
+const getPresentedKey = (req) => {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Protect payment API routes with client API keys.
+ * The authenticated key is exposed as `req.apiClient` (id, name, merchantId) so routes can scope
+ * what the client sees to the invoices it created. Passes every request through when
+ * API_KEYS_REQUIRED is false.
+ */
+const apiKeyAuth = async (req, res, next) => {
+  if (!config.security.apiKeysRequired) {
+    return next();
+  }
+
+  try {
+    const apiClient = await new ApiKeyStore().authenticate(getPresentedKey(req));
+    if (!apiClient) {
+      console.error('❌ API key authentication failed:', {
+        path: req.originalUrl,
+        ipAddress: req.ip
+      });
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+        error: 'Unauthorized',
+        message: 'A valid API key is required'
+      });
+    }
+
+    req.apiClient = apiClient;
+    next();
+  } catch (error) {
+    console.error('💥 Error authenticating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to authenticate API key'
+    });
+  }
+};
+
+module.exports = apiKeyAuth;
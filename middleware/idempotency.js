@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { getStorage, TtlStore } = require('../storage');
+const { canonicalize } = require('../utils/signature');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+// A claim only has to outlive the request holding it, so a request that never answers can't lock its key for long
+const IN_PROGRESS_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Fingerprint a request body so a reused key with a different body can be detected
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 of the canonical body
+ */
+const fingerprintBody = (body) => {
+  return crypto.createHash('sha256').update(canonicalize(body || {})).digest('hex');
+};
+
+/**
+ * Honor the Idempotency-Key header on a route.
+ * The key is claimed atomically before the request is processed, so of two concurrent requests only one runs.
+ * The first request with a key is processed and its response cached; a repeat with the same key and body
+ * gets the cached response back, a repeat with a different body (or while the first is still running) gets 409.
+ * The outcome is stored as soon as the handler answers, even if the client has already dropped the connection,
+ * so a client retrying after a timeout gets the response it missed instead of a 409.
+ * By default only successful (2xx) responses are cached; after a failure the client can retry with the same key.
+ * Routes whose failures may hide an effect upstream (a payout that timed out may still go through) set
+ * cacheFailures, so every outcome is replayed and a retry with the same key never runs the request again.
+ * @param {Object} options - Middleware options
+ * @param {Object} options.store - Store with async get/add/set/delete (defaults to a TTL store on the configured storage)
+ * @param {number} options.ttlSeconds - How long responses are cached
+ * @param {boolean} options.cacheFailures - Cache error responses too instead of releasing the key
+ * @returns {Function} Express middleware
+ */
+const idempotency = ({
+  store = null,
+  ttlSeconds = config.idempotency.ttlSeconds,
+  cacheFailures = false
+} = {}) => {
+  const responses = store || new TtlStore(getStorage(), 'idempotency_keys', ttlSeconds * 1000);
+
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    try {
+      // Keys are per API client, so two clients can't collide on (or replay) each other's keys
+      const client = req.apiClient ? req.apiClient.id : '';
+      const storeKey = `${client}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+      const fingerprint = fingerprintBody(req.body);
+      const { added, value: existing } = await responses.add(storeKey, { state: 'in_progress', fingerprint }, IN_PROGRESS_TTL_MS);
+
+      if (!added) {
+        if (existing.fingerprint !== fingerprint) {
+          console.warn(`⚠️ ${HEADER} ${key} reused with a different request body`);
+          return res.status(409).json({
+            error: 'Conflict',
+            message: `${HEADER} has already been used with a different request body`
+          });
+        }
+
+        if (existing.state === 'in_progress') {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: `A request with this ${HEADER} is still being processed`
+          });
+        }
+
+        console.log(`♻️ Replaying cached response for ${HEADER} ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      let settled = false;
+      const settle = (responseBody) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const stored = !(succeeded || cacheFailures) || responseBody === undefined
+          ? responses.delete(storeKey)
+          : responses.set(storeKey, {
+            state: 'completed',
+            fingerprint,
+            statusCode: res.statusCode,
+            body: responseBody
+          });
+
+        stored.catch(error => {
+          console.error(`💥 Failed to store response for ${HEADER} ${key}:`, error);
+        });
+      };
+
+      // Capture the response body so it can be replayed later
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        const result = originalJson(body);
+        settle(body);
+        return result;
+      };
+
+      // 'finish' never fires when the client hangs up, so settle on 'close'. A handler still running at that
+      // point keeps the claim and settles it when it answers; if it never does, the claim expires.
+      res.on('close', () => {
+        if (res.writableFinished) {
+          settle(undefined);
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = idempotency;
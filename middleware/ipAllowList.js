@@ -0,0 +1,34 @@
+const { createAllowList } = require('../utils/ipAllowList');
+
+/**
+ * Only let requests from allowed source addresses through.
+ * The source is req.ip, so X-Forwarded-For is only believed when it was set by a trusted proxy
+ * (TRUST_PROXY); an empty list lets every source through.
+ * @param {Array<string>} entries - Allowed addresses and CIDR ranges
+ * @param {string} name - What the list protects, for logs
+ * @returns {Function} Express middleware
+ */
+const ipAllowList = (entries, name) => {
+  const allowList = createAllowList(entries);
+
+  if (allowList.size > 0) {
+    console.log(`🛡️ ${name} restricted to ${allowList.entries.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (allowList.allows(req.ip)) {
+      return next();
+    }
+
+    console.warn(`🚫 ${name} request from ${req.ip} rejected: source not allowed`, {
+      path: req.originalUrl,
+      forwardedFor: req.headers['x-forwarded-for'] || null
+    });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Requests from this address are not allowed'
+    });
+  };
+};
+
+module.exports = ipAllowList;
@@ -0,0 +1,66 @@
+const RateLimiter = require('../services/RateLimiter');
+
+/**
+ * Who a request is counted for, per scope
+ */
+const SCOPES = {
+  ip: (req) => req.ip,
+  apiKey: (req) => (req.apiClient ? req.apiClient.id : null)
+};
+
+/**
+ * Send the RateLimit-* headers (IETF draft) of a rate limit result
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of RateLimiter.consume
+ */
+const setRateLimitHeaders = (res, result) => {
+  res.set({
+    'RateLimit-Policy': result.policy,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds)
+  });
+};
+
+/**
+ * Apply token-bucket rate limits to a route.
+ * Every listed bucket is charged; the headers describe the bucket closest to its limit, and the
+ * request gets 429 with Retry-After when any bucket is empty. Mount after apiKeyAuth for apiKey limits.
+ * @param {string} name - Bucket family, e.g. invoice
+ * @param {Object} limits - Policies `{ burst, perMinute }` keyed by scope (ip, apiKey)
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (name, limits) => async (req, res, next) => {
+  const rateLimiter = new RateLimiter();
+  const results = [];
+
+  for (const [scope, policy] of Object.entries(limits)) {
+    const key = SCOPES[scope](req);
+    if (key) {
+      results.push({ scope, ...(await rateLimiter.consume(`${name}:${scope}`, key, policy)) });
+    }
+  }
+
+  if (results.length === 0) {
+    return next();
+  }
+
+  const denied = results.filter(result => !result.allowed);
+  const reported = denied.length > 0
+    ? denied.reduce((a, b) => (b.retryAfterSeconds > a.retryAfterSeconds ? b : a))
+    : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  setRateLimitHeaders(res, reported);
+
+  if (denied.length > 0) {
+    console.warn(`🚦 Rate limit ${name}:${reported.scope} exceeded for ${SCOPES[reported.scope](req)} on ${req.originalUrl}`);
+    return res.status(429).set('Retry-After', String(reported.retryAfterSeconds)).json({
+      error: 'Too Many Requests',
+      message: `Rate limit exceeded, retry in ${reported.retryAfterSeconds}s`
+    });
+  }
+
+  next();
+};
+
+module.exports = rateLimit;
+module.exports.setRateLimitHeaders = setRateLimitHeaders;
@@ -0,0 +1,25 @@
+const { validateSchema, validationErrorResponse } = require('../utils/validation');
+
+/**
+ * Validate the request body and/or query against declarative schemas.
+ * Every field error is reported at once as `errors: [{ field, code, message }]` with status 400.
+ * @param {Object} schemas - Schemas to apply
+ * @param {Object} schemas.body - Schema for req.body (optional)
+ * @param {Object} schemas.query - Schema for req.query (optional)
+ * @returns {Function} Express middleware
+ */
+const validate = ({ body = null, query = null } = {}) => (req, res, next) => {
+  const errors = [
+    ...(body ? validateSchema(body, req.body) : []),
+    ...(query ? validateSchema(query, req.query) : [])
+  ];
+
+  if (errors.length > 0) {
+    console.error(`❌ Validation failed for ${req.method} ${req.originalUrl}:`, errors.map(error => error.field));
+    return res.status(400).json(validationErrorResponse(errors));
+  }
+
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,350 @@
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+const WebhookSubscriberRegistry = require('../services/WebhookSubscriberRegistry');
+const WebhookQueue = require('../services/WebhookQueue');
+const InvoiceReconciler = require('../services/InvoiceReconciler');
+const InvoiceStore = require('../services/InvoiceStore');
+const ApiKeyStore = require('../services/ApiKeyStore');
+const validate = require('../middleware/validate');
+const {
+  subscriberSchema,
+  deliveriesQuerySchema,
+  reconciliationReportsQuerySchema,
+  invoiceReviewSchema,
+  apiKeySchema
+} = require('../utils/schemas');
+
+const router = express.Router();
+const subscriberRegistry = new WebhookSubscriberRegistry();
+const webhookQueue = new WebhookQueue();
+const invoiceReconciler = new InvoiceReconciler();
+const invoiceStore = new InvoiceStore();
+const apiKeyStore = new ApiKeyStore();
+
+// Every admin endpoint requires the admin credential
+router.use(adminAuth);
+
+/**
+ * List downstream webhook subscribers
+ * GET /api/admin/subscribers
+ */
+router.get('/subscribers', async (req, res) => {
+  try {
+    const subscribers = await subscriberRegistry.list();
+    res.json({
+      success: true,
+      data: subscribers.map(subscriber => subscriberRegistry.mask(subscriber))
+    });
+  } catch (error) {
+    console.error('💥 Error listing webhook subscribers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list webhook subscribers'
+    });
+  }
+});
+
+/**
+ * Register a downstream webhook subscriber
+ * POST /api/admin/subscribers
+ */
+router.post('/subscribers', validate({ body: subscriberSchema }), async (req, res) => {
+  try {
+    const { url, secret, events, description, enabled, merchantId } = req.body;
+
+    // Notifications are never sent unsigned, so a subscriber without any secret would never receive one
+    if (!subscriberRegistry.hasSigningSecret({ secret })) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'secret is required when WEBHOOK_SIGNING_SECRET is not set'
+      });
+    }
+
+    const subscriber = await subscriberRegistry.add({ url, secret, events, description, enabled, merchantId });
+    res.status(201).json({
+      success: true,
+      data: subscriberRegistry.mask(subscriber)
+    });
+  } catch (error) {
+    console.error('💥 Error registering webhook subscriber:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to register webhook subscriber'
+    });
+  }
+});
+
+/**
+ * Remove a downstream webhook subscriber
+ * DELETE /api/admin/subscribers/:id
+ */
+router.delete('/subscribers/:id', async (req, res) => {
+  try {
+    const removed = await subscriberRegistry.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Subscriber ${req.params.id} not found`
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('💥 Error removing webhook subscriber:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Subscriber Removal Failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List downstream webhook deliveries, dead-lettered ones by default
+ * GET /api/admin/deliveries?status=dead|pending|delivered|all
+ */
+router.get('/deliveries', validate({ query: deliveriesQuerySchema }), async (req, res) => {
+  try {
+    const { status = 'dead' } = req.query;
+    const deliveries = await webhookQueue.list({ status: status === 'all' ? null : status });
+    res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('💥 Error listing webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list webhook deliveries'
+    });
+  }
+});
+
+/**
+ * Manually replay a dead-lettered delivery
+ * POST /api/admin/deliveries/:id/replay
+ */
+router.post('/deliveries/:id/replay', async (req, res) => {
+  try {
+    const delivery = await webhookQueue.replay(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Delivery ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('💥 Error replaying webhook delivery:', error);
+    res.status(409).json({
+      success: false,
+      error: 'Replay Failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List recent invoice reconciliation reports, newest first
+ * GET /api/admin/reconciliation/reports?limit=10
+ */
+router.get('/reconciliation/reports', validate({ query: reconciliationReportsQuerySchema }), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const reports = await invoiceReconciler.listReports(limit);
+    res.json({
+      success: true,
+      data: reports
+    });
+  } catch (error) {
+    console.error('💥 Error listing reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list reconciliation reports'
+    });
+  }
+});
+
+/**
+ * Run an invoice reconciliation sweep now and return its report
+ * POST /api/admin/reconciliation/run
+ */
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    const report = await invoiceReconciler.sweep('manual');
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('💥 Error running reconciliation sweep:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to run reconciliation sweep'
+    });
+  }
+});
+
+/**
+ * List invoices awaiting manual review (paid after they expired), oldest first
+ * GET /api/admin/invoices/review
+ */
+router.get('/invoices/review', async (req, res) => {
+  try {
+    const invoices = await invoiceStore.listForReview();
+    res.json({
+      success: true,
+      data: invoices.map(invoice => ({
+        invoiceId: invoice.invoiceId,
+        orderId: invoice.orderId,
+        merchantId: invoice.merchantId || null,
+        status: invoice.status,
+        priceAmount: invoice.priceAmount,
+        priceCurrency: invoice.priceCurrency,
+        expiresAt: invoice.expiresAt,
+        payment: invoice.payment || null,
+        review: invoice.review
+      }))
+    });
+  } catch (error) {
+    console.error('💥 Error listing invoices for review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list invoices for review'
+    });
+  }
+});
+
+/**
+ * Close the manual review of an invoice
+ * POST /api/admin/invoices/:invoiceId/review
+ * Body: { resolution: 'fulfilled' | 'refunded' | 'dismissed', note }
+ */
+router.post('/invoices/:invoiceId/review', validate({ body: invoiceReviewSchema }), async (req, res) => {
+  try {
+    const existing = await invoiceStore.findByInvoiceId(req.params.invoiceId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Invoice ${req.params.invoiceId} not found`
+      });
+    }
+
+    if (!existing.review || !existing.review.required) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Invoice ${req.params.invoiceId} is not awaiting review`
+      });
+    }
+
+    const invoice = await invoiceStore.resolveReview(existing.invoiceId, {
+      resolution: req.body.resolution,
+      note: req.body.note || null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invoiceId: invoice.invoiceId,
+        orderId: invoice.orderId,
+        status: invoice.status,
+        review: invoice.review
+      }
+    });
+  } catch (error) {
+    console.error('💥 Error resolving invoice review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to resolve invoice review'
+    });
+  }
+});
+
+/**
+ * List issued API keys (hashes are never returned)
+ * GET /api/admin/api-keys
+ */
+router.get('/api-keys', async (req, res) => {
+  try {
+    const apiKeys = await apiKeyStore.list();
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('💥 Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * Issue an API key; the key itself is only returned in this response
+ * POST /api/admin/api-keys
+ * Body: { name, merchantId, merchantIds }
+ */
+router.post('/api-keys', validate({ body: apiKeySchema }), async (req, res) => {
+  try {
+    const { key, apiKey } = await apiKeyStore.issue({
+      name: req.body.name,
+      merchantId: req.body.merchantId,
+      merchantIds: req.body.merchantIds
+    });
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    console.error('💥 Error issuing API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to issue API key'
+    });
+  }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/admin/api-keys/:id
+ */
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeyStore.revoke(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `API key ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('💥 Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
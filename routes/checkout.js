@@ -0,0 +1,136 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const config = require('../config');
+const InvoiceStore = require('../services/InvoiceStore');
+const InvoiceEventStream = require('../services/InvoiceEventStream');
+const { checkoutStatus, checkoutTokenMatches } = require('../utils/checkout');
+const { getBranding } = require('../utils/branding');
+const { resolveLocale, translator } = require('../utils/i18n');
+const { STATES } = require('../services/InvoiceLifecycle');
+
+const router = express.Router();
+const invoiceStore = new InvoiceStore();
+const invoiceEventStream = new InvoiceEventStream();
+
+/**
+ * Load the invoice a checkout request is for, if the request carries its checkout token
+ * @param {Object} req - Express request (invoiceId param, token query parameter)
+ * @returns {Promise<Object|null>} Invoice record, or null when it doesn't exist or the token is wrong
+ */
+const findCheckoutInvoice = async (req) => {
+  const invoice = await invoiceStore.findByInvoiceId(req.params.invoiceId);
+  return checkoutTokenMatches(invoice, req.query.token) ? invoice : null;
+};
+
+/**
+ * Hosted checkout page: amount, QR code of the pay address and a countdown to expiry.
+ * The page polls /checkout/:invoiceId/status and flips to "paid" once the webhook lands.
+ * Opened with the invoice's checkout token (checkoutUrl in invoice responses); without it the invoice is not found.
+ * GET /checkout/:invoiceId?token=xxx
+ */
+router.get('/:invoiceId', async (req, res) => {
+  try {
+    const invoice = await findCheckoutInvoice(req);
+    const branding = getBranding(invoice ? invoice.merchantId : null);
+    const locale = resolveLocale(req, branding.locale);
+    const t = translator(locale);
+
+    const view = {
+      page: 'checkout',
+      locale,
+      t,
+      branding,
+      accentColor: branding.primaryColor,
+      headingColor: branding.primaryColor,
+      nonce: res.locals.nonce
+    };
+
+    if (!invoice) {
+      console.log(`❌ Checkout page: Invoice ${req.params.invoiceId} not found or wrong token`);
+      return res.status(404).render('checkout/not-found', view);
+    }
+
+    const status = checkoutStatus(invoice);
+
+    // Without a pay address (not chosen yet) the QR code opens the gateway's payment page instead
+    const qrTarget = status.payAddress || status.paymentUrl;
+    const qrCode = qrTarget ? await QRCode.toDataURL(qrTarget, { margin: 1, width: 220 }) : null;
+
+    // Status labels for the polling script, so status changes are shown in the page's language
+    const statusLabels = Object.values(STATES).reduce((labels, state) => {
+      labels[state] = t(`status.${state}`);
+      return labels;
+    }, {});
+
+    res.render('checkout/invoice', {
+      ...view,
+      checkout: status,
+      qrCode,
+      statusLabels,
+      statusUrl: `/checkout/${encodeURIComponent(invoice.invoiceId)}/status?token=${encodeURIComponent(invoice.checkoutToken)}`,
+      pollInterval: config.checkout.pollIntervalSeconds
+    });
+  } catch (error) {
+    console.error('💥 Error rendering checkout page:', error);
+    res.status(500).send('Something went wrong');
+  }
+});
+
+/**
+ * Public status of an invoice for its checkout page. Answers from the invoice store only.
+ * GET /checkout/:invoiceId/status?token=xxx
+ */
+router.get('/:invoiceId/status', async (req, res) => {
+  try {
+    const invoice = await findCheckoutInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Invoice ${req.params.invoiceId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: checkoutStatus(invoice)
+    });
+  } catch (error) {
+    console.error('💥 Error getting checkout status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to get invoice status'
+    });
+  }
+});
+
+/**
+ * Status changes of an invoice as Server-Sent Events, for browser frontends holding the checkout token
+ * (EventSource can't send an API key)
+ * GET /checkout/:invoiceId/events?token=xxx
+ */
+router.get('/:invoiceId/events', async (req, res) => {
+  try {
+    const invoice = await findCheckoutInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Invoice ${req.params.invoiceId} not found`
+      });
+    }
+
+    await invoiceEventStream.serve(invoice.invoiceId, req, res);
+  } catch (error) {
+    console.error('💥 Error streaming checkout events:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to stream invoice events'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const config = require('../config');
+const PaymentProviderRegistry = require('../services/PaymentProviderRegistry');
+const InvoiceStore = require('../services/InvoiceStore');
+const InvoiceLifecycle = require('../services/InvoiceLifecycle');
+const { getQueryParam, resolveReturnUrl } = require('../utils/returnUrl');
+const { getBranding } = require('../utils/branding');
+const { resolveLocale, translator } = require('../utils/i18n');
+
+const { STATES } = InvoiceLifecycle;
+
+const router = express.Router();
+const providerRegistry = new PaymentProviderRegistry();
+const invoiceStore = new InvoiceStore();
+
+// Invoice statuses that send the customer to the failure page; the status is passed along as `reason`
+const FAILURE_REASONS = [STATES.EXPIRED, STATES.FAILED];
+
+/**
+ * Differences between the payment result pages
+ * - countdown: seconds before redirecting to the return URL
+ * - returnParam: ID appended to the return URL so the merchant knows which payment came back
+ * - accent/heading: branding colors used for buttons and the page heading
+ * - forwardFailures: send failed/expired invoices on to the failure page
+ */
+const PAGES = {
+  success: {
+    countdown: 5,
+    returnParam: 'order_id',
+    accent: 'primaryColor',
+    heading: 'primaryColor',
+    homeLabel: 'redirect.continue',
+    forwardFailures: true
+  },
+  cancel: {
+    countdown: 3,
+    returnParam: 'invoice_id',
+    accent: 'secondaryColor',
+    heading: 'errorColor',
+    homeLabel: 'redirect.returnHome',
+    forwardFailures: true
+  },
+  failure: {
+    countdown: 5,
+    returnParam: 'invoice_id',
+    accent: 'secondaryColor',
+    heading: 'errorColor',
+    homeLabel: 'redirect.returnHome',
+    forwardFailures: false
+  }
+};
+
+/**
+ * Get the failure page URL of an order with the failure reason.
+ * Invoices created with a failureUrl carry a signed failure page URL; other orders get the plain page.
+ * @param {string} orderId - Order identifier
+ * @param {Object|null} storedInvoice - Stored invoice of the order, if known
+ * @param {string} reason - Failure reason (invoice status)
+ * @returns {string} Failure page URL
+ */
+const failurePageUrl = (orderId, storedInvoice, reason) => {
+  const pageUrl = (storedInvoice && storedInvoice.failurePageUrl) ||
+    `${config.callbacks.failure}?order_id=${encodeURIComponent(orderId)}`;
+  return `${pageUrl}&reason=${encodeURIComponent(reason)}`;
+};
+
+/**
+ * Find the invoice ID and status of the order a page is shown for.
+ * The invoice store answers for invoices we created; other orders are resolved through the provider.
+ * @param {string} page - Page name (for logging)
+ * @param {string} orderId - Order identifier
+ * @param {Object|null} storedInvoice - Stored invoice of the order, if known
+ * @returns {Promise<Object>} `{ invoiceId, status }`, both null when unknown
+ */
+const lookupInvoice = async (page, orderId, storedInvoice) => {
+  if (storedInvoice) {
+    return { invoiceId: storedInvoice.invoiceId, status: storedInvoice.status };
+  }
+
+  try {
+    console.log(`🔍 ${page} page: Resolving invoice information for order_id: ${orderId}`);
+    const resolution = await providerRegistry.forInvoice(null).getInvoice({ orderId });
+    if (!resolution.resolved) {
+      console.log(`❌ ${page} page: Invoice not resolved (${resolution.status}): ${resolution.reason}`);
+    }
+    return {
+      invoiceId: resolution.invoiceId,
+      status: resolution.resolved ? resolution.status : null
+    };
+  } catch (error) {
+    console.error(`❌ ${page} page: Error fetching invoice information:`, error);
+    return { invoiceId: null, status: null };
+  }
+};
+
+/**
+ * Build the handler of a payment result page
+ * @param {string} page - Page name (success, cancel or failure)
+ * @returns {Function} Express route handler
+ */
+const renderPaymentPage = (page) => async (req, res) => {
+  const settings = PAGES[page];
+
+  try {
+    console.log(`Payment ${page} page:`, { query: req.query, url: req.originalUrl });
+
+    const orderId = getQueryParam(req.query, 'order_id');
+    let invoiceId = getQueryParam(req.query, 'invoice_id');
+    let status = getQueryParam(req.query, 'status');
+
+    const storedInvoice = orderId ? await invoiceStore.findByOrderId(orderId) : null;
+    const merchantId = storedInvoice ? storedInvoice.merchantId : null;
+
+    // Stored invoices are always looked up, so their current status decides about forwarding to the failure page
+    let lookedUpStatus = null;
+    if (orderId && (!invoiceId || storedInvoice)) {
+      const invoice = await lookupInvoice(page, orderId, storedInvoice);
+      invoiceId = invoiceId || invoice.invoiceId;
+      status = status || invoice.status;
+      lookedUpStatus = invoice.status;
+    }
+
+    if (settings.forwardFailures && FAILURE_REASONS.includes(lookedUpStatus)) {
+      console.log(`↪️ ${page} page: Invoice ${invoiceId} is ${lookedUpStatus}, forwarding to the failure page`);
+      return res.redirect(failurePageUrl(orderId, storedInvoice, lookedUpStatus));
+    }
+
+    // Failure reason shown on the failure page and passed on to the caller's failureUrl
+    let reason = null;
+    if (page === 'failure') {
+      const requestedReason = getQueryParam(req.query, 'reason');
+      reason = FAILURE_REASONS.includes(requestedReason) ? requestedReason
+        : (FAILURE_REASONS.includes(status) ? status : null);
+    }
+
+    // Only signed return URLs pointing to an allowed origin are followed
+    const resolved = resolveReturnUrl(req.query, { merchantId });
+    if (resolved.rejected) {
+      console.warn(`⚠️ Rejected return_url on ${page} page (${resolved.reason}), falling back to the default page`);
+    }
+
+    let returnUrl = resolved.returnUrl;
+    const returnValue = settings.returnParam === 'order_id' ? orderId : invoiceId;
+    if (returnUrl && (returnValue || reason)) {
+      const url = new URL(returnUrl);
+      if (returnValue) {
+        url.searchParams.set(settings.returnParam, returnValue);
+      }
+      if (reason) {
+        url.searchParams.set('reason', reason);
+      }
+      returnUrl = url.toString();
+    }
+
+    const branding = getBranding(merchantId);
+    const locale = resolveLocale(req, branding.locale);
+
+    res.render(`payment/${page}`, {
+      page,
+      locale,
+      t: translator(locale),
+      branding,
+      accentColor: branding[settings.accent],
+      headingColor: branding[settings.heading],
+      orderId,
+      invoiceId,
+      status,
+      reason,
+      returnUrl,
+      countdown: settings.countdown,
+      homeLabel: settings.homeLabel,
+      nonce: res.locals.nonce
+    });
+  } catch (error) {
+    console.error(`💥 Error rendering ${page} page:`, error);
+    res.status(500).send('Something went wrong');
+  }
+};
+
+// Payment result pages (success_url / cancel_url / failure URL of the invoice)
+router.get('/success', renderPaymentPage('success'));
+router.get('/cancel', renderPaymentPage('cancel'));
+router.get('/failure', renderPaymentPage('failure'));
+
+module.exports = router;
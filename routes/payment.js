@@ -1,21 +1,162 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const PayID19Service = require('../services/PayID19Service');
-const { urlValidation, priceAmountValidation } = require('../utils/validation');
+const PaymentProviderRegistry = require('../services/PaymentProviderRegistry');
+const InvoiceStore = require('../services/InvoiceStore');
+const InvoiceLifecycle = require('../services/InvoiceLifecycle');
+const InvoiceStatusResolver = require('../services/InvoiceStatusResolver');
+const WithdrawalStore = require('../services/WithdrawalStore');
+const CurrencyCatalog = require('../services/CurrencyCatalog');
+const InvoiceEventStream = require('../services/InvoiceEventStream');
+const InvoiceExpiryMonitor = require('../services/InvoiceExpiryMonitor');
+const idempotency = require('../middleware/idempotency');
+const adminAuth = require('../middleware/adminAuth');
+const apiKeyAuth = require('../middleware/apiKeyAuth');
+const rateLimit = require('../middleware/rateLimit');
+const config = require('../config');
+const validate = require('../middleware/validate');
+const { validationErrorResponse } = require('../utils/validation');
+const { returnUrlErrors } = require('../utils/returnUrl');
+const { checkoutUrl, checkoutStatus } = require('../utils/checkout');
+const {
+  createInvoiceSchema,
+  getInvoicesQuerySchema,
+  topUpSchema,
+  providerQuerySchema,
+  withdrawalSchema,
+  getWithdrawalsQuerySchema
+} = require('../utils/schemas');
 
 const router = express.Router();
-const payid19Service = new PayID19Service();
+const providerRegistry = new PaymentProviderRegistry();
+const invoiceStore = new InvoiceStore();
+const withdrawalStore = new WithdrawalStore();
+const currencyCatalog = new CurrencyCatalog();
+const invoiceEventStream = new InvoiceEventStream();
+const expiryMonitor = new InvoiceExpiryMonitor();
+
+const { STATES } = InvoiceLifecycle;
+const { RESOLUTION } = InvoiceStatusResolver;
+
+// HTTP status returned for lookups that could not be resolved
+const RESOLUTION_HTTP_STATUS = {
+  [RESOLUTION.NOT_FOUND]: 404,
+  [RESOLUTION.ERROR]: 502
+};
+
+// Invoice creation calls the gateway, so it is limited per API key and per IP
+const invoiceRateLimit = rateLimit('invoice', {
+  apiKey: config.rateLimit.invoicePerApiKey,
+  ip: config.rateLimit.invoicePerIp
+});
+
+// Invoice statuses after which a new invoice may be created for the same order
+const REISSUABLE_STATUSES = [STATES.EXPIRED, STATES.CANCELLED, STATES.FAILED];
+
+/**
+ * Get the merchant a request asks to act for
+ * @param {Object} req - Express request
+ * @returns {string|null} Merchant from the X-Merchant-Id header, body or query
+ */
+const requestedMerchantIdOf = (req) =>
+  req.get('X-Merchant-Id') || (req.body && req.body.merchantId) || req.query.merchantId || null;
+
+/**
+ * Get the merchant a request is made for. Requests with an API key must have passed authorizeMerchant.
+ * @param {Object} req - Express request
+ * @returns {string|null} Requested merchant, otherwise the merchant bound to the API key
+ */
+const merchantIdOf = (req) => requestedMerchantIdOf(req) || (req.apiClient && req.apiClient.merchantId) || null;
+
+/**
+ * Only let an API key pick a merchant it is bound to or was explicitly allowed (merchantIds);
+ * a key without either may not pick any merchant. Passes every request through when API keys are off.
+ */
+const authorizeMerchant = (req, res, next) => {
+  const merchantId = requestedMerchantIdOf(req);
+  if (!req.apiClient || !merchantId) {
+    return next();
+  }
+
+  const { merchantId: boundMerchantId, merchantIds = [] } = req.apiClient;
+  if (merchantId === boundMerchantId || merchantIds.includes(merchantId)) {
+    return next();
+  }
+
+  console.warn(`🚫 API key ${req.apiClient.id} may not act for merchant ${merchantId}`);
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: `This API key may not act for merchant ${merchantId}`
+  });
+};
+
+/**
+ * Check whether the requesting API client may see an invoice
+ * @param {Object} req - Express request
+ * @param {Object} invoice - Invoice record
+ * @returns {boolean} True for the client that created the invoice, or for any caller when API keys are off
+ */
+const isVisibleTo = (req, invoice) => !req.apiClient || invoice.clientId === req.apiClient.id;
+
+/**
+ * Select the payment provider for a request: `provider` in the body or query, then the provider
+ * configured for the merchant in the X-Merchant-Id header, then the default provider
+ * @param {Object} req - Express request
+ * @returns {Object} PaymentProvider instance (throws for unknown providers)
+ */
+const selectProvider = (req) => providerRegistry.select({
+  provider: (req.body && req.body.provider) || req.query.provider,
+  merchantId: merchantIdOf(req)
+});
+
+/**
+ * Format a stored invoice like a create-invoice response
+ * @param {Object} invoice - Invoice record from the invoice store
+ * @returns {Object} Response data
+ */
+const formatInvoice = (invoice) => ({
+  orderId: invoice.orderId,
+  invoiceId: invoice.invoiceId,
+  provider: invoice.provider || 'payid19',
+  merchantId: invoice.merchantId || null,
+  paymentUrl: invoice.paymentUrl,
+  checkoutUrl: checkoutUrl(invoice),
+  priceAmount: invoice.priceAmount,
+  priceCurrency: invoice.priceCurrency,
+  payAmount: invoice.payAmount || null,
+  payCurrency: invoice.payCurrency || null,
+  status: invoice.status,
+  createdAt: invoice.createdAt,
+  expiresAt: invoice.expiresAt,
+  reissuedFromInvoiceId: invoice.reissuedFromInvoiceId || null
+});
+
+/**
+ * Format a payment policy assessment for API responses
+ * @param {Object} payment - Assessment stored on the invoice
+ * @returns {Object} Outcome with the balance due or overpaid
+ */
+const formatPayment = (payment) => ({
+  outcome: payment.outcome,
+  currency: payment.currency,
+  expectedAmount: payment.expectedAmount,
+  receivedAmount: payment.receivedAmount,
+  outstandingAmount: payment.outstandingAmount,
+  overpaidAmount: payment.overpaidAmount,
+  priceCurrency: payment.priceCurrency,
+  outstandingPriceAmount: payment.outstandingPriceAmount
+});
 
 /**
  * Create a new payment invoice
+ * Honors the Idempotency-Key header and returns the existing invoice when the order already has an open one
  * POST /api/payment/create-invoice
  */
-router.post('/create-invoice', async (req, res) => {
+router.post('/create-invoice', apiKeyAuth, invoiceRateLimit, validate({ body: createInvoiceSchema }), authorizeMerchant, idempotency(), async (req, res) => {
   try {
     console.log('💳 Creating invoice for order raw body:', req.body);
     const {
       priceAmount,
-      priceCurrency = 'USD',
+      priceCurrency: requestedCurrency = 'USD',
       orderId,
       orderDescription,
       customerEmail,
@@ -24,25 +165,95 @@ router.post('/create-invoice', async (req, res) => {
       cancelUrl
     } = req.body;
 
-    // Validate priceAmount
-    const priceAmountError = priceAmountValidation(priceAmount);
-    if (priceAmountError) {
+    // The validator accepts currency codes in any case; use one form for the catalog, the gateway and order matching
+    const priceCurrency = requestedCurrency.toUpperCase();
+
+    let provider;
+    try {
+      provider = selectProvider(req);
+    } catch (error) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: priceAmountError
+        message: error.message
       });
     }
 
-    // Validate URL formats if provided
-    const successUrlError = urlValidation(successUrl, 'successUrl');
-    const failureUrlError = urlValidation(failureUrl, 'failureUrl');
-    const cancelUrlError = urlValidation(cancelUrl, 'cancelUrl');
+    // Return URLs may only point to the merchant's allowed origins
+    const merchantId = merchantIdOf(req);
+    const urlErrors = returnUrlErrors({ successUrl, failureUrl, cancelUrl }, merchantId);
+    if (urlErrors.length > 0) {
+      return res.status(400).json(validationErrorResponse(urlErrors));
+    }
 
-    if (successUrlError || failureUrlError || cancelUrlError) {
+    // Reject currencies the gateway won't accept (unchecked when the currency list is unavailable)
+    if (await currencyCatalog.isSupported(provider, priceCurrency) === false) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: successUrlError || failureUrlError || cancelUrlError
+        message: `priceCurrency ${priceCurrency} is not supported by ${provider.name}`
+      });
+    }
+
+    // Don't create a second invoice for an order that already has an open one
+    let reissuedFromInvoiceId = null;
+    if (orderId) {
+      // Hold the order until this request is answered, so a concurrent request can't create a second invoice
+      if (!(await invoiceStore.claimOrder(orderId))) {
+        console.warn(`⚠️ Order ${orderId} is already being processed by another request`);
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: `Order ${orderId} is already being processed; retry shortly`
+        });
+      }
+      res.once('close', () => {
+        invoiceStore.releaseOrder(orderId).catch(error => {
+          console.error(`💥 Failed to release claim on order ${orderId}:`, error);
+        });
       });
+
+      let existingInvoice = await invoiceStore.findByOrderId(orderId);
+
+      // Order IDs are global; another client's order is neither shown nor reissued
+      if (existingInvoice && !isVisibleTo(req, existingInvoice)) {
+        console.warn(`⚠️ Order ${orderId} belongs to another API client`);
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: `Order ${orderId} is already in use`
+        });
+      }
+
+      // An invoice past its expires_at is expired now rather than at the next expiry check
+      if (existingInvoice && expiryMonitor.isOverdue(existingInvoice, 0)) {
+        existingInvoice = (await expiryMonitor.expire(existingInvoice)).invoice;
+      }
+
+      if (existingInvoice && REISSUABLE_STATUSES.includes(existingInvoice.status)) {
+        console.log(`🔁 Reissuing order ${orderId} after ${existingInvoice.status} invoice ${existingInvoice.invoiceId}`);
+        reissuedFromInvoiceId = existingInvoice.invoiceId;
+      }
+
+      if (existingInvoice && !REISSUABLE_STATUSES.includes(existingInvoice.status)) {
+        const samePrice = parseFloat(existingInvoice.priceAmount) === parseFloat(priceAmount) &&
+          String(existingInvoice.priceCurrency).toUpperCase() === priceCurrency;
+
+        if (!samePrice) {
+          console.warn(`⚠️ Order ${orderId} already has invoice ${existingInvoice.invoiceId} with a different price`);
+          return res.status(409).json({
+            success: false,
+            error: 'Conflict',
+            message: `Order ${orderId} already has an invoice with a different price`
+          });
+        }
+
+        console.log(`♻️ Returning existing invoice ${existingInvoice.invoiceId} for order ${orderId}`);
+        existingInvoice = await invoiceStore.ensureCheckoutToken(existingInvoice);
+        return res.json({
+          success: true,
+          message: 'Invoice already exists for this order',
+          data: formatInvoice(existingInvoice)
+        });
+      }
     }
 
     // Generate order ID if not provided
@@ -58,9 +269,9 @@ router.post('/create-invoice', async (req, res) => {
       cancelUrl: cancelUrl || 'default'
     });
 
-    // Create invoice using PayID19 service
-    console.log(`🔄 Calling PayID19Service.createInvoice() for order ${finalOrderId}`);
-    const result = await payid19Service.createInvoice({
+    // Create invoice through the selected payment provider
+    console.log(`🔄 Calling ${provider.name} createInvoice() for order ${finalOrderId}`);
+    const result = await provider.createInvoice({
       priceAmount,
       priceCurrency,
       orderId: finalOrderId,
@@ -71,7 +282,7 @@ router.post('/create-invoice', async (req, res) => {
       cancelUrl
     });
 
-    console.log(`📊 PayID19Service.createInvoice() result for order ${finalOrderId}:`);
+    console.log(`📊 ${provider.name} createInvoice() result for order ${finalOrderId}:`);
     console.log('  - Success:', result.success);
     console.log('  - Message:', result.message);
     console.log('  - Error:', result.error);
@@ -84,20 +295,44 @@ router.post('/create-invoice', async (req, res) => {
 
     if (result.success) {
       console.log(`✅ Invoice created successfully for order ${finalOrderId}`);
+      const created = await invoiceStore.recordCreated({
+        invoiceId: result.data.invoice_id,
+        orderId: finalOrderId,
+        provider: provider.name,
+        merchantId,
+        clientId: req.apiClient ? req.apiClient.id : null,
+        status: result.data.status,
+        priceAmount: result.data.price_amount,
+        priceCurrency: result.data.price_currency,
+        payAmount: result.data.pay_amount,
+        payCurrency: result.data.pay_currency,
+        payAddress: result.data.pay_address,
+        paymentUrl: result.data.invoice_url,
+        failurePageUrl: result.pageUrls ? result.pageUrls.failure : null,
+        orderDescription: orderDescription || `Payment for order ${finalOrderId}`,
+        reissuedFromInvoiceId,
+        createdAt: result.data.created_at,
+        expiresAt: result.data.expires_at
+      }, result.raw);
+
       res.json({
         success: true,
         message: 'Invoice created successfully',
         data: {
           orderId: finalOrderId,
           invoiceId: result.data.invoice_id,
+          provider: provider.name,
+          merchantId,
           paymentUrl: result.data.invoice_url,
+          checkoutUrl: checkoutUrl(created),
           priceAmount: result.data.price_amount,
           priceCurrency: result.data.price_currency,
           payAmount: result.data.pay_amount || null,
           payCurrency: result.data.pay_currency || null,
           status: result.data.status,
           createdAt: result.data.created_at,
-          expiresAt: result.data.expires_at
+          expiresAt: result.data.expires_at,
+          reissuedFromInvoiceId
         }
       });
     } else {
@@ -129,26 +364,481 @@ router.post('/create-invoice', async (req, res) => {
 
 /**
  * Get invoice details
- * GET /api/payment/invoices?orderId=xxx&invoiceId=xxx
+ * Answers from the local invoice store first and only asks the payment provider for invoices we don't know yet
+ * GET /api/payment/invoices?orderId=xxx&invoiceId=xxx[&provider=xxx]
  */
-router.get('/invoices', async (req, res) => {
+router.get('/invoices', apiKeyAuth, validate({ query: getInvoicesQuerySchema }), authorizeMerchant, async (req, res) => {
   try {
     const { orderId, invoiceId } = req.query;
 
-    const result = await payid19Service.getInvoices(orderId, invoiceId);
+    const storedInvoice = await invoiceStore.find({ orderId, invoiceId });
+
+    // API clients only see their own invoices, so there's nothing to look up upstream for them
+    if (req.apiClient && !(storedInvoice && isVisibleTo(req, storedInvoice))) {
+      return res.status(RESOLUTION_HTTP_STATUS[RESOLUTION.NOT_FOUND]).json({
+        status: RESOLUTION.NOT_FOUND
+      });
+    }
+
+    if (storedInvoice) {
+      console.log(`🗄️ Answering invoice lookup from store: ${storedInvoice.invoiceId} (${storedInvoice.status})`);
+      return res.json({
+        status: storedInvoice.status || STATES.WAITING,
+        ...(storedInvoice.payment ? { payment: formatPayment(storedInvoice.payment) } : {})
+      });
+    }
+
+    let provider;
+    try {
+      provider = selectProvider(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    const resolution = await provider.getInvoice({ orderId, invoiceId });
+
+    // Keep whatever upstream told us about invoices we could identify
+    if (resolution.resolved && resolution.invoiceId) {
+      await invoiceStore.recordStatus(resolution.invoiceId, resolution.status, {
+        source: 'api',
+        orderId: orderId || resolution.invoice.order_id || null,
+        payload: resolution.invoice,
+        fields: { provider: provider.name, merchantId: provider.merchantId }
+      });
+    }
+
+    // Return the simple status format; unresolved lookups say so explicitly
+    res.status(RESOLUTION_HTTP_STATUS[resolution.resolution] || 200).json({
+      status: resolution.status
+    });
+
+  } catch (error) {
+    console.error('💥 Error resolving invoice status:', error);
+    res.status(500).json({
+      status: RESOLUTION.ERROR
+    });
+  }
+});
+
+/**
+ * Get the checkout status of a stored invoice created with the caller's API key
+ * (the hosted checkout page polls /checkout/:invoiceId/status with its own token instead)
+ * GET /api/payment/invoices/:invoiceId/status
+ */
+router.get('/invoices/:invoiceId/status', apiKeyAuth, async (req, res) => {
+  try {
+    const invoice = await invoiceStore.findByInvoiceId(req.params.invoiceId);
+    if (!invoice || !isVisibleTo(req, invoice)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Invoice ${req.params.invoiceId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: checkoutStatus(invoice)
+    });
+
+  } catch (error) {
+    console.error('💥 Error getting invoice status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to get invoice status'
+    });
+  }
+});
+
+/**
+ * Stream status changes of a stored invoice as Server-Sent Events
+ * Emits the current status right away (or the transitions after Last-Event-ID), then every transition
+ * GET /api/payment/invoices/:invoiceId/events
+ */
+router.get('/invoices/:invoiceId/events', apiKeyAuth, async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const invoice = await invoiceStore.findByInvoiceId(invoiceId);
+    if (!invoice || !isVisibleTo(req, invoice)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Invoice ${invoiceId} not found`
+      });
+    }
+
+    await invoiceEventStream.serve(invoiceId, req, res);
+
+  } catch (error) {
+    console.error('💥 Error streaming invoice events:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to stream invoice events'
+    });
+  }
+});
+
+/**
+ * Create a top-up invoice for the outstanding balance of a partially paid invoice
+ * POST /api/payment/invoices/:invoiceId/top-up
+ */
+router.post('/invoices/:invoiceId/top-up', apiKeyAuth, invoiceRateLimit, validate({ body: topUpSchema }), idempotency(), async (req, res) => {
+  try {
+    const { successUrl, failureUrl, cancelUrl } = req.body || {};
+
+    const { invoiceId } = req.params;
+    const requested = await invoiceStore.findByInvoiceId(invoiceId);
+    if (!requested || !isVisibleTo(req, requested)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Invoice ${invoiceId} not found`
+      });
+    }
+
+    // Hold the invoice until this request is answered, so a concurrent request can't create a second top-up
+    const claim = `topup:${invoiceId}`;
+    if (!(await invoiceStore.claimOrder(claim))) {
+      console.warn(`⚠️ A top-up for invoice ${invoiceId} is already being created by another request`);
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `A top-up for invoice ${invoiceId} is already being created; retry shortly`
+      });
+    }
+    res.once('close', () => {
+      invoiceStore.releaseOrder(claim).catch(error => {
+        console.error(`💥 Failed to release top-up claim on invoice ${invoiceId}:`, error);
+      });
+    });
+
+    // Read again under the claim: a top-up created meanwhile must be seen
+    const invoice = await invoiceStore.findByInvoiceId(invoiceId);
+
+    const urlErrors = returnUrlErrors({ successUrl, failureUrl, cancelUrl }, invoice.merchantId);
+    if (urlErrors.length > 0) {
+      return res.status(400).json(validationErrorResponse(urlErrors));
+    }
+
+    const outstanding = invoice.payment?.outstandingPriceAmount;
+    if (invoice.status !== STATES.PARTIALLY_PAID || !(outstanding > 0)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Invoice ${invoice.invoiceId} has no outstanding balance (status: ${invoice.status})`
+      });
+    }
+
+    // Return the open top-up invoice instead of creating another one
+    for (const topUpInvoiceId of [...(invoice.topUpInvoiceIds || [])].reverse()) {
+      const topUp = await invoiceStore.findByInvoiceId(topUpInvoiceId);
+      if (topUp && !REISSUABLE_STATUSES.includes(topUp.status)) {
+        console.log(`♻️ Returning open top-up invoice ${topUp.invoiceId} for invoice ${invoice.invoiceId}`);
+        return res.json({
+          success: true,
+          message: 'Top-up invoice already exists',
+          data: { ...formatInvoice(await invoiceStore.ensureCheckoutToken(topUp)), parentInvoiceId: invoice.invoiceId }
+        });
+      }
+    }
+
+    const topUpOrderId = `${invoice.orderId}-topup-${(invoice.topUpInvoiceIds || []).length + 1}`;
+    const orderDescription = `Outstanding balance for order ${invoice.orderId}`;
+    console.log(`💳 Creating top-up invoice ${topUpOrderId}: ${outstanding} ${invoice.priceCurrency}`);
+
+    // Top-ups go through the provider of the invoice they settle
+    const provider = providerRegistry.forInvoice(invoice);
+    const result = await provider.createInvoice({
+      priceAmount: outstanding,
+      priceCurrency: invoice.priceCurrency,
+      orderId: topUpOrderId,
+      orderDescription,
+      successUrl,
+      failureUrl,
+      cancelUrl
+    });
+
+    if (!result.success) {
+      console.error(`❌ Failed to create top-up invoice for ${invoice.invoiceId}:`, result.error);
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice Creation Failed',
+        message: result.message,
+        details: result.error
+      });
+    }
+
+    const topUp = await invoiceStore.recordCreated({
+      invoiceId: result.data.invoice_id,
+      orderId: topUpOrderId,
+      provider: provider.name,
+      merchantId: invoice.merchantId || null,
+      clientId: invoice.clientId || null,
+      status: result.data.status,
+      priceAmount: result.data.price_amount,
+      priceCurrency: result.data.price_currency,
+      payAmount: result.data.pay_amount,
+      payCurrency: result.data.pay_currency,
+      payAddress: result.data.pay_address,
+      paymentUrl: result.data.invoice_url,
+      failurePageUrl: result.pageUrls ? result.pageUrls.failure : null,
+      orderDescription,
+      parentInvoiceId: invoice.invoiceId,
+      createdAt: result.data.created_at,
+      expiresAt: result.data.expires_at
+    }, result.raw);
+    await invoiceStore.addTopUp(invoice.invoiceId, topUp.invoiceId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up invoice created successfully',
+      data: { ...formatInvoice(topUp), parentInvoiceId: invoice.invoiceId }
+    });
+
+  } catch (error) {
+    console.error('💥 Error creating top-up invoice:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to create top-up invoice'
+    });
+  }
+});
+
+/**
+ * Get the account balance
+ * Requires the admin credential
+ * GET /api/payment/balance
+ */
+router.get('/balance', adminAuth, validate({ query: providerQuerySchema }), async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = selectProvider(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    if (typeof provider.getBalance !== 'function') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Payment provider ${provider.name} does not report balances`
+      });
+    }
+
+    const result = await provider.getBalance();
+    if (!result.success) {
+      console.error(`❌ Failed to get balance from ${provider.name}:`, result.error);
+      return res.status(502).json({
+        success: false,
+        error: 'Upstream Error',
+        message: 'Failed to get account balance',
+        details: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      provider: provider.name,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('💥 Error getting account balance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to get account balance'
+    });
+  }
+});
+
+/**
+ * Get the currencies the payment provider accepts
+ * Served from a TTL cache (CURRENCIES_CACHE_TTL_SECONDS)
+ * GET /api/payment/currencies
+ */
+router.get('/currencies', validate({ query: providerQuerySchema }), async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = selectProvider(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    const result = await currencyCatalog.getCurrencies(provider);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: 'Upstream Error',
+        message: 'Failed to get supported currencies',
+        details: result.error
+      });
+    }
 
-    // Return the simple status format
     res.json({
-      status: result.status || 'waiting'
+      success: true,
+      provider: provider.name,
+      data: {
+        codes: result.codes,
+        currencies: result.currencies,
+        fetchedAt: result.fetchedAt
+      }
     });
 
   } catch (error) {
+    console.error('💥 Error getting supported currencies:', error);
     res.status(500).json({
-      status: 'waiting'
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to get supported currencies'
     });
   }
 });
 
+/**
+ * Select the provider for a withdrawal request and make sure it supports withdrawals
+ * @param {Object} req - Express request
+ * @returns {Object} PaymentProvider instance (throws for unknown or unsupported providers)
+ */
+const selectWithdrawalProvider = (req) => {
+  const provider = selectProvider(req);
+  if (typeof provider.createWithdrawal !== 'function' || typeof provider.getWithdrawals !== 'function') {
+    throw new Error(`Payment provider ${provider.name} does not support withdrawals`);
+  }
+  return provider;
+};
+
+/**
+ * Request a cryptocurrency withdrawal
+ * Moves funds, so it requires the admin credential; every request is recorded before it is sent upstream
+ * POST /api/payment/withdraw
+ */
+router.post('/withdraw', adminAuth, validate({ body: withdrawalSchema }), idempotency({ cacheFailures: true }), async (req, res) => {
+  try {
+    const { currency, amount, address, tag } = req.body;
+
+    let provider;
+    try {
+      provider = selectWithdrawalProvider(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    const withdrawal = await withdrawalStore.recordRequested({
+      provider: provider.name,
+      currency: currency.trim().toUpperCase(),
+      amount: parseFloat(amount),
+      address: address.trim(),
+      tag: tag || null
+    }, { ipAddress: req.ip });
+
+    const result = await provider.createWithdrawal({
+      currency: withdrawal.currency,
+      amount: withdrawal.amount,
+      address: withdrawal.address,
+      tag: withdrawal.tag
+    });
+    const updated = await withdrawalStore.recordSubmission(withdrawal.id, result);
+
+    if (!result.success) {
+      console.error(`❌ Withdrawal ${withdrawal.id} ${updated.status}:`, result.error);
+      return res.status(result.noResponse ? 502 : 400).json({
+        success: false,
+        error: 'Withdrawal Failed',
+        message: result.noResponse
+          ? 'No response from the payment provider; check the withdrawal status before retrying'
+          : 'Failed to create withdrawal',
+        details: result.error,
+        data: updated
+      });
+    }
+
+    console.log(`✅ Withdrawal ${withdrawal.id} submitted`);
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal created successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('💥 Error creating withdrawal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to create withdrawal'
+    });
+  }
+});
+
+/**
+ * Get withdrawals and their status
+ * Statuses reported upstream are merged into the withdrawal store before answering
+ * GET /api/payment/withdraws?withdrawId=xxx
+ */
+router.get('/withdraws', adminAuth, validate({ query: getWithdrawalsQuerySchema }), async (req, res) => {
+  try {
+    const { withdrawId } = req.query;
+
+    let provider;
+    try {
+      provider = selectWithdrawalProvider(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    const result = await provider.getWithdrawals(withdrawId);
+    if (result.success) {
+      const upstreamWithdrawals = Array.isArray(result.data) ? result.data : [result.data];
+      for (const upstream of upstreamWithdrawals) {
+        await withdrawalStore.recordUpstream(upstream, provider.name);
+      }
+    } else {
+      console.error('❌ Failed to refresh withdrawals from upstream:', result.error);
+    }
+
+    const withdrawals = await withdrawalStore.list({ withdrawId });
+    if (withdrawId && withdrawals.length === 0) {
+      return res.status(result.success ? 404 : 502).json({
+        success: false,
+        error: result.success ? 'Not Found' : 'Upstream Error',
+        message: result.success ? `Withdrawal ${withdrawId} not found` : result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      synced: result.success,
+      data: withdrawals
+    });
+
+  } catch (error) {
+    console.error('💥 Error retrieving withdrawals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve withdrawals'
+    });
+  }
+});
 
 /**
  * Health check for payment service
@@ -157,11 +847,18 @@ router.get('/invoices', async (req, res) => {
 router.get('/health', (req, res) => {
   res.json({
     status: 'OK',
-    service: 'PayID19 Payment Service',
+    service: 'Payment Service',
+    providers: providerRegistry.names(),
+    defaultProvider: providerRegistry.defaultProvider,
     timestamp: new Date().toISOString(),
     endpoints: {
       createInvoice: 'POST /api/payment/create-invoice',
       getInvoices: 'GET /api/payment/invoices',
+      topUpInvoice: 'POST /api/payment/invoices/:invoiceId/top-up',
+      getBalance: 'GET /api/payment/balance',
+      getCurrencies: 'GET /api/payment/currencies',
+      createWithdrawal: 'POST /api/payment/withdraw',
+      getWithdrawals: 'GET /api/payment/withdraws',
     }
   });
 });
@@ -1,94 +1,220 @@
 const express = require('express');
-const axios = require('axios');
 const crypto = require('crypto');
-const PayID19Service = require('../services/PayID19Service');
+const PaymentProviderRegistry = require('../services/PaymentProviderRegistry');
+const InvoiceStore = require('../services/InvoiceStore');
+const WebhookDispatcher = require('../services/WebhookDispatcher');
+const CallbackDeduplicator = require('../services/CallbackDeduplicator');
+const InvoiceLifecycle = require('../services/InvoiceLifecycle');
+const PaymentNotificationProcessor = require('../services/PaymentNotificationProcessor');
+const { VERIFICATION_ERRORS } = require('../services/PaymentProvider');
+const RateLimiter = require('../services/RateLimiter');
+const rateLimit = require('../middleware/rateLimit');
+const ipAllowList = require('../middleware/ipAllowList');
+const { buildInvoiceEvent } = require('../utils/webhookEvent');
+const { redactForLog } = require('../utils/redact');
 const config = require('../config');
 
 const router = express.Router();
-const payid19Service = new PayID19Service();
+const providerRegistry = new PaymentProviderRegistry();
+const invoiceStore = new InvoiceStore();
+const webhookDispatcher = new WebhookDispatcher();
+const callbackDeduplicator = new CallbackDeduplicator();
+const invoiceLifecycle = new InvoiceLifecycle();
+const notificationProcessor = new PaymentNotificationProcessor();
+const rateLimiter = new RateLimiter();
+
+// Failure family of callbacks that don't verify (wrong private key, ...)
+const AUTH_FAILURES = 'webhook_auth';
+
+// Provider served by the legacy /callback path, which PayID19 is already configured to call
+const LEGACY_CALLBACK_PROVIDER = 'payid19';
+
+/**
+ * Check a callback's issue time against the replay window
+ * @param {Date|null} issuedAt - When the gateway sent the callback, if it says so
+ * @returns {string|null} Why the callback is rejected, or null when it is fresh enough
+ */
+const replayRejection = (issuedAt) => {
+  const { webhookReplayWindowSeconds, webhookClockSkewSeconds, webhookRequireTimestamp } = config.security;
+
+  if (!issuedAt) {
+    return webhookRequireTimestamp ? 'Callback carries no timestamp' : null;
+  }
+
+  const ageSeconds = (Date.now() - issuedAt.getTime()) / 1000;
+  if (ageSeconds < -webhookClockSkewSeconds) {
+    return `Callback is dated in the future (${issuedAt.toISOString()})`;
+  }
+  if (webhookReplayWindowSeconds > 0 && ageSeconds > webhookReplayWindowSeconds) {
+    return `Callback was issued ${Math.floor(ageSeconds)}s ago, outside the ${webhookReplayWindowSeconds}s replay window`;
+  }
+  return null;
+};
+
+/**
+ * Notify downstream subscribers of every invoice lifecycle event, whatever caused it
+ * (PayID19 callback, API lookup, ...). Deliveries are only queued here; the webhook queue
+ * sends them in the background, so downstream outages don't fail the callback.
+ */
+invoiceLifecycle.on('*', async ({ type, invoice, previousStatus, payload, eventId }) => {
+  if (type === InvoiceLifecycle.TRANSITION_REJECTED_EVENT) {
+    return;
+  }
+
+  // Reuse the lifecycle event ID so a republished event doesn't queue its deliveries twice
+  const event = buildInvoiceEvent(invoice, payload || {}, { type, previousStatus, id: eventId });
+  const deliveries = await webhookDispatcher.dispatch(event, invoice.status, {
+    invoiceId: invoice.invoiceId,
+    orderId: invoice.orderId,
+    merchantId: invoice.merchantId || null
+  });
+  console.log(`📬 Queued ${deliveries.length} downstream deliveries for ${type} (invoice ${invoice.invoiceId})`);
+});
 
 /**
- * Webhook endpoint for PayID19 payment notifications
- * This endpoint receives payment status updates from PayID19
+ * Webhook endpoint for payment provider notifications
+ * Each provider has its own path (/api/webhook/:provider/callback); /api/webhook/callback is kept
+ * as an alias for PayID19
  */
-router.post('/callback', async (req, res) => {
+router.post(['/callback', '/:provider/callback'], ipAllowList(config.security.webhookAllowedIps, 'Webhook'), rateLimit('webhook', { ip: config.rateLimit.webhookPerIp }), async (req, res) => {
+  let claimedKey = null;
+
   try {
-    
-    console.log('📨 Webhook received:', {
+    // Sources that kept sending callbacks with a wrong key are blocked for a while
+    const blockedFor = await rateLimiter.blockedFor(AUTH_FAILURES, req.ip);
+    if (blockedFor > 0) {
+      console.warn(`🚫 Webhook from blocked source ${req.ip} rejected`);
+      return res.status(429).set('Retry-After', String(blockedFor)).json({
+        error: 'Too Many Requests',
+        message: 'Too many failed webhook verifications, try again later'
+      });
+    }
+
+    const providerName = req.params.provider || LEGACY_CALLBACK_PROVIDER;
+    if (!providerRegistry.has(providerName)) {
+      console.error(`❌ Webhook for unknown payment provider: ${providerName}`);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown payment provider: ${providerName}`
+      });
+    }
+    const gateway = providerRegistry.get(providerName);
+
+    console.log(`📨 Webhook received (${gateway.name}):`, redactForLog({
       timestamp: new Date().toISOString(),
       body: req.body,
       headers: req.headers
-    });
+    }));
 
-    const callbackData = req.body;
-    
     // Validate required fields
-    if (!callbackData.order_id) {
-      console.error('❌ Invalid webhook data: missing order_id');
+    const parsed = gateway.parseWebhook(req.body);
+    if (!parsed.success) {
+      console.error(`❌ Invalid webhook data: ${parsed.message}`);
       return res.status(400).json({
-        error: 'Invalid webhook data',
-        message: 'Missing required field: order_id'
+        error: parsed.error,
+        message: parsed.message,
+        ...(parsed.errors ? { errors: parsed.errors } : {})
       });
     }
 
-    // Use 'id' field as invoice_id if invoice_id is not present
-    const invoiceId = callbackData.invoice_id || callbackData.id;
-    if (!invoiceId) {
-      console.error('❌ Invalid webhook data: missing invoice_id or id');
-      return res.status(400).json({
-        error: 'Invalid webhook data',
-        message: 'Missing required field: invoice_id or id'
+    const { invoiceId, data: callbackData } = parsed;
+
+    // Verify against the account of the invoice's merchant - MANDATORY for security
+    const storedInvoice = await invoiceStore.findByInvoiceId(invoiceId);
+    const provider = providerRegistry.forWebhook(providerName, { invoice: storedInvoice, req });
+    const verification = provider.verifyWebhook(req);
+    if (!verification.valid) {
+      // A missing key on our side is not the sender's fault: don't count it against the source
+      if (verification.code === VERIFICATION_ERRORS.NOT_CONFIGURED) {
+        return res.status(503).json({
+          error: verification.error,
+          code: verification.code,
+          message: verification.message
+        });
+      }
+
+      await rateLimiter.recordFailure(AUTH_FAILURES, req.ip, config.rateLimit.webhookAuthFailures);
+      return res.status(401).json({
+        error: verification.error,
+        code: verification.code,
+        message: verification.message
       });
     }
 
-    // Add invoice_id to callbackData for consistency
-    callbackData.invoice_id = invoiceId;
+    await rateLimiter.clearFailures(AUTH_FAILURES, req.ip);
+    console.log(`✅ Webhook from ${provider.name} verified successfully${provider.merchantId ? ` (merchant ${provider.merchantId})` : ''}`);
 
-    // Verify the private key from webhook data - MANDATORY for security
-    if (!callbackData.privatekey) {
-      console.error('❌ Missing privatekey in webhook data - rejecting request for security');
-      return res.status(401).json({
-        error: 'Missing private key',
-        message: 'Private key is required in webhook data for security verification'
+    // A captured callback must not be accepted again long after the gateway sent it
+    const staleReason = replayRejection(provider.webhookTimestamp(req));
+    if (staleReason) {
+      console.warn(`⌛ Webhook for invoice ${invoiceId} from ${req.ip} rejected: ${staleReason}`);
+      return res.status(403).json({
+        error: 'Stale webhook',
+        message: staleReason
       });
     }
 
-    // Get client IP address for logging
-    const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
-
-    // Verify the private key matches our configured private key
-    const isValidPrivateKey = payid19Service.verifyPrivateKey(callbackData.privatekey);
-    if (!isValidPrivateKey) {
-      console.error('❌ Invalid private key in webhook data - potential security threat');
-      console.error('🔍 Private key verification details:', {
-        receivedPrivateKey: callbackData.privatekey.substring(0, 8) + '...',
-        orderId: callbackData.order_id,
-        timestamp: new Date().toISOString(),
-        ipAddress: clientIP
-      });
-      return res.status(401).json({
-        error: 'Invalid private key',
-        message: 'Private key verification failed'
+    // Acknowledge redeliveries of a callback we already processed without forwarding them again
+    const dedupeKey = callbackDeduplicator.keyFor(invoiceId, callbackData);
+    const { duplicate, firstSeenAt } = await callbackDeduplicator.claim(dedupeKey);
+    if (duplicate) {
+      console.log(`♻️ Duplicate webhook for invoice ${invoiceId} ignored (first seen ${firstSeenAt})`);
+      return res.status(200).json({
+        status: 'success',
+        message: 'Duplicate webhook ignored',
+        duplicate: true,
+        firstSeenAt,
+        timestamp: new Date().toISOString()
       });
     }
-    
-    console.log('✅ Webhook private key verified successfully');
+    claimedKey = dedupeKey;
+
+    // Keep the raw payload before processing adds derived fields to it
+    const rawCallback = { ...callbackData };
+
     // Process the payment notification
-    // await processPaymentNotification(callbackData);
+    const { status: paymentStatus, payment } = await notificationProcessor.process(callbackData, storedInvoice, provider);
+
+    // Record the status transition and raw payload in the invoice store.
+    // Accepted transitions are published as lifecycle events, which queue the downstream notifications.
+    const { changed, rejected } = await invoiceStore.recordStatus(invoiceId, paymentStatus, {
+      source: 'webhook',
+      orderId: callbackData.order_id,
+      payload: rawCallback,
+      fields: {
+        payAmount: callbackData.pay_amount,
+        payCurrency: callbackData.pay_currency,
+        payAddress: callbackData.pay_address,
+        provider: provider.name,
+        merchantId: provider.merchantId,
+        payment
+      }
+    });
 
-    // POST https://social.m-gh.com/api/v1/user/payments/webhook/
-    const response = await axios.post('https://social.m-gh.com/api/v1/user/payments/webhook/', callbackData);
-    console.log('🔄 Webhook response:', response.data);
+    if (rejected) {
+      console.warn(`⚠️ Webhook status "${paymentStatus}" for invoice ${invoiceId} was rejected by the invoice lifecycle`);
+    } else if (!changed) {
+      console.log(`ℹ️ Webhook for invoice ${invoiceId} did not change its status (${paymentStatus})`);
+    }
 
-    // Respond to PayID19 to acknowledge receipt
+    // Respond to the provider to acknowledge receipt
     res.status(200).json({
       status: 'success',
       message: 'Webhook processed successfully',
+      duplicate: false,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('💥 Webhook processing error:', error);
+
+    // Let the provider's retry of this callback be processed again
+    if (claimedKey) {
+      await callbackDeduplicator.release(claimedKey).catch(releaseError => {
+        console.error('💥 Failed to release webhook idempotency key:', releaseError);
+      });
+    }
+
     res.status(500).json({
       error: 'Internal server error',
       message: 'Failed to process webhook'
@@ -96,106 +222,4 @@ router.post('/callback', async (req, res) => {
   }
 });
 
-/**
- * Process payment notification based on status
- * @param {Object} callbackData - Payment notification data from PayID19
- */
-async function processPaymentNotification(callbackData) {
-  const {
-    order_id,
-    invoice_id,
-    status,
-    price_amount,
-    price_currency,
-    pay_amount,
-    pay_currency,
-    amount,
-    amount_currency,
-    actually_paid,
-    actually_paid_at_fiat,
-    purchase_id,
-    outcome_amount,
-    outcome_currency,
-    created_at,
-    expiration_date
-  } = callbackData;
-
-  // PayID19 might not send status directly in webhook, so we need to determine it
-  let paymentStatus = status;
-  
-  // If status is undefined, try to determine status from available data or fetch from API
-  if (!paymentStatus) {
-    console.log('🔍 Status field not found in webhook, attempting to determine status...');
-    
-    // Try to fetch current invoice status from PayID19 API
-    try {
-      const invoiceResult = await payid19Service.getInvoices(order_id, invoice_id);
-      if (invoiceResult.success && invoiceResult.data) {
-        // Handle both single invoice and array of invoices
-        const invoiceData = Array.isArray(invoiceResult.data) ? invoiceResult.data[0] : invoiceResult.data;
-        if (invoiceData && invoiceData.status) {
-          paymentStatus = invoiceData.status;
-          console.log(`✅ Retrieved status from API: ${paymentStatus}`);
-          
-          // Update callbackData with additional info from API
-          Object.assign(callbackData, {
-            status: paymentStatus,
-            pay_amount: invoiceData.pay_amount || amount,
-            pay_currency: invoiceData.pay_currency || amount_currency,
-            actually_paid: invoiceData.actually_paid,
-            actually_paid_at_fiat: invoiceData.actually_paid_at_fiat
-          });
-        }
-      }
-    } catch (apiError) {
-      console.error('❌ Failed to fetch status from API:', apiError.message);
-    }
-    
-    // If still no status, try to infer from webhook data
-    if (!paymentStatus) {
-      console.log('🤔 Attempting to infer status from webhook data...');
-      
-      // Check if payment has been made (has amount and currency)
-      if (amount && amount_currency) {
-        const expectedAmount = parseFloat(price_amount);
-        const receivedAmount = parseFloat(amount);
-        
-        console.log(`💰 Payment analysis: Expected ${expectedAmount} ${price_currency}, Received ${receivedAmount} ${amount_currency}`);
-        
-        // If payment amount meets or exceeds expected amount (with tolerance), consider it finished
-        if (receivedAmount >= expectedAmount * 0.95) {
-          paymentStatus = 'finished';
-          console.log('💡 Inferred status as "finished" - payment amount sufficient');
-        } else if (receivedAmount > 0) {
-          paymentStatus = 'confirming';
-          console.log('💡 Inferred status as "confirming" - partial payment detected');
-        } else {
-          paymentStatus = 'waiting';
-          console.log('💡 Inferred status as "waiting" - no payment amount');
-        }
-      } else {
-        // No payment amount, likely waiting for payment
-        paymentStatus = 'waiting';
-        console.log('💡 Inferred status as "waiting" - no payment amount detected');
-      }
-      
-      // Update callbackData with inferred status and normalized amounts
-      callbackData.status = paymentStatus;
-      callbackData.pay_amount = amount;
-      callbackData.pay_currency = amount_currency;
-    }
-  }
-
-  console.log(`🔄 Processing payment notification for order ${order_id}:`, {
-    invoice_id,
-    status: paymentStatus,
-    price_amount,
-    price_currency,
-    pay_amount: callbackData.pay_amount,
-    pay_currency: callbackData.pay_currency,
-    inferred: !status // indicate if status was inferred
-  });
-}
-
-
 module.exports = router;
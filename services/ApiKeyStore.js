@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'api_keys';
+const KEY_PREFIX = 'cpk';
+
+// cpk_<key id>_<secret>; the key ID is stored in clear so a presented key is found without scanning
+const KEY_PATTERN = /^cpk_([a-f0-9]{16})_([a-f0-9]{64})$/;
+
+// How often lastUsedAt is written back, to avoid a storage write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * API keys of the clients allowed to use the payment API.
+ * Only an HMAC of each key (keyed with config.security.apiSecret) is stored; the key itself is shown once,
+ * when it is issued. Rotating API_SECRET therefore invalidates every issued key.
+ */
+class ApiKeyStore {
+  constructor(storage = getStorage()) {
+    // Only initialize if not already initialized
+    if (ApiKeyStore.instance) {
+      return ApiKeyStore.instance;
+    }
+
+    this.storage = storage;
+    this.secret = config.security.apiSecret;
+
+    // Store the instance
+    ApiKeyStore.instance = this;
+  }
+
+  /**
+   * Issue a new API key
+   * @param {Object} client - Key details
+   * @param {string} client.name - Who the key is for
+   * @param {string} client.merchantId - Merchant the key acts for (optional)
+   * @param {Array<string>} client.merchantIds - Other merchants the key may pick with X-Merchant-Id (optional)
+   * @returns {Promise<Object>} `{ key, apiKey }`: the plain key (never retrievable again) and the stored record
+   */
+  async issue({ name, merchantId = null, merchantIds = [] }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(32).toString('hex')}`;
+
+    const record = {
+      id,
+      name,
+      merchantId: merchantId || null,
+      merchantIds: [...new Set(merchantIds || [])].filter(id => id !== merchantId),
+      hash: this._hash(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    console.log(`🔑 Issuing API key ${id} for ${name}`);
+    const saved = await this.storage.set(COLLECTION, id, record);
+    return { key, apiKey: this.describe(saved) };
+  }
+
+  /**
+   * List issued keys, newest first
+   * @returns {Promise<Array<Object>>} Key descriptions (without hashes)
+   */
+  async list() {
+    const keys = await this.storage.list(COLLECTION);
+    return keys
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(record => this.describe(record));
+  }
+
+  /**
+   * Revoke a key; requests presenting it are rejected from now on
+   * @param {string} id - Key identifier
+   * @returns {Promise<Object|null>} Revoked key description, or null if the key doesn't exist
+   */
+  async revoke(id) {
+    const record = await this.storage.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      console.log(`🔒 Revoking API key ${id} (${record.name})`);
+      record.revokedAt = new Date().toISOString();
+      await this.storage.set(COLLECTION, id, record);
+    }
+    return this.describe(record);
+  }
+
+  /**
+   * Find the active key matching a presented credential
+   * @param {string} presentedKey - Key sent by the client
+   * @returns {Promise<Object|null>} Key description, or null if the key is unknown, wrong or revoked
+   */
+  async authenticate(presentedKey) {
+    const match = KEY_PATTERN.exec(presentedKey || '');
+    if (!match) {
+      return null;
+    }
+
+    const record = await this.storage.get(COLLECTION, match[1]);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const presented = Buffer.from(this._hash(presentedKey), 'hex');
+    if (!crypto.timingSafeEqual(expected, presented)) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      await this.storage.set(COLLECTION, record.id, record);
+    }
+
+    return this.describe(record);
+  }
+
+  /**
+   * Describe a key for API responses and request context
+   * @param {Object} record - Stored key
+   * @returns {Object} Key without its hash
+   */
+  describe(record) {
+    const { hash, ...description } = record;
+    return { ...description, active: !record.revokedAt };
+  }
+
+  /**
+   * Hash a key for storage
+   * @param {string} key - Plain API key
+   * @returns {string} Hex HMAC-SHA256 of the key
+   */
+  _hash(key) {
+    return crypto.createHmac('sha256', this.secret).update(key).digest('hex');
+  }
+}
+
+// Initialize static instance property
+ApiKeyStore.instance = null;
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { getStorage, TtlStore } = require('../storage');
+const { canonicalize } = require('../utils/signature');
+
+const COLLECTION = 'webhook_seen';
+
+// Fields excluded from the payload hash: credentials and values we add while processing
+const IGNORED_FIELDS = ['privatekey', 'private_key', 'public_key'];
+
+class CallbackDeduplicator {
+  constructor(storage = getStorage()) {
+    // Only initialize if not already initialized
+    if (CallbackDeduplicator.instance) {
+      return CallbackDeduplicator.instance;
+    }
+
+    this.ttlMs = config.webhooks.dedupeTtlSeconds * 1000;
+    this.seen = new TtlStore(storage, COLLECTION, this.ttlMs);
+
+    // Store the instance
+    CallbackDeduplicator.instance = this;
+  }
+
+  /**
+   * Build the idempotency key of a callback.
+   * Callbacks carrying a status are keyed on invoice + status; others on a hash of the payload.
+   * @param {string} invoiceId - Invoice identifier of the callback
+   * @param {Object} callbackData - Raw callback data
+   * @returns {string} Idempotency key
+   */
+  keyFor(invoiceId, callbackData) {
+    if (callbackData.status) {
+      return `${invoiceId}:${callbackData.status}`;
+    }
+
+    const payload = { ...callbackData };
+    IGNORED_FIELDS.forEach(field => delete payload[field]);
+    const hash = crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+    return `${invoiceId}:${hash}`;
+  }
+
+  /**
+   * Claim a callback for processing. The claim is atomic, so of two concurrent deliveries only one is processed.
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object>} `{ duplicate: true, firstSeenAt }` if already seen, otherwise `{ duplicate: false }`
+   */
+  async claim(key) {
+    const { added, value } = await this.seen.add(key, { seenAt: new Date().toISOString() });
+    if (!added) {
+      return { duplicate: true, firstSeenAt: value.seenAt };
+    }
+    return { duplicate: false };
+  }
+
+  /**
+   * Release a claim so a redelivery of the same callback is processed again
+   * Used when processing fails after the claim was taken.
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    await this.seen.delete(key);
+  }
+}
+
+// Initialize static instance property
+CallbackDeduplicator.instance = null;
+
+module.exports = CallbackDeduplicator;
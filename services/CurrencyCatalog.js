@@ -0,0 +1,137 @@
+const config = require('../config');
+
+// Fields that may carry the currency code in a gateway's currency list
+const CODE_FIELDS = ['currency', 'code', 'symbol', 'coin', 'ticker'];
+
+/**
+ * Cached list of the currencies each payment provider accepts.
+ * Lists are fetched on first use and kept for CURRENCIES_CACHE_TTL_SECONDS. When a list can't be
+ * fetched, currency checks fail open so a gateway hiccup doesn't block invoice creation.
+ */
+class CurrencyCatalog {
+  constructor() {
+    // Only initialize if not already initialized
+    if (CurrencyCatalog.instance) {
+      return CurrencyCatalog.instance;
+    }
+
+    this.ttlMs = config.currencies.cacheTtlSeconds * 1000;
+    this.entries = new Map();
+    this.pending = new Map();
+
+    // Store the instance
+    CurrencyCatalog.instance = this;
+  }
+
+  /**
+   * Get the currencies a provider accepts, from cache when fresh
+   * @param {Object} provider - PaymentProvider instance
+   * @returns {Promise<Object>} `{ success, currencies, codes, fetchedAt, cached }` or `{ success: false, error }`
+   */
+  async getCurrencies(provider) {
+    if (typeof provider.getCurrencies !== 'function') {
+      return { success: false, error: `Payment provider ${provider.name} does not list its currencies` };
+    }
+
+    const entry = this.entries.get(provider.name);
+    if (entry && entry.expiresAt > Date.now()) {
+      return { success: true, ...this._view(entry), cached: true };
+    }
+
+    // Share one upstream request between concurrent callers
+    if (!this.pending.has(provider.name)) {
+      this.pending.set(provider.name, this._fetch(provider).finally(() => {
+        this.pending.delete(provider.name);
+      }));
+    }
+    return this.pending.get(provider.name);
+  }
+
+  /**
+   * Check whether a provider accepts a currency
+   * @param {Object} provider - PaymentProvider instance
+   * @param {string} currency - Currency code
+   * @returns {Promise<boolean|null>} True or false, or null when the currency list is unavailable
+   */
+  async isSupported(provider, currency) {
+    const result = await this.getCurrencies(provider);
+    if (!result.success || result.codes.length === 0) {
+      console.warn(`⚠️ Currency list for ${provider.name} unavailable, accepting ${currency} unchecked`);
+      return null;
+    }
+
+    return result.codes.includes(String(currency).toUpperCase());
+  }
+
+  /**
+   * Fetch and cache a provider's currency list
+   * @param {Object} provider - PaymentProvider instance
+   * @returns {Promise<Object>} Currency list result
+   */
+  async _fetch(provider) {
+    try {
+      const result = await provider.getCurrencies();
+      if (!result.success) {
+        console.error(`❌ Failed to fetch currencies from ${provider.name}:`, result.error);
+        return { success: false, error: result.error };
+      }
+
+      const now = Date.now();
+      const entry = {
+        currencies: result.data,
+        codes: this._extractCodes(result.data),
+        fetchedAt: now,
+        expiresAt: now + this.ttlMs
+      };
+      this.entries.set(provider.name, entry);
+      console.log(`💱 Cached ${entry.codes.length} currencies for ${provider.name}`);
+
+      return { success: true, ...this._view(entry), cached: false };
+    } catch (error) {
+      console.error(`💥 Error fetching currencies from ${provider.name}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Extract currency codes from a gateway currency list.
+   * Accepts a list of codes, a list of objects carrying the code, or an object keyed by code.
+   * @param {Array|Object} currencies - Currency list as returned by the gateway
+   * @returns {Array<string>} Upper-case currency codes
+   */
+  _extractCodes(currencies) {
+    let codes = [];
+
+    if (Array.isArray(currencies)) {
+      codes = currencies.map(currency => {
+        if (typeof currency === 'string') {
+          return currency;
+        }
+        const field = currency && CODE_FIELDS.find(name => typeof currency[name] === 'string');
+        return field ? currency[field] : null;
+      });
+    } else if (currencies && typeof currencies === 'object') {
+      codes = Object.keys(currencies);
+    }
+
+    return [...new Set(codes.filter(Boolean).map(code => code.trim().toUpperCase()))];
+  }
+
+  /**
+   * Format a cache entry for callers
+   * @param {Object} entry - Cache entry
+   * @returns {Object} Currency list view
+   */
+  _view(entry) {
+    return {
+      currencies: entry.currencies,
+      codes: entry.codes,
+      fetchedAt: new Date(entry.fetchedAt).toISOString()
+    };
+  }
+}
+
+// Initialize static instance property
+CurrencyCatalog.instance = null;
+
+module.exports = CurrencyCatalog;
@@ -0,0 +1,250 @@
+const config = require('../config');
+const InvoiceLifecycle = require('./InvoiceLifecycle');
+const InvoiceStore = require('./InvoiceStore');
+
+const { TRANSITION_REJECTED_EVENT, PAID_AFTER_EXPIRY_EVENT } = InvoiceLifecycle;
+
+// Events that don't change the invoice status
+const NON_TRANSITION_EVENTS = [TRANSITION_REJECTED_EVENT, PAID_AFTER_EXPIRY_EVENT];
+
+const EVENT_NAME = 'status';
+const RETRY_MS = 5000;
+
+/**
+ * Server-Sent Events fan-out of invoice status changes.
+ * Every accepted lifecycle transition (webhook, API lookup, background refresh) is pushed to the
+ * clients watching that invoice. Event IDs are positions in the invoice's status history, so a
+ * reconnecting client's Last-Event-ID replays exactly the transitions it missed, even across restarts.
+ */
+class InvoiceEventStream {
+  constructor() {
+    // Only initialize if not already initialized
+    if (InvoiceEventStream.instance) {
+      return InvoiceEventStream.instance;
+    }
+
+    this.invoiceStore = new InvoiceStore();
+    this.lifecycle = new InvoiceLifecycle();
+    this.heartbeatMs = config.events.heartbeatSeconds * 1000;
+    this.maxClientsPerInvoice = config.events.maxClientsPerInvoice;
+    this.clients = new Map();
+    this.heartbeatTimer = null;
+
+    this.lifecycle.on('*', (event) => this._onLifecycleEvent(event));
+
+    // Store the instance
+    InvoiceEventStream.instance = this;
+  }
+
+  /**
+   * Check whether another client may watch an invoice
+   * @param {string} invoiceId - Invoice identifier
+   * @returns {boolean} False when the per-invoice client limit is reached
+   */
+  canSubscribe(invoiceId) {
+    const watchers = this.clients.get(invoiceId);
+    return !watchers || watchers.size < this.maxClientsPerInvoice;
+  }
+
+  /**
+   * Answer an event stream request for an invoice the caller may watch.
+   * Enforces the per-invoice client limit and resumes after the client's Last-Event-ID.
+   * @param {string} invoiceId - Invoice identifier
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<void>}
+   */
+  async serve(invoiceId, req, res) {
+    if (!this.canSubscribe(invoiceId)) {
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Too many open event streams for invoice ${invoiceId}`
+      });
+      return;
+    }
+
+    // EventSource sends Last-Event-ID on reconnects; the query parameter covers clients that can't set headers
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    await this.subscribe(invoiceId, req, res, lastEventId);
+  }
+
+  /**
+   * Open an event stream for an invoice.
+   * Sends the transitions after lastEventId, or the current status when there is nothing to resume,
+   * then every new transition until the client disconnects.
+   * @param {string} invoiceId - Invoice identifier
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string|null} lastEventId - Last-Event-ID sent by a reconnecting client
+   * @returns {Promise<void>}
+   */
+  async subscribe(invoiceId, req, res, lastEventId = null) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Register before reading the invoice so no transition slips through; live events are
+    // queued until the initial events are written
+    const client = { res, lastId: -1, queue: [] };
+    this._add(invoiceId, client);
+    req.on('close', () => this._remove(invoiceId, client));
+
+    const invoice = await this.invoiceStore.findByInvoiceId(invoiceId);
+    const history = (invoice && invoice.history) || [];
+    const resumeFrom = this._parseEventId(lastEventId);
+
+    if (resumeFrom !== null && resumeFrom <= history.length) {
+      console.log(`📡 SSE client resumed invoice ${invoiceId} after event ${resumeFrom}`);
+      history.slice(resumeFrom).forEach((entry, index) => {
+        this._send(client, resumeFrom + index + 1, this._formatEntry(invoice, entry));
+      });
+      client.lastId = Math.max(client.lastId, resumeFrom);
+    } else if (invoice) {
+      console.log(`📡 SSE client subscribed to invoice ${invoiceId} (${invoice.status})`);
+      const latest = history[history.length - 1] || { status: invoice.status, at: invoice.updatedAt };
+      this._send(client, history.length, this._formatEntry(invoice, { ...latest, status: invoice.status }));
+    }
+
+    const queued = client.queue;
+    client.queue = null;
+    queued.forEach(({ id, data }) => this._send(client, id, data));
+  }
+
+  /**
+   * Push a lifecycle transition to the clients watching the invoice
+   * @param {Object} event - Lifecycle event
+   */
+  _onLifecycleEvent(event) {
+    if (NON_TRANSITION_EVENTS.includes(event.type) || !event.invoice) {
+      return;
+    }
+
+    const watchers = this.clients.get(event.invoice.invoiceId);
+    if (!watchers) {
+      return;
+    }
+
+    // Several pending transitions can be published together, after later ones were saved: identify each by its
+    // own position in the history rather than by the invoice's latest state
+    const history = event.invoice.history || [];
+    const id = event.sequence || this._findSequence(history, event) || history.length;
+    const data = this._formatEntry(event.invoice, history[id - 1] || {
+      status: event.invoice.status,
+      previousStatus: event.previousStatus,
+      source: event.source,
+      at: event.at
+    });
+
+    watchers.forEach(client => {
+      if (client.queue) {
+        client.queue.push({ id, data });
+      } else {
+        this._send(client, id, data);
+      }
+    });
+  }
+
+  /**
+   * Locate the history entry of an event queued before events carried their sequence
+   * @param {Array<Object>} history - Invoice status history
+   * @param {Object} event - Lifecycle event
+   * @returns {number} 1-based position of the entry, 0 when not found
+   */
+  _findSequence(history, event) {
+    return history.findIndex(entry => entry.status === event.invoice.status && entry.at === event.at) + 1;
+  }
+
+  /**
+   * Build the event payload for a status history entry
+   * @param {Object} invoice - Invoice record
+   * @param {Object} entry - History entry `{ status, previousStatus, source, at }`
+   * @returns {Object} Event data
+   */
+  _formatEntry(invoice, entry) {
+    return {
+      type: this.lifecycle.eventFor(entry.status),
+      invoiceId: invoice.invoiceId,
+      orderId: invoice.orderId,
+      status: entry.status,
+      previousStatus: entry.previousStatus || null,
+      source: entry.source || null,
+      at: entry.at || null
+    };
+  }
+
+  /**
+   * Write an event, skipping IDs the client already has
+   * @param {Object} client - Connected client
+   * @param {number} id - Event ID (position in the status history)
+   * @param {Object} data - Event data
+   */
+  _send(client, id, data) {
+    if (id <= client.lastId || client.res.destroyed) {
+      return;
+    }
+    client.lastId = id;
+    client.res.write(`id: ${id}\nevent: ${EVENT_NAME}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Parse a Last-Event-ID value
+   * @param {string|null} value - Raw value
+   * @returns {number|null} History position, or null when absent or malformed
+   */
+  _parseEventId(value) {
+    if (value === null || value === undefined || !/^\d+$/.test(String(value))) {
+      return null;
+    }
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Register a client and make sure heartbeats are running
+   * @param {string} invoiceId - Invoice identifier
+   * @param {Object} client - Connected client
+   */
+  _add(invoiceId, client) {
+    if (!this.clients.has(invoiceId)) {
+      this.clients.set(invoiceId, new Set());
+    }
+    this.clients.get(invoiceId).add(client);
+
+    if (!this.heartbeatTimer) {
+      // Comment lines keep proxies and load balancers from closing idle streams
+      this.heartbeatTimer = setInterval(() => {
+        this.clients.forEach(watchers => watchers.forEach(watcher => watcher.res.write(': heartbeat\n\n')));
+      }, this.heartbeatMs);
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Unregister a disconnected client and stop heartbeats when nobody is left
+   * @param {string} invoiceId - Invoice identifier
+   * @param {Object} client - Connected client
+   */
+  _remove(invoiceId, client) {
+    const watchers = this.clients.get(invoiceId);
+    if (watchers) {
+      watchers.delete(client);
+      if (watchers.size === 0) {
+        this.clients.delete(invoiceId);
+      }
+    }
+
+    if (this.clients.size === 0 && this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+}
+
+// Initialize static instance property
+InvoiceEventStream.instance = null;
+
+module.exports = InvoiceEventStream;
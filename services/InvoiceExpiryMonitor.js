@@ -0,0 +1,123 @@
+const config = require('../config');
+const InvoiceStore = require('./InvoiceStore');
+const InvoiceLifecycle = require('./InvoiceLifecycle');
+
+const { STATES } = InvoiceLifecycle;
+
+const SOURCE = 'expiry';
+
+/**
+ * Expires locally tracked invoices whose expires_at has passed.
+ * Runs without asking upstream, so invoice.expired notifications go out even when the gateway never
+ * reports the expiry. A payment reported afterwards is flagged for manual review by the invoice store.
+ */
+class InvoiceExpiryMonitor {
+  constructor() {
+    // Only initialize if not already initialized
+    if (InvoiceExpiryMonitor.instance) {
+      return InvoiceExpiryMonitor.instance;
+    }
+
+    this.invoiceStore = new InvoiceStore();
+    this.intervalMs = config.invoices.expiryCheckIntervalSeconds * 1000;
+    this.graceMs = config.invoices.expiryGraceSeconds * 1000;
+    this.timer = null;
+    this.checking = null;
+
+    // Store the instance
+    InvoiceExpiryMonitor.instance = this;
+  }
+
+  /**
+   * Start checking for overdue invoices periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`⏰ Starting invoice expiry monitor (every ${this.intervalMs / 1000}s, grace ${this.graceMs / 1000}s)`);
+    this.timer = setInterval(() => {
+      this.expireOverdue().catch(error => console.error('💥 Invoice expiry check failed:', error));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop checking
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check whether an invoice is still waiting after its expiry
+   * @param {Object} invoice - Invoice record
+   * @param {number} graceMs - Extra time allowed after expires_at
+   * @returns {boolean} True if the invoice should be expired
+   */
+  isOverdue(invoice, graceMs = this.graceMs) {
+    if (invoice.status !== STATES.WAITING || !invoice.expiresAt) {
+      return false;
+    }
+
+    const expiresAt = new Date(invoice.expiresAt).getTime();
+    return !Number.isNaN(expiresAt) && expiresAt + graceMs <= Date.now();
+  }
+
+  /**
+   * Expire one invoice
+   * @param {Object} invoice - Invoice record
+   * @returns {Promise<Object>} Result of InvoiceStore.recordStatus
+   */
+  async expire(invoice) {
+    console.log(`⏰ Invoice ${invoice.invoiceId} (order ${invoice.orderId}) expired at ${invoice.expiresAt}`);
+    return this.invoiceStore.recordStatus(invoice.invoiceId, STATES.EXPIRED, {
+      source: SOURCE,
+      orderId: invoice.orderId
+    });
+  }
+
+  /**
+   * Expire every waiting invoice past its expires_at (plus grace). Overlapping calls share the running check.
+   * @returns {Promise<number>} Number of invoices expired
+   */
+  async expireOverdue() {
+    if (!this.checking) {
+      this.checking = this._expireOverdue().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  /**
+   * Run one expiry check
+   * @returns {Promise<number>} Number of invoices expired
+   */
+  async _expireOverdue() {
+    const overdue = (await this.invoiceStore.listByStatus([STATES.WAITING]))
+      .filter(invoice => this.isOverdue(invoice));
+
+    let expired = 0;
+    for (const invoice of overdue) {
+      const { changed } = await this.expire(invoice);
+      if (changed) {
+        expired++;
+      }
+    }
+
+    if (expired > 0) {
+      console.log(`⏰ Expired ${expired} overdue invoice(s)`);
+    }
+    return expired;
+  }
+}
+
+// Initialize static instance property
+InvoiceExpiryMonitor.instance = null;
+
+module.exports = InvoiceExpiryMonitor;
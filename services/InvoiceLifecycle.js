@@ -0,0 +1,161 @@
+const EventEmitter = require('events');
+
+/**
+ * Invoice states
+ */
+const STATES = {
+  WAITING: 'waiting',
+  CONFIRMING: 'confirming',
+  PARTIALLY_PAID: 'partially_paid',
+  FINISHED: 'finished',
+  OVERPAID: 'overpaid',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+  FAILED: 'failed'
+};
+
+/**
+ * Allowed transitions, keyed by the current state
+ */
+const TRANSITIONS = {
+  [STATES.WAITING]: [STATES.CONFIRMING, STATES.PARTIALLY_PAID, STATES.FINISHED, STATES.OVERPAID, STATES.EXPIRED, STATES.CANCELLED, STATES.FAILED],
+  [STATES.CONFIRMING]: [STATES.PARTIALLY_PAID, STATES.FINISHED, STATES.OVERPAID, STATES.FAILED],
+  [STATES.PARTIALLY_PAID]: [STATES.CONFIRMING, STATES.FINISHED, STATES.OVERPAID, STATES.EXPIRED, STATES.CANCELLED, STATES.FAILED, STATES.REFUNDED],
+  [STATES.FINISHED]: [STATES.OVERPAID, STATES.REFUNDED],
+  [STATES.OVERPAID]: [STATES.REFUNDED],
+  [STATES.EXPIRED]: [],
+  [STATES.CANCELLED]: [],
+  [STATES.REFUNDED]: [],
+  [STATES.FAILED]: [STATES.REFUNDED]
+};
+
+/**
+ * Event emitted when an invoice enters a state
+ */
+const STATE_EVENTS = {
+  [STATES.WAITING]: 'invoice.created',
+  [STATES.CONFIRMING]: 'invoice.confirming',
+  [STATES.PARTIALLY_PAID]: 'invoice.partially_paid',
+  [STATES.FINISHED]: 'invoice.paid',
+  [STATES.OVERPAID]: 'invoice.overpaid',
+  [STATES.EXPIRED]: 'invoice.expired',
+  [STATES.CANCELLED]: 'invoice.cancelled',
+  [STATES.REFUNDED]: 'invoice.refunded',
+  [STATES.FAILED]: 'invoice.failed'
+};
+
+const TRANSITION_REJECTED_EVENT = 'invoice.transition_rejected';
+
+// Emitted instead of TRANSITION_REJECTED_EVENT when a payment is reported for an expired invoice
+const PAID_AFTER_EXPIRY_EVENT = 'invoice.paid_after_expiry';
+
+/**
+ * Gateway and legacy spellings of our states
+ */
+const STATUS_ALIASES = {
+  0: STATES.WAITING,
+  1: STATES.FINISHED,
+  new: STATES.WAITING,
+  pending: STATES.WAITING,
+  confirmed: STATES.CONFIRMING,
+  sending: STATES.CONFIRMING,
+  partial: STATES.PARTIALLY_PAID,
+  paid: STATES.FINISHED,
+  success: STATES.FINISHED,
+  completed: STATES.FINISHED,
+  canceled: STATES.CANCELLED,
+  error: STATES.FAILED
+};
+
+/**
+ * Single source of truth for the invoice lifecycle.
+ * Validates status transitions and emits typed events (invoice.paid, invoice.expired, ...) that the
+ * rest of the service subscribes to. Listeners may be async; publish() waits for all of them so callers
+ * can rely on side effects (e.g. queued notifications) being persisted.
+ */
+class InvoiceLifecycle extends EventEmitter {
+  constructor() {
+    // Only initialize if not already initialized
+    if (InvoiceLifecycle.instance) {
+      return InvoiceLifecycle.instance;
+    }
+
+    super();
+
+    // Store the instance
+    InvoiceLifecycle.instance = this;
+  }
+
+  /**
+   * Map a gateway or legacy status onto a lifecycle state
+   * @param {string|number} status - Raw status
+   * @returns {string|null} Lifecycle state, or null if the status is unknown
+   */
+  normalizeStatus(status) {
+    if (status === undefined || status === null || status === '') {
+      return null;
+    }
+
+    const key = String(status).trim().toLowerCase();
+    if (Object.values(STATES).includes(key)) {
+      return key;
+    }
+    return STATUS_ALIASES[key] || null;
+  }
+
+  /**
+   * Check whether an invoice may move from one state to another
+   * @param {string|null} from - Current state (null for invoices we haven't seen yet)
+   * @param {string} to - Requested state
+   * @returns {Object} `{ allowed, reason }`
+   */
+  evaluate(from, to) {
+    if (!Object.values(STATES).includes(to)) {
+      return { allowed: false, reason: `Unknown status "${to}"` };
+    }
+
+    // First sighting of an invoice created elsewhere: any state is acceptable
+    if (!from) {
+      return { allowed: true, reason: null };
+    }
+
+    if ((TRANSITIONS[from] || []).includes(to)) {
+      return { allowed: true, reason: null };
+    }
+
+    return { allowed: false, reason: `Illegal transition ${from} → ${to}` };
+  }
+
+  /**
+   * Get the event type emitted when an invoice enters a state
+   * @param {string} state - Lifecycle state
+   * @returns {string} Event type
+   */
+  eventFor(state) {
+    return STATE_EVENTS[state] || 'invoice.updated';
+  }
+
+  /**
+   * Emit an event and wait for every listener, including wildcard ('*') listeners
+   * @param {string} type - Event type
+   * @param {Object} event - Event payload
+   * @returns {Promise<void>}
+   */
+  async publish(type, event) {
+    const payload = { ...event, type };
+    const listeners = [...this.listeners(type), ...this.listeners('*')];
+    await Promise.all(listeners.map(listener => listener(payload)));
+  }
+}
+
+// Initialize static instance property
+InvoiceLifecycle.instance = null;
+
+InvoiceLifecycle.STATES = STATES;
+InvoiceLifecycle.TRANSITIONS = TRANSITIONS;
+InvoiceLifecycle.STATE_EVENTS = STATE_EVENTS;
+InvoiceLifecycle.TRANSITION_REJECTED_EVENT = TRANSITION_REJECTED_EVENT;
+InvoiceLifecycle.PAID_AFTER_EXPIRY_EVENT = PAID_AFTER_EXPIRY_EVENT;
+
+module.exports = InvoiceLifecycle;
@@ -0,0 +1,274 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getStorage } = require('../storage');
+const InvoiceStore = require('./InvoiceStore');
+const InvoiceLifecycle = require('./InvoiceLifecycle');
+const InvoiceStatusResolver = require('./InvoiceStatusResolver');
+const PaymentProviderRegistry = require('./PaymentProviderRegistry');
+const PaymentNotificationProcessor = require('./PaymentNotificationProcessor');
+
+const { STATES } = InvoiceLifecycle;
+const { RESOLUTION } = InvoiceStatusResolver;
+
+const REPORTS_COLLECTION = 'reconciliation_reports';
+const SOURCE = 'reconciliation';
+
+// Invoices that are still waiting for something to happen upstream
+const OPEN_STATES = [STATES.WAITING, STATES.CONFIRMING];
+
+/**
+ * What a sweep did about an invoice whose local status didn't match upstream
+ */
+const ACTIONS = {
+  UPDATED: 'updated',
+  EXPIRED: 'expired',
+  REJECTED: 'rejected',
+  UNRESOLVED: 'unresolved'
+};
+
+/**
+ * Background job that catches invoices whose callback never arrived.
+ * Open invoices that haven't been updated for a while are re-queried upstream through their provider
+ * (for PayID19, _makeInvoiceRequest via the status resolver) and any status change is applied as if
+ * the webhook had delivered it. Waiting invoices past their expires_at are marked expired.
+ * Every sweep stores a report of the discrepancies it found.
+ */
+class InvoiceReconciler {
+  constructor(storage = getStorage()) {
+    // Only initialize if not already initialized
+    if (InvoiceReconciler.instance) {
+      return InvoiceReconciler.instance;
+    }
+
+    this.storage = storage;
+    this.invoiceStore = new InvoiceStore();
+    this.providerRegistry = new PaymentProviderRegistry();
+    this.notificationProcessor = new PaymentNotificationProcessor();
+    this.settings = config.reconciliation;
+    this.timer = null;
+    this.sweeping = null;
+
+    // Store the instance
+    InvoiceReconciler.instance = this;
+  }
+
+  /**
+   * Start sweeping periodically
+   */
+  start() {
+    if (this.timer || !this.settings.enabled) {
+      return;
+    }
+
+    console.log(`🧮 Starting invoice reconciliation (every ${this.settings.intervalSeconds}s, concurrency ${this.settings.concurrency})`);
+    this.timer = setInterval(() => {
+      this.sweep('schedule').catch(error => console.error('💥 Reconciliation sweep failed:', error));
+    }, this.settings.intervalSeconds * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reconcile stale open invoices. Overlapping calls share the running sweep.
+   * @param {string} trigger - What started the sweep (schedule, manual)
+   * @returns {Promise<Object>} Sweep report
+   */
+  async sweep(trigger = 'manual') {
+    if (!this.sweeping) {
+      this.sweeping = this._sweep(trigger).finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  /**
+   * List the most recent sweep reports
+   * @param {number} limit - Maximum number of reports
+   * @returns {Promise<Array<Object>>} Reports, newest first
+   */
+  async listReports(limit = 10) {
+    const reports = await this.storage.list(REPORTS_COLLECTION);
+    return reports
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Compare one invoice with upstream and apply what upstream says
+   * @param {Object} invoice - Invoice record
+   * @returns {Promise<Object|null>} Discrepancy, or null when the invoice is in sync
+   */
+  async reconcile(invoice) {
+    const provider = this.providerRegistry.forInvoice(invoice);
+    const expired = !!invoice.expiresAt && new Date(invoice.expiresAt).getTime() <= Date.now();
+
+    const resolution = await provider.getInvoice({
+      orderId: invoice.orderId,
+      invoiceId: invoice.invoiceId,
+      expectedAmount: invoice.priceAmount
+    });
+
+    const discrepancy = {
+      invoiceId: invoice.invoiceId,
+      orderId: invoice.orderId,
+      provider: provider.name,
+      localStatus: invoice.status,
+      upstreamStatus: resolution.status,
+      action: null,
+      newStatus: null,
+      reason: resolution.reason || null
+    };
+
+    if (resolution.resolved) {
+      // Treat the upstream invoice like a callback, so the payment policy applies as well
+      const callbackData = {
+        ...resolution.invoice,
+        order_id: invoice.orderId,
+        invoice_id: invoice.invoiceId,
+        status: resolution.status
+      };
+      const { status, payment } = await this.notificationProcessor.process(callbackData, invoice, provider);
+
+      if (status !== invoice.status) {
+        const { rejected } = await this.invoiceStore.recordStatus(invoice.invoiceId, status, {
+          source: SOURCE,
+          orderId: invoice.orderId,
+          payload: resolution.invoice,
+          fields: {
+            payAmount: callbackData.pay_amount,
+            payCurrency: callbackData.pay_currency,
+            payAddress: callbackData.pay_address,
+            payment
+          }
+        });
+        return { ...discrepancy, action: rejected ? ACTIONS.REJECTED : ACTIONS.UPDATED, newStatus: status };
+      }
+
+      if (status !== STATES.WAITING || !expired) {
+        return null;
+      }
+    } else if (!(resolution.resolution === RESOLUTION.NOT_FOUND && expired)) {
+      // Upstream couldn't tell us anything reliable: report it and leave the invoice alone
+      return { ...discrepancy, action: ACTIONS.UNRESOLVED };
+    }
+
+    // Still waiting (or gone upstream) after expires_at: nobody will pay this invoice anymore
+    if (invoice.status !== STATES.WAITING) {
+      return { ...discrepancy, action: ACTIONS.UNRESOLVED };
+    }
+
+    const { rejected } = await this.invoiceStore.recordStatus(invoice.invoiceId, STATES.EXPIRED, {
+      source: SOURCE,
+      orderId: invoice.orderId
+    });
+    return {
+      ...discrepancy,
+      action: rejected ? ACTIONS.REJECTED : ACTIONS.EXPIRED,
+      newStatus: STATES.EXPIRED,
+      reason: `Past expires_at (${invoice.expiresAt})`
+    };
+  }
+
+  /**
+   * Run one sweep with a bounded number of concurrent upstream lookups
+   * @param {string} trigger - What started the sweep
+   * @returns {Promise<Object>} Stored sweep report
+   */
+  async _sweep(trigger) {
+    const startedAt = new Date().toISOString();
+
+    // Events whose publish failed (e.g. the outbox write) would otherwise wait for the next callback
+    await this.invoiceStore.publishPending().catch(error => {
+      console.error('💥 Failed to publish pending invoice events:', error);
+    });
+
+    const staleBefore = Date.now() - this.settings.staleAfterSeconds * 1000;
+
+    // Least recently checked first (never checked before anything else), so invoices that stay in sync
+    // don't keep the rest of the backlog out of a full batch
+    const candidates = (await this.invoiceStore.listByStatus(OPEN_STATES))
+      .filter(invoice => new Date(invoice.updatedAt || invoice.createdAt).getTime() <= staleBefore)
+      .sort((a, b) => (a.lastReconciledAt || '').localeCompare(b.lastReconciledAt || ''))
+      .slice(0, this.settings.batchSize);
+
+    console.log(`🧮 Reconciliation sweep (${trigger}): ${candidates.length} stale open invoices`);
+
+    const queue = [...candidates];
+    const discrepancies = [];
+    const errors = [];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const invoice = queue.shift();
+        try {
+          const discrepancy = await this.reconcile(invoice);
+          if (discrepancy) {
+            console.log(`🧮 Invoice ${invoice.invoiceId}: ${discrepancy.action} (local ${discrepancy.localStatus}, upstream ${discrepancy.upstreamStatus})`);
+            discrepancies.push(discrepancy);
+          }
+        } catch (error) {
+          console.error(`💥 Failed to reconcile invoice ${invoice.invoiceId}:`, error);
+          errors.push({ invoiceId: invoice.invoiceId, orderId: invoice.orderId, error: error.message });
+        }
+
+        await this.invoiceStore.markReconciled(invoice.invoiceId).catch(error => {
+          console.error(`💥 Failed to record reconciliation of invoice ${invoice.invoiceId}:`, error);
+        });
+      }
+    };
+
+    const concurrency = Math.max(1, Math.min(this.settings.concurrency, candidates.length));
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const countOf = (action) => discrepancies.filter(discrepancy => discrepancy.action === action).length;
+    const report = {
+      id: `rec_${uuidv4()}`,
+      trigger,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      checked: candidates.length,
+      inSync: candidates.length - discrepancies.length - errors.length,
+      updated: countOf(ACTIONS.UPDATED),
+      expired: countOf(ACTIONS.EXPIRED),
+      rejected: countOf(ACTIONS.REJECTED),
+      unresolved: countOf(ACTIONS.UNRESOLVED),
+      discrepancies,
+      errors
+    };
+
+    await this.storage.set(REPORTS_COLLECTION, report.id, report);
+    await this._pruneReports();
+
+    console.log(`🧮 Reconciliation finished: ${report.checked} checked, ${report.updated} updated, ${report.expired} expired, ${report.rejected} rejected, ${report.unresolved} unresolved, ${errors.length} errors`);
+    return report;
+  }
+
+  /**
+   * Keep only the most recent sweep reports
+   */
+  async _pruneReports() {
+    const reports = await this.storage.list(REPORTS_COLLECTION);
+    const outdated = reports
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(this.settings.reportsToKeep);
+
+    await Promise.all(outdated.map(report => this.storage.delete(REPORTS_COLLECTION, report.id)));
+  }
+}
+
+// Initialize static instance property
+InvoiceReconciler.instance = null;
+
+InvoiceReconciler.ACTIONS = ACTIONS;
+
+module.exports = InvoiceReconciler;
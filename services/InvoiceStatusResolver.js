@@ -0,0 +1,176 @@
+const InvoiceLifecycle = require('./InvoiceLifecycle');
+
+const { STATES } = InvoiceLifecycle;
+
+/**
+ * Resolution outcomes besides a lifecycle state
+ */
+const RESOLUTION = {
+  RESOLVED: 'resolved',
+  UNKNOWN: 'unknown',
+  NOT_FOUND: 'not_found',
+  ERROR: 'error'
+};
+
+// PayID19 get_invoices status filter values
+const UPSTREAM_WAITING = 0;
+const UPSTREAM_PAID = 1;
+
+/**
+ * Determines the status of an invoice from PayID19 without guessing.
+ * Both upstream status filters (0 = waiting, 1 = paid) are queried and the returned invoice is
+ * cross-checked against the requested order/invoice ID and, when known, the expected amount.
+ * Anything that cannot be established is reported explicitly as unknown, not_found or error.
+ */
+class InvoiceStatusResolver {
+  /**
+   * @param {Object} paymentService - Service exposing _makeInvoiceRequest(orderId, invoiceId, status)
+   */
+  constructor(paymentService) {
+    this.paymentService = paymentService;
+    this.lifecycle = new InvoiceLifecycle();
+  }
+
+  /**
+   * Resolve the status of an invoice
+   * @param {Object} criteria - Lookup criteria (at least one ID is required)
+   * @param {string} criteria.orderId - Order identifier (optional)
+   * @param {string} criteria.invoiceId - Invoice identifier (optional)
+   * @param {number|string} criteria.expectedAmount - Expected price amount for cross-checking (optional)
+   * @returns {Promise<Object>} `{ resolution, status, invoice, reason }` where status is a lifecycle
+   *   state when resolved, otherwise the resolution itself (unknown, not_found or error)
+   */
+  async resolve({ orderId = null, invoiceId = null, expectedAmount = null } = {}) {
+    if (!orderId && !invoiceId) {
+      return this._outcome(RESOLUTION.ERROR, null, 'orderId or invoiceId is required');
+    }
+
+    const [waitingResult, paidResult] = await Promise.all([
+      this.paymentService._makeInvoiceRequest(orderId, invoiceId, UPSTREAM_WAITING),
+      this.paymentService._makeInvoiceRequest(orderId, invoiceId, UPSTREAM_PAID)
+    ]);
+
+    const waitingMatch = this._findMatch(waitingResult, { orderId, invoiceId });
+    const paidMatch = this._findMatch(paidResult, { orderId, invoiceId });
+
+    console.log('🔎 Status resolution:', {
+      orderId,
+      invoiceId,
+      waitingQuery: waitingResult.success ? (waitingMatch ? 'match' : 'no match') : 'failed',
+      paidQuery: paidResult.success ? (paidMatch ? 'match' : 'no match') : 'failed'
+    });
+
+    if (waitingMatch && paidMatch) {
+      return this._outcome(RESOLUTION.UNKNOWN, paidMatch, 'Invoice reported as both waiting and paid');
+    }
+
+    const match = paidMatch || waitingMatch;
+    if (!match) {
+      if (!waitingResult.success || !paidResult.success) {
+        const error = waitingResult.error || paidResult.error || 'Upstream request failed';
+        return this._outcome(RESOLUTION.ERROR, null, error);
+      }
+      return this._outcome(RESOLUTION.NOT_FOUND, null, 'No matching invoice upstream');
+    }
+
+    if (!this._amountMatches(match, expectedAmount)) {
+      return this._outcome(
+        RESOLUTION.UNKNOWN,
+        match,
+        `Amount mismatch: expected ${expectedAmount}, upstream reports ${match.price_amount}`
+      );
+    }
+
+    const fallbackStatus = paidMatch ? STATES.FINISHED : STATES.WAITING;
+    const status = this.lifecycle.normalizeStatus(match.status) || fallbackStatus;
+    return this._outcome(RESOLUTION.RESOLVED, match, null, status);
+  }
+
+  /**
+   * Get the gateway invoice identifier of an upstream invoice
+   * @param {Object} invoice - Upstream invoice data
+   * @returns {string|null} Invoice identifier
+   */
+  invoiceIdOf(invoice) {
+    if (!invoice) {
+      return null;
+    }
+    const id = invoice.alias || invoice.invoice_id || invoice.id;
+    return id === undefined || id === null ? null : String(id);
+  }
+
+  /**
+   * Find the upstream invoice matching the requested identifiers
+   * @param {Object} result - Result of _makeInvoiceRequest
+   * @param {Object} criteria - Requested orderId and invoiceId
+   * @returns {Object|null} Matching upstream invoice
+   */
+  _findMatch(result, { orderId, invoiceId }) {
+    if (!result.success || !result.data) {
+      return null;
+    }
+
+    const invoices = Array.isArray(result.data) ? result.data : [result.data];
+    return invoices.find(invoice => {
+      if (!invoice || typeof invoice !== 'object') {
+        return false;
+      }
+
+      if (orderId && String(invoice.order_id) !== String(orderId)) {
+        return false;
+      }
+
+      if (invoiceId) {
+        const candidates = [invoice.alias, invoice.invoice_id, invoice.id]
+          .filter(value => value !== undefined && value !== null)
+          .map(String);
+        if (!candidates.includes(String(invoiceId))) {
+          return false;
+        }
+      }
+
+      return true;
+    }) || null;
+  }
+
+  /**
+   * Compare the upstream price with the expected amount, when both are known
+   * @param {Object} invoice - Upstream invoice data
+   * @param {number|string} expectedAmount - Expected price amount
+   * @returns {boolean} False only when both amounts are known and differ
+   */
+  _amountMatches(invoice, expectedAmount) {
+    if (expectedAmount === null || expectedAmount === undefined || invoice.price_amount === undefined) {
+      return true;
+    }
+
+    return Math.abs(parseFloat(invoice.price_amount) - parseFloat(expectedAmount)) < 1e-8;
+  }
+
+  /**
+   * Build a resolution result
+   * @param {string} resolution - Resolution outcome
+   * @param {Object|null} invoice - Upstream invoice data
+   * @param {string|null} reason - Why the status could not be resolved
+   * @param {string} status - Lifecycle state (resolved outcomes only)
+   * @returns {Object} Resolution result
+   */
+  _outcome(resolution, invoice, reason, status = resolution) {
+    if (reason) {
+      console.log(`🔎 Status not resolved (${resolution}): ${reason}`);
+    }
+
+    return {
+      resolution,
+      resolved: resolution === RESOLUTION.RESOLVED,
+      status,
+      invoice,
+      invoiceId: this.invoiceIdOf(invoice),
+      reason
+    };
+  }
+}
+
+InvoiceStatusResolver.RESOLUTION = RESOLUTION;
+
+module.exports = InvoiceStatusResolver;
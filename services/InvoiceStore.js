@@ -0,0 +1,502 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage, TtlStore } = require('../storage');
+const InvoiceLifecycle = require('./InvoiceLifecycle');
+const { generateCheckoutToken } = require('../utils/checkout');
+
+const { STATES, TRANSITION_REJECTED_EVENT, PAID_AFTER_EXPIRY_EVENT } = InvoiceLifecycle;
+
+const COLLECTION = 'invoices';
+
+// Orders being turned into an invoice; a claim outlives any gateway call, so a crashed request can't lock an order for long
+const ORDER_CLAIMS_COLLECTION = 'order_claims';
+const ORDER_CLAIM_TTL_MS = 2 * 60 * 1000;
+
+// Statuses that mean money arrived; reported for an expired invoice they need a human to decide
+const LATE_PAYMENT_STATES = [STATES.CONFIRMING, STATES.PARTIALLY_PAID, STATES.FINISHED, STATES.OVERPAID];
+
+/**
+ * Ways a manual review can be closed
+ */
+const REVIEW_RESOLUTIONS = ['fulfilled', 'refunded', 'dismissed'];
+
+// Fields that carry credentials and must never be written to storage
+const SECRET_FIELDS = ['privatekey', 'private_key', 'public_key'];
+
+class InvoiceStore {
+  constructor(storage = getStorage()) {
+    // Only initialize if not already initialized
+    if (InvoiceStore.instance) {
+      return InvoiceStore.instance;
+    }
+
+    this.storage = storage;
+    this.lifecycle = new InvoiceLifecycle();
+    this.orderClaims = new TtlStore(storage, ORDER_CLAIMS_COLLECTION, ORDER_CLAIM_TTL_MS);
+    // Tail of the update queue of each invoice being updated
+    this.updates = new Map();
+
+    // Store the instance
+    InvoiceStore.instance = this;
+  }
+
+  /**
+   * Record a freshly created invoice
+   * @param {Object} invoice - Normalized invoice data
+   * @param {string} invoice.invoiceId - Gateway invoice identifier
+   * @param {string} invoice.orderId - Our order identifier
+   * @param {string} invoice.provider - Payment provider the invoice was created with
+   * @param {string} invoice.merchantId - Merchant the invoice was created for (optional)
+   * @param {string} invoice.clientId - API key the invoice was created with (optional)
+   * @param {Object} rawPayload - Raw upstream response for the creation call
+   * @returns {Promise<Object>} Stored invoice record
+   */
+  async recordCreated(invoice, rawPayload = null) {
+    const now = new Date().toISOString();
+    const status = this.lifecycle.normalizeStatus(invoice.status) || STATES.WAITING;
+
+    const record = {
+      invoiceId: invoice.invoiceId,
+      orderId: invoice.orderId,
+      provider: invoice.provider || null,
+      merchantId: invoice.merchantId || null,
+      clientId: invoice.clientId || null,
+      status,
+      priceAmount: invoice.priceAmount,
+      priceCurrency: invoice.priceCurrency,
+      payAmount: invoice.payAmount || null,
+      payCurrency: invoice.payCurrency || null,
+      payAddress: invoice.payAddress || null,
+      paymentUrl: invoice.paymentUrl || null,
+      failurePageUrl: invoice.failurePageUrl || null,
+      orderDescription: invoice.orderDescription || null,
+      parentInvoiceId: invoice.parentInvoiceId || null,
+      reissuedFromInvoiceId: invoice.reissuedFromInvoiceId || null,
+      checkoutToken: generateCheckoutToken(),
+      createdAt: invoice.createdAt || now,
+      expiresAt: invoice.expiresAt || null,
+      updatedAt: now,
+      history: [{ status, source: 'create', at: now }],
+      flags: [],
+      payloads: [],
+      pendingEvents: []
+    };
+
+    if (rawPayload) {
+      record.payloads.push({ source: 'create', at: now, data: this._sanitize(rawPayload) });
+    }
+
+    this._addPendingEvent(record, this.lifecycle.eventFor(status), {
+      status,
+      sequence: record.history.length,
+      previousStatus: null,
+      source: 'create',
+      payload: rawPayload ? this._sanitize(rawPayload) : null,
+      at: now
+    });
+
+    console.log(`🗄️ Recording invoice ${record.invoiceId} for order ${record.orderId}`);
+    return this._serialize(record.invoiceId, async () => {
+      await this.storage.set(COLLECTION, record.invoiceId, record);
+      return this._publishPending(record.invoiceId);
+    });
+  }
+
+  /**
+   * Record a status seen for an invoice (webhook, API lookup, ...).
+   * Unknown invoices are created from the available data so nothing seen upstream is lost.
+   * The status goes through the invoice lifecycle: legal transitions are applied and published as
+   * typed events, illegal ones leave the status untouched and are flagged on the record.
+   * Events are saved on the record together with the change and only removed once every listener
+   * (e.g. the outbox of downstream notifications) has handled them; events left behind by a failed
+   * publish are published again by the next call for the invoice.
+   * @param {string} invoiceId - Gateway invoice identifier
+   * @param {string} status - Observed status (gateway spellings are normalized)
+   * @param {Object} options - Observation details
+   * @param {string} options.source - Where the status came from (webhook, api, ...)
+   * @param {string} options.orderId - Order identifier, used when the invoice is not known yet
+   * @param {Object} options.payload - Raw payload that carried the status
+   * @param {Object} options.fields - Extra invoice fields to merge (payAmount, payCurrency, ...)
+   * @returns {Promise<Object>} Updated record, whether the status changed and whether it was rejected
+   */
+  async recordStatus(invoiceId, status, options = {}) {
+    return this._serialize(invoiceId, () => this._applyStatus(invoiceId, status, options));
+  }
+
+  /**
+   * Apply a status observation to an invoice; runs inside _serialize for the invoice (see recordStatus)
+   * @param {string} invoiceId - Gateway invoice identifier
+   * @param {string} status - Observed status
+   * @param {Object} options - Observation details, as for recordStatus
+   * @returns {Promise<Object>} Updated record, whether the status changed and whether it was rejected
+   */
+  async _applyStatus(invoiceId, status, { source, orderId = null, payload = null, fields = {} } = {}) {
+    const now = new Date().toISOString();
+    const existing = await this.storage.get(COLLECTION, invoiceId);
+
+    const record = existing || {
+      invoiceId,
+      orderId,
+      status: null,
+      createdAt: now,
+      history: [],
+      payloads: []
+    };
+    record.flags = record.flags || [];
+    record.pendingEvents = record.pendingEvents || [];
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        record[key] = value;
+      }
+    });
+
+    if (!record.orderId && orderId) {
+      record.orderId = orderId;
+    }
+
+    const previousStatus = record.status;
+    const nextStatus = this.lifecycle.normalizeStatus(status);
+    let changed = false;
+    let rejection = null;
+
+    if (status !== undefined && status !== null && nextStatus !== previousStatus) {
+      const { allowed, reason } = this.lifecycle.evaluate(previousStatus, nextStatus || String(status));
+
+      if (allowed) {
+        changed = true;
+        record.status = nextStatus;
+        record.history.push({ status: nextStatus, previousStatus, source, at: now });
+        console.log(`🔄 Invoice ${invoiceId} status ${previousStatus || 'unknown'} → ${nextStatus} (${source})`);
+      } else {
+        const paidAfterExpiry = previousStatus === STATES.EXPIRED && LATE_PAYMENT_STATES.includes(nextStatus);
+        rejection = {
+          type: paidAfterExpiry ? 'paid_after_expiry' : 'illegal_transition',
+          from: previousStatus,
+          to: String(status),
+          source,
+          reason,
+          at: now
+        };
+        record.flags.push(rejection);
+
+        if (paidAfterExpiry) {
+          // The invoice stays expired; someone has to decide between fulfilling and refunding
+          if (!record.review || !record.review.required) {
+            record.review = {
+              required: true,
+              reason: `Payment reported (${nextStatus}) after the invoice expired`,
+              flaggedAt: now,
+              resolution: null,
+              note: null,
+              resolvedAt: null
+            };
+          }
+          console.warn(`🚩 Invoice ${invoiceId} was paid after it expired (${source}) - flagged for manual review`);
+        } else {
+          console.warn(`⚠️ Invoice ${invoiceId}: ${reason} (${source}) rejected`);
+        }
+      }
+    }
+
+    const sanitizedPayload = payload ? this._sanitize(payload) : null;
+    if (sanitizedPayload) {
+      record.payloads.push({ source, at: now, data: sanitizedPayload });
+    }
+
+    record.updatedAt = now;
+
+    if (changed) {
+      this._addPendingEvent(record, this.lifecycle.eventFor(nextStatus), {
+        status: nextStatus,
+        sequence: record.history.length,
+        previousStatus,
+        source,
+        payload: sanitizedPayload,
+        at: now
+      });
+    } else if (rejection) {
+      const eventType = rejection.type === 'paid_after_expiry' ? PAID_AFTER_EXPIRY_EVENT : TRANSITION_REJECTED_EVENT;
+      this._addPendingEvent(record, eventType, {
+        previousStatus,
+        rejection,
+        source,
+        payload: sanitizedPayload,
+        at: now
+      });
+    }
+
+    // The change and its events are written together, so a failed publish can't lose the events
+    await this.storage.set(COLLECTION, invoiceId, record);
+    const saved = await this._publishPending(invoiceId);
+
+    return { invoice: saved, changed, previousStatus, rejected: !!rejection };
+  }
+
+  /**
+   * Publish the events that failed to publish earlier, for every invoice that has some
+   * @returns {Promise<number>} Number of invoices whose events were published
+   */
+  async publishPending() {
+    const invoices = await this.storage.list(COLLECTION, invoice => !!(invoice.pendingEvents && invoice.pendingEvents.length > 0));
+
+    for (const invoice of invoices) {
+      console.log(`🔁 Publishing ${invoice.pendingEvents.length} pending event(s) for invoice ${invoice.invoiceId}`);
+      await this._serialize(invoice.invoiceId, () => this._publishPending(invoice.invoiceId));
+    }
+    return invoices.length;
+  }
+
+  /**
+   * Link a top-up invoice to the partially paid invoice it settles
+   * @param {string} invoiceId - Partially paid invoice identifier
+   * @param {string} topUpInvoiceId - Top-up invoice identifier
+   * @returns {Promise<Object|null>} Updated parent invoice, or null if it doesn't exist
+   */
+  async addTopUp(invoiceId, topUpInvoiceId) {
+    return this._serialize(invoiceId, async () => {
+      const record = await this.storage.get(COLLECTION, invoiceId);
+      if (!record) {
+        return null;
+      }
+
+      record.topUpInvoiceIds = [...(record.topUpInvoiceIds || []), topUpInvoiceId];
+      record.updatedAt = new Date().toISOString();
+      return this.storage.set(COLLECTION, invoiceId, record);
+    });
+  }
+
+  /**
+   * Record that reconciliation checked an invoice; updatedAt is left alone because the invoice didn't change
+   * @param {string} invoiceId - Gateway invoice identifier
+   * @param {string} at - Time of the check (ISO string)
+   * @returns {Promise<Object|null>} Updated invoice, or null if it doesn't exist
+   */
+  async markReconciled(invoiceId, at = new Date().toISOString()) {
+    return this._serialize(invoiceId, async () => {
+      const record = await this.storage.get(COLLECTION, invoiceId);
+      if (!record) {
+        return null;
+      }
+
+      record.lastReconciledAt = at;
+      return this.storage.set(COLLECTION, invoiceId, record);
+    });
+  }
+
+  /**
+   * Give an invoice recorded without one (before checkout tokens existed, or first seen in a webhook) a checkout token
+   * @param {Object} invoice - Invoice record
+   * @returns {Promise<Object>} Invoice record with a checkout token
+   */
+  async ensureCheckoutToken(invoice) {
+    if (invoice.checkoutToken) {
+      return invoice;
+    }
+
+    return this._serialize(invoice.invoiceId, async () => {
+      const record = await this.storage.get(COLLECTION, invoice.invoiceId);
+      if (!record) {
+        return invoice;
+      }
+      if (!record.checkoutToken) {
+        record.checkoutToken = generateCheckoutToken();
+        return this.storage.set(COLLECTION, invoice.invoiceId, record);
+      }
+      return record;
+    });
+  }
+
+  /**
+   * Claim an order while an invoice is created for it, so concurrent requests can't both create one
+   * @param {string} orderId - Order identifier (top-ups claim `topup:<parent invoice ID>`)
+   * @returns {Promise<boolean>} True if the claim was taken, false if another request holds it
+   */
+  async claimOrder(orderId) {
+    const { added } = await this.orderClaims.add(orderId, { claimedAt: new Date().toISOString() });
+    return added;
+  }
+
+  /**
+   * Release an order claim
+   * @param {string} orderId - Order identifier
+   */
+  async releaseOrder(orderId) {
+    await this.orderClaims.delete(orderId);
+  }
+
+  /**
+   * Find an invoice by its gateway identifier
+   * @param {string} invoiceId - Gateway invoice identifier
+   * @returns {Promise<Object|null>} Invoice record or null
+   */
+  async findByInvoiceId(invoiceId) {
+    return this.storage.get(COLLECTION, invoiceId);
+  }
+
+  /**
+   * Find the most recent invoice created for an order
+   * @param {string} orderId - Order identifier
+   * @returns {Promise<Object|null>} Invoice record or null
+   */
+  async findByOrderId(orderId) {
+    const invoices = await this.storage.list(COLLECTION, invoice => invoice.orderId === orderId);
+    if (invoices.length === 0) {
+      return null;
+    }
+    return invoices.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+  }
+
+  /**
+   * Find an invoice by invoice ID or, failing that, by order ID
+   * @param {Object} criteria - Lookup criteria
+   * @param {string} criteria.orderId - Order identifier (optional)
+   * @param {string} criteria.invoiceId - Invoice identifier (optional)
+   * @returns {Promise<Object|null>} Invoice record or null
+   */
+  async find({ orderId = null, invoiceId = null } = {}) {
+    if (invoiceId) {
+      const invoice = await this.findByInvoiceId(invoiceId);
+      if (invoice && (!orderId || invoice.orderId === orderId)) {
+        return invoice;
+      }
+      return null;
+    }
+
+    if (orderId) {
+      return this.findByOrderId(orderId);
+    }
+
+    return null;
+  }
+
+  /**
+   * List invoices flagged for manual review that nobody has resolved yet
+   * @returns {Promise<Array<Object>>} Invoice records, oldest flag first
+   */
+  async listForReview() {
+    const invoices = await this.storage.list(COLLECTION, invoice => !!(invoice.review && invoice.review.required));
+    return invoices.sort((a, b) => a.review.flaggedAt.localeCompare(b.review.flaggedAt));
+  }
+
+  /**
+   * Close the manual review of an invoice
+   * @param {string} invoiceId - Gateway invoice identifier
+   * @param {Object} decision - Review decision
+   * @param {string} decision.resolution - fulfilled, refunded or dismissed
+   * @param {string} decision.note - Free-form note (optional)
+   * @returns {Promise<Object|null>} Updated record, or null if the invoice doesn't exist
+   */
+  async resolveReview(invoiceId, { resolution, note = null }) {
+    return this._serialize(invoiceId, async () => {
+      const record = await this.storage.get(COLLECTION, invoiceId);
+      if (!record) {
+        return null;
+      }
+
+      if (!record.review || !record.review.required) {
+        throw new Error(`Invoice ${invoiceId} is not awaiting review`);
+      }
+
+      const now = new Date().toISOString();
+      record.review = { ...record.review, required: false, resolution, note, resolvedAt: now };
+      record.updatedAt = now;
+      console.log(`✅ Review of invoice ${invoiceId} resolved: ${resolution}`);
+      return this.storage.set(COLLECTION, invoiceId, record);
+    });
+  }
+
+  /**
+   * List invoices in some statuses, least recently updated first
+   * @param {Array<string>} statuses - Lifecycle states
+   * @param {number} limit - Maximum number of invoices (optional)
+   * @returns {Promise<Array<Object>>} Invoice records
+   */
+  async listByStatus(statuses, limit = null) {
+    const invoices = await this.storage.list(COLLECTION, invoice => statuses.includes(invoice.status));
+    invoices.sort((a, b) => (a.updatedAt || a.createdAt).localeCompare(b.updatedAt || b.createdAt));
+    return limit ? invoices.slice(0, limit) : invoices;
+  }
+
+  /**
+   * Queue a lifecycle event on a record; it is saved with the record and published afterwards
+   * @param {Object} record - Invoice record
+   * @param {string} type - Event type
+   * @param {Object} details - Event details (status entered, sequence - the 1-based position of the transition in
+   *   the status history, previousStatus, source, payload, rejection, at)
+   */
+  _addPendingEvent(record, type, details) {
+    record.pendingEvents = [...(record.pendingEvents || []), { id: `evt_${uuidv4()}`, type, ...details }];
+  }
+
+  /**
+   * Run a read-modify-write of an invoice once the updates queued before it for the same invoice are done,
+   * so concurrent updates (webhook, reconciler, expiry monitor, ...) can't overwrite each other's changes.
+   * Updates of one invoice must not wait for each other inside the callback.
+   * @param {string} invoiceId - Gateway invoice identifier
+   * @param {Function} update - Async function doing the update
+   * @returns {Promise<*>} Result of the update
+   */
+  _serialize(invoiceId, update) {
+    const previous = this.updates.get(invoiceId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(update);
+    this.updates.set(invoiceId, next);
+
+    const forget = () => {
+      if (this.updates.get(invoiceId) === next) {
+        this.updates.delete(invoiceId);
+      }
+    };
+    next.then(forget, forget);
+    return next;
+  }
+
+  /**
+   * Publish an invoice's pending events in order, removing each one once every listener handled it.
+   * Runs inside _serialize for the invoice.
+   * A listener failure leaves the event (and the ones after it) pending and is rethrown.
+   * Listeners receive the event ID as eventId, so a republished event keeps its identity, and the invoice
+   * with the status the event entered, even when later changes are already saved; transitions carry their
+   * own position in the status history as sequence.
+   * @param {string} invoiceId - Gateway invoice identifier
+   * @returns {Promise<Object|null>} Invoice record after publishing
+   */
+  async _publishPending(invoiceId) {
+    let record = await this.storage.get(COLLECTION, invoiceId);
+
+    while (record && record.pendingEvents && record.pendingEvents.length > 0) {
+      const { id, type, status, ...details } = record.pendingEvents[0];
+      const invoice = status ? { ...record, status } : record;
+      await this.lifecycle.publish(type, { ...details, eventId: id, invoice });
+
+      const latest = await this.storage.get(COLLECTION, invoiceId);
+      latest.pendingEvents = (latest.pendingEvents || []).filter(event => event.id !== id);
+      record = await this.storage.set(COLLECTION, invoiceId, latest);
+    }
+
+    return record;
+  }
+
+  /**
+   * Remove credential fields before a payload is persisted
+   * @param {Object} payload - Raw payload
+   * @returns {Object} Payload without secret fields
+   */
+  _sanitize(payload) {
+    if (payload === null || typeof payload !== 'object') {
+      return payload;
+    }
+
+    const sanitized = Array.isArray(payload) ? [...payload] : { ...payload };
+    SECRET_FIELDS.forEach(field => {
+      delete sanitized[field];
+    });
+    return sanitized;
+  }
+}
+
+// Initialize static instance property
+InvoiceStore.instance = null;
+
+InvoiceStore.REVIEW_RESOLUTIONS = REVIEW_RESOLUTIONS;
+
+module.exports = InvoiceStore;
@@ -2,6 +2,14 @@ const axios = require('axios');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
+const { sortObjectKeys, canonicalize, computeSignature, secretsMatch, signaturesMatch } = require('../utils/signature');
+const { validateSchema, validationErrorResponse } = require('../utils/validation');
+const { payid19CallbackSchema } = require('../utils/schemas');
+const { withSignedReturnUrl } = require('../utils/returnUrl');
+const { redactForLog } = require('../utils/redact');
+const { STATES } = require('./InvoiceLifecycle');
+const InvoiceStatusResolver = require('./InvoiceStatusResolver');
+const PaymentProvider = require('./PaymentProvider');
 
 // Add axios interceptors for detailed logging
 axios.interceptors.request.use(
@@ -12,7 +20,7 @@ axios.interceptors.request.use(
       baseURL: config.baseURL,
       // headers: config.headers,
       timeout: config.timeout,
-      data: config.data ? JSON.stringify(config.data, null, 2) : 'no data'
+      data: config.data ? redactForLog(config.data) : 'no data'
     });
     return config;
   },
@@ -28,7 +36,7 @@ axios.interceptors.response.use(
       status: response.status,
       statusText: response.statusText,
       // headers: response.headers,
-      data: JSON.stringify(response.data, null, 2)
+      data: redactForLog(response.data)
     });
     return response;
   },
@@ -38,7 +46,7 @@ axios.interceptors.response.use(
       code: error.code,
       status: error.response?.status,
       statusText: error.response?.statusText,
-      data: error.response?.data ? JSON.stringify(error.response.data, null, 2) : 'no data',
+      data: error.response?.data ? redactForLog(error.response.data) : 'no data',
       config: {
         method: error.config?.method,
         url: error.config?.url,
@@ -49,19 +57,89 @@ axios.interceptors.response.use(
   }
 );
 
-class PayID19Service {
-  constructor() {
-    // Only initialize if not already initialized
-    if (PayID19Service.instance) {
-      return PayID19Service.instance;
+// Instance key of the globally configured account
+const DEFAULT_ACCOUNT = 'default';
+
+const { VERIFICATION_MODES, VERIFICATION_ERRORS } = PaymentProvider;
+
+// How each failed webhook check is reported
+const VERIFICATION_FAILURES = {
+  [VERIFICATION_ERRORS.MISSING_PRIVATE_KEY]: {
+    error: 'Missing private key',
+    message: 'Private key is required in webhook data for security verification'
+  },
+  [VERIFICATION_ERRORS.INVALID_PRIVATE_KEY]: {
+    error: 'Invalid private key',
+    message: 'Private key verification failed'
+  },
+  [VERIFICATION_ERRORS.MISSING_SIGNATURE]: {
+    error: 'Missing signature',
+    message: `A signature is required in the ${config.security.webhookSignatureHeader} header`
+  },
+  [VERIFICATION_ERRORS.INVALID_SIGNATURE]: {
+    error: 'Invalid signature',
+    message: 'Signature verification failed'
+  },
+  [VERIFICATION_ERRORS.NOT_CONFIGURED]: {
+    error: 'Verification unavailable',
+    message: 'Webhook verification is not configured for this account'
+  }
+};
+
+// Callback fields carrying a time, newest wins: a confirmation for an old invoice is still a fresh callback
+const CALLBACK_TIMESTAMP_FIELDS = ['updated_at', 'paid_at', 'created_at', 'timestamp', 'date'];
+
+/**
+ * Parse a callback timestamp: Unix seconds or milliseconds, ISO 8601, or "YYYY-MM-DD HH:MM:SS" (UTC)
+ * @param {*} value - Raw field value
+ * @returns {Date|null} Parsed time, or null when the value isn't a time
+ */
+const parseCallbackTime = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  let time;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    time = number < 1e12 ? number * 1000 : number;
+  } else {
+    const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text) ? `${text.replace(' ', 'T')}Z` : text;
+    time = Date.parse(iso);
+  }
+
+  return Number.isFinite(time) ? new Date(time) : null;
+};
+
+/**
+ * PayID19 adapter of the PaymentProvider interface.
+ * Each merchant (tenant) gets its own instance, using the merchant's PayID19 account, domain and
+ * default return URLs where configured and the global settings otherwise.
+ */
+class PayID19Service extends PaymentProvider {
+  /**
+   * @param {Object} merchant - Merchant as returned by getMerchant (optional, global account when omitted)
+   */
+  constructor(merchant = null) {
+    const instanceKey = merchant ? merchant.id : DEFAULT_ACCOUNT;
+
+    // Only initialize if not already initialized (one instance per merchant)
+    if (PayID19Service.instances.has(instanceKey)) {
+      return PayID19Service.instances.get(instanceKey);
     }
 
-    console.log('🏗️ Initializing PayID19Service...');
+    super('payid19', merchant ? merchant.id : null);
 
+    console.log(`🏗️ Initializing PayID19Service${merchant ? ` for merchant ${merchant.id}` : ''}...`);
+
+    const account = (merchant && merchant.payid19) || config.payid19;
     this.apiUrl = config.payid19.apiUrl;
-    this.publicKey = config.payid19.publicKey;
-    this.privateKey = config.payid19.privateKey;
-    this.domainUrl = config.domain.url;
+    this.publicKey = account.publicKey;
+    this.privateKey = account.privateKey;
+    this.domainUrl = (merchant && merchant.domainUrl) || config.domain.url;
+    this.returnUrls = merchant ? merchant.returnUrls : {};
+    this.statusResolver = new InvoiceStatusResolver(this);
 
     // Validate configuration on startup
     console.log('🔍 Configuration validation:');
@@ -69,6 +147,7 @@ class PayID19Service {
     console.log('  - Public Key:', this.publicKey ? `${this.publicKey.substring(0, 8)}...` : 'NOT SET');
     console.log('  - Private Key:', this.privateKey ? `${this.privateKey.substring(0, 8)}...` : 'NOT SET');
     console.log('  - Domain URL:', this.domainUrl);
+    console.log('  - Account:', merchant && merchant.payid19 ? `merchant ${merchant.id}` : 'global');
 
     console.log('📋 Callback URLs:');
     console.log('  - Callback:', `${this.domainUrl}${config.callbacks.callback}`);
@@ -76,7 +155,7 @@ class PayID19Service {
     console.log('  - Cancel:', `${this.domainUrl}${config.callbacks.cancel}`);
 
     // Store the instance
-    PayID19Service.instance = this;
+    PayID19Service.instances.set(instanceKey, this);
   }
 
   /**
@@ -116,39 +195,43 @@ class PayID19Service {
         orderId = uuidv4(),
         orderDescription = 'Cryptocurrency Payment',
         customerEmail = '',
-        successUrl,
-        failureUrl,
-        cancelUrl
+        // Fall back to the merchant's default return URLs
+        successUrl = this.returnUrls.success,
+        failureUrl = this.returnUrls.failure,
+        cancelUrl = this.returnUrls.cancel
       } = invoiceData;
 
-      // Determine success and cancel URLs
-      // If custom URLs are provided (frontend URLs), redirect through our endpoints with return_url parameter
+      // Determine success, cancel and failure URLs
+      // If custom URLs are provided (frontend URLs), redirect through our endpoints with a signed return_url
+      // parameter, so the pages only ever send the browser back to URLs validated here
       // If no custom URLs provided, use our default endpoints directly
-      let finalSuccessUrl, finalCancelUrl;
-      
+      let finalSuccessUrl = `${this.domainUrl}${config.callbacks.success}?order_id=${encodeURIComponent(orderId)}`;
+      let finalCancelUrl = `${this.domainUrl}${config.callbacks.cancel}?order_id=${encodeURIComponent(orderId)}`;
+      let finalFailureUrl = `${this.domainUrl}${config.callbacks.failure}?order_id=${encodeURIComponent(orderId)}`;
+
       if (successUrl) {
         // Frontend provided a success URL - redirect through our success page with auto-redirect
-        const separator = successUrl.includes('?') ? '&' : '?';
-        finalSuccessUrl = `${this.domainUrl}${config.callbacks.success}?order_id=${encodeURIComponent(orderId)}&return_url=${encodeURIComponent(successUrl)}`;
-      } else {
-        // No custom success URL - use our default success page
-        finalSuccessUrl = `${this.domainUrl}${config.callbacks.success}?order_id=${encodeURIComponent(orderId)}`;
+        finalSuccessUrl = withSignedReturnUrl(finalSuccessUrl, successUrl, orderId);
       }
-      
-      if (cancelUrl) {
-        // Frontend provided a cancel URL - redirect through our cancel page with auto-redirect  
-        const separator = cancelUrl.includes('?') ? '&' : '?';
-        finalCancelUrl = `${this.domainUrl}${config.callbacks.cancel}?order_id=${encodeURIComponent(orderId)}&return_url=${encodeURIComponent(cancelUrl)}`;
-      } else {
-        // No custom cancel URL - use our default cancel page
-        finalCancelUrl = `${this.domainUrl}${config.callbacks.cancel}?order_id=${encodeURIComponent(orderId)}`;
+
+      if (cancelUrl || failureUrl) {
+        // Frontend provided a cancel URL (or only a failure URL) - redirect through our cancel page with auto-redirect
+        finalCancelUrl = withSignedReturnUrl(finalCancelUrl, cancelUrl || failureUrl, orderId);
+      }
+
+      if (failureUrl) {
+        // PayID19 has no failure redirect of its own: the success/cancel pages forward failed and expired
+        // invoices to this URL, which is stored with the invoice
+        finalFailureUrl = withSignedReturnUrl(finalFailureUrl, failureUrl, orderId);
       }
       
       console.log('🔗 URL Configuration:', {
         successUrl: finalSuccessUrl,
         cancelUrl: finalCancelUrl,
+        failureUrl: finalFailureUrl,
         originalSuccessUrl: successUrl,
         originalCancelUrl: cancelUrl,
+        originalFailureUrl: failureUrl,
         isCustomSuccess: !!successUrl,
         isCustomCancel: !!cancelUrl,
         isCustomFailure: !!failureUrl
@@ -167,6 +250,12 @@ class PayID19Service {
         orderId: orderId,
         returnUrl: cancelUrl
       });
+      console.log('  - Failure URL components:', {
+        domain: this.domainUrl,
+        callback: config.callbacks.failure,
+        orderId: orderId,
+        returnUrl: failureUrl
+      });
 
       const requestData = {
         public_key: this.publicKey,
@@ -177,7 +266,9 @@ class PayID19Service {
         order_description: orderDescription,
         callback_url: `${this.domainUrl}${config.callbacks.callback}`,
         success_url: finalSuccessUrl,
-        cancel_url: finalCancelUrl
+        cancel_url: finalCancelUrl,
+        // Invoice lifetime in hours
+        expiration_date: config.invoices.lifetimeHours
       };
 
       if (customerEmail) {
@@ -186,7 +277,7 @@ class PayID19Service {
 
       console.log('📤 Request payload (sensitive data masked):', {
         public_key: requestData.public_key ? `${requestData.public_key.substring(0, 8)}...` : 'NOT SET',
-        private_key: requestData.private_key ? `${requestData.private_key.substring(0, 8)}...` : 'NOT SET',
+        private_key: requestData.private_key ? '[REDACTED]' : 'NOT SET',
         price_amount: requestData.price_amount,
         price_currency: requestData.price_currency,
         order_id: requestData.order_id,
@@ -194,6 +285,7 @@ class PayID19Service {
         callback_url: requestData.callback_url,
         success_url: requestData.success_url,
         cancel_url: requestData.cancel_url,
+        expiration_date: requestData.expiration_date,
         customer_email: requestData.customer_email || 'not provided',
         custom_urls: {
           success: !!successUrl,
@@ -211,6 +303,16 @@ class PayID19Service {
       // console.log('  - Headers:', response.headers);
       console.log('  - Data:', JSON.stringify(response.data, null, 2));
       
+      // Our own pages for this invoice, so callers can route the browser through them
+      const pageUrls = {
+        success: finalSuccessUrl,
+        cancel: finalCancelUrl,
+        failure: finalFailureUrl
+      };
+
+      // The lifetime we asked for, used when the response doesn't say when the invoice expires
+      const expiresAt = new Date(Date.now() + config.invoices.lifetimeHours * 60 * 60 * 1000).toISOString();
+
       // Handle different API response formats
       if (response.data) {
         // Check for the expected format with 'result' field
@@ -218,7 +320,9 @@ class PayID19Service {
           console.log('✅ Invoice creation successful (result format)');
           return {
             success: true,
-            data: response.data.result,
+            data: { ...response.data.result, expires_at: response.data.result.expires_at || expiresAt },
+            raw: response.data,
+            pageUrls,
             message: 'Invoice created successfully'
           };
         }
@@ -240,10 +344,9 @@ class PayID19Service {
             pay_amount: null, // Will be determined by the payment processor
             pay_currency: null, // Will be determined by the payment processor
             order_id: orderId,
-            status: 'waiting',
+            status: STATES.WAITING,
             created_at: new Date().toISOString(),
-            // Set expiry to 24 hours from now (common default)
-            expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+            expires_at: expiresAt
           };
           
           console.log('📋 Standardized invoice data:', invoiceData);
@@ -251,6 +354,8 @@ class PayID19Service {
           return {
             success: true,
             data: invoiceData,
+            raw: response.data,
+            pageUrls,
             message: 'Invoice created successfully'
           };
         }
@@ -287,7 +392,7 @@ class PayID19Service {
         console.log('  - Status:', error.response.status);
         console.log('  - Status Text:', error.response.statusText);
         // console.log('  - Headers:', error.response.headers);
-        console.log('  - Data:', JSON.stringify(error.response.data, null, 2));
+        console.log('  - Data:', redactForLog(error.response.data));
       } else if (error.request) {
         console.log('📤 HTTP Request made but no response received:');
         console.log('  - Request config:', {
@@ -300,7 +405,7 @@ class PayID19Service {
         console.log('🔧 Error in request setup:', error.message);
       }
       
-      console.log('📋 Full error object:', JSON.stringify(error, null, 2));
+      console.log('📋 Full error object:', redactForLog(error));
       
       return {
         success: false,
@@ -318,45 +423,18 @@ class PayID19Service {
   }
 
   /**
-   * Retrieve invoice details by testing both status values (0 and 1)
+   * Retrieve invoices matching an order and/or invoice ID for one status value.
+   * This is a plain query and makes no claim about the payment status; an empty result only means
+   * that no invoice matched. Use InvoiceStatusResolver to determine the status of an invoice.
    * @param {string} orderId - Order ID to retrieve (optional)
    * @param {string} invoiceId - Invoice ID to retrieve (optional)
-   * @returns {Promise<Object>} Invoice details response with determined status
+   * @param {number} status - Status to query (0 = waiting, 1 = successful)
+   * @returns {Promise<Object>} `{ success, data, isEmpty, error }`
    */
   async getInvoices(orderId = null, invoiceId = null, status = 0) {
-    try {
-      // Make request with provided status (default is 0)
-      const result = await this._makeInvoiceRequest(orderId, invoiceId, status);
-
-      console.log(`🔍 Status ${status} result:`, result);
-      if (result.success) {
-        // Check if message is empty array (successful payment) or has data (waiting payment)
-        if (result.isEmpty) {
-          // Empty message = Payment successful
-          return {
-            success: true,
-            status: 'finished'
-          };
-        } else {
-          // Message has data = Payment waiting
-          return {
-            success: true,
-            data: result.data,
-            status: 'waiting'
-          };
-        }
-      } else {
-        return {
-          success: false,
-          status: 'waiting'
-        };
-      }
-    } catch (error) {
-      return {
-        success: false,
-        status: 'waiting'
-      };
-    }
+    const result = await this._makeInvoiceRequest(orderId, invoiceId, status);
+    console.log(`🔍 Status ${status} result:`, result);
+    return result;
   }
 
   /**
@@ -397,7 +475,7 @@ class PayID19Service {
         const message = response.data.message || '';
         
         if (message === '[]') {
-          // Empty message = Payment successful (no waiting invoices found)
+          // Empty message = no invoice matched this query
           return {
             success: true,
             data: [],
@@ -415,177 +493,332 @@ class PayID19Service {
           } catch (parseError) {
             return {
               success: false,
-              isEmpty: false
+              isEmpty: false,
+              error: `Unparseable invoice data: ${parseError.message}`
             };
           }
         } else {
           return {
             success: false,
-            isEmpty: false
+            isEmpty: false,
+            error: 'Empty response message'
           };
         }
       } else {
         return {
           success: false,
-          isEmpty: false
+          isEmpty: false,
+          error: response.data?.message || 'Unexpected response format'
         };
       }
     } catch (error) {
       return {
         success: false,
-        isEmpty: false
+        isEmpty: false,
+        error: error.response?.data?.message || error.message
       };
     }
   }
 
   /**
-   * Check payment status using the simplified getInvoices method
-   * @param {string} orderId - Order ID to check
-   * @returns {Promise<Object>} Payment status response
+   * Look up an invoice and determine its status through the invoice status resolver
+   * @param {Object} criteria - Lookup criteria
+   * @param {string} criteria.orderId - Order identifier (optional)
+   * @param {string} criteria.invoiceId - Invoice identifier (optional)
+   * @param {number|string} criteria.expectedAmount - Expected price amount for cross-checking (optional)
+   * @returns {Promise<Object>} Resolution result; status may be unknown, not_found or error
    */
-  async checkPaymentStatus(orderId) {
+  async getInvoice(criteria) {
+    return this.statusResolver.resolve(criteria);
+  }
+
+  /**
+   * Get the account balance for every currency
+   * @returns {Promise<Object>} `{ success, data, raw }` or `{ success: false, error }`
+   */
+  async getBalance() {
+    return this._makeRequest('get_balance');
+  }
+
+  /**
+   * Get the currencies PayID19 accepts
+   * @returns {Promise<Object>} `{ success, data, raw }` or `{ success: false, error }`
+   */
+  async getCurrencies() {
+    return this._makeRequest('get_currencies');
+  }
+
+  /**
+   * Request a cryptocurrency withdrawal from the PayID19 account
+   * @param {Object} withdrawalData - Withdrawal details
+   * @param {string} withdrawalData.currency - Currency to withdraw (BTC, ETH, ...)
+   * @param {number} withdrawalData.amount - Amount to withdraw
+   * @param {string} withdrawalData.address - Destination address
+   * @param {string} withdrawalData.tag - Destination tag / memo (optional)
+   * @returns {Promise<Object>} `{ success, data, raw }` or `{ success: false, error }`
+   */
+  async createWithdrawal({ currency, amount, address, tag = '' }) {
+    console.log(`💸 Requesting withdrawal of ${amount} ${currency} to ${String(address).substring(0, 8)}...`);
+
+    const requestData = {
+      currency,
+      amount,
+      address
+    };
+    if (tag) {
+      requestData.tag = tag;
+    }
+
+    return this._makeRequest('create_withdraw', requestData);
+  }
+
+  /**
+   * Retrieve withdrawals and their status
+   * @param {string} withdrawId - Withdrawal identifier (optional, all withdrawals when omitted)
+   * @returns {Promise<Object>} `{ success, data, raw }` or `{ success: false, error }`
+   */
+  async getWithdrawals(withdrawId = null) {
+    const requestData = {};
+    if (withdrawId) {
+      requestData.withdraw_id = withdrawId;
+    }
+
+    return this._makeRequest('get_withdraws', requestData);
+  }
+
+  /**
+   * Make an authenticated request to a PayID19 endpoint.
+   * PayID19 answers either with a `result` field or with `status: success` and the data in `message`,
+   * which may be a JSON string.
+   * @param {string} endpoint - Endpoint name (create_withdraw, get_withdraws, ...)
+   * @param {Object} data - Request fields besides the credentials
+   * @returns {Promise<Object>} `{ success, data, raw }` or `{ success: false, error, noResponse }`
+   */
+  async _makeRequest(endpoint, data = {}) {
     try {
-      // Use the new getInvoices method which automatically tests both status values
-      const result = await this.getInvoices(orderId);
+      const response = await axios.post(`${this.apiUrl}/${endpoint}`, {
+        public_key: this.publicKey,
+        private_key: this.privateKey,
+        ...data
+      });
+
+      if (response.data && response.data.result !== undefined) {
+        return { success: true, data: response.data.result, raw: response.data };
+      }
+
+      if (response.data && response.data.status === 'success') {
+        let result = response.data.message;
+        if (typeof result === 'string') {
+          try {
+            result = JSON.parse(result);
+          } catch (parseError) {
+            // Plain text message, keep it as is
+          }
+        }
+        return { success: true, data: result, raw: response.data };
+      }
 
       return {
-        status: result.status || 'waiting'
+        success: false,
+        error: response.data?.message || 'Unexpected response format',
+        raw: response.data
       };
-
     } catch (error) {
+      console.error(`💥 PayID19 ${endpoint} request failed:`, error.message);
       return {
-        status: 'waiting'
+        success: false,
+        error: error.response?.data?.message || error.message,
+        // Without a response PayID19 may still have executed the request
+        noResponse: !error.response
       };
     }
   }
 
   /**
-   * Verify private key from webhook data
-   * @param {string} receivedPrivateKey - Private key received in webhook data
-   * @returns {boolean} True if private key matches our configured private key
+   * Check payment status of an order through the invoice status resolver
+   * @param {string} orderId - Order ID to check
+   * @returns {Promise<Object>} Payment status response; status may be unknown, not_found or error
    */
-  verifyPrivateKey(receivedPrivateKey) {
-    try {
-      console.log('🔐 Starting private key verification...');
-      console.log('📋 Verification details:', {
-        hasConfiguredPrivateKey: !!this.privateKey,
-        configuredPrivateKeyLength: this.privateKey ? this.privateKey.length : 0,
-        receivedPrivateKeyLength: receivedPrivateKey ? receivedPrivateKey.length : 0,
-        receivedPrivateKeyPrefix: receivedPrivateKey ? receivedPrivateKey.substring(0, 8) + '...' : 'none'
-      });
+  async checkPaymentStatus(orderId) {
+    const resolution = await this.getInvoice({ orderId });
 
-      // Validate inputs
-      if (!this.privateKey) {
-        console.error('❌ Private key not configured in service');
-        return false;
-      }
+    return {
+      status: resolution.status
+    };
+  }
 
-      if (!receivedPrivateKey) {
-        console.error('❌ No private key provided in webhook data');
-        return false;
-      }
+  /**
+   * Extract the invoice reference from a PayID19 callback.
+   * PayID19 sends the invoice identifier as `id`; it is copied to `invoice_id` for consistency.
+   * @param {Object} body - Callback payload
+   * @returns {Object} Parsed callback, or validation error with the `{ field, code, message }` list
+   */
+  parseWebhook(body) {
+    const callbackData = { ...(body || {}) };
 
-      // Compare private keys
-      const isValid = this.privateKey === receivedPrivateKey;
-      
-      console.log('🔍 Private key comparison:', {
-        configuredPrefix: this.privateKey.substring(0, 8) + '...',
-        receivedPrefix: receivedPrivateKey.substring(0, 8) + '...',
-        keysMatch: isValid
-      });
+    const errors = validateSchema(payid19CallbackSchema, callbackData);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        ...validationErrorResponse(errors),
+        error: 'Invalid webhook data'
+      };
+    }
 
-      if (isValid) {
-        console.log('✅ Private key verification successful');
-      } else {
-        console.error('❌ Private key verification failed');
-        console.error('🔍 Debug information:', {
-          configuredLength: this.privateKey.length,
-          receivedLength: receivedPrivateKey.length,
-          configuredPrefix: this.privateKey.substring(0, 16),
-          receivedPrefix: receivedPrivateKey.substring(0, 16)
-        });
+    const invoiceId = callbackData.invoice_id || callbackData.id;
+    callbackData.invoice_id = invoiceId;
+    if (!callbackData.pay_address && callbackData.address) {
+      callbackData.pay_address = callbackData.address;
+    }
+
+    return {
+      success: true,
+      invoiceId: String(invoiceId),
+      orderId: String(callbackData.order_id),
+      data: callbackData
+    };
+  }
+
+  /**
+   * Tell when PayID19 sent a callback: the signed send time when the signature covers one, otherwise the
+   * newest of the callback's timestamp fields. Only call it for a callback that passed verifyWebhook.
+   * @param {Object} req - Express request
+   * @returns {Date|null} Issue time, or null when the callback carries none
+   */
+  webhookTimestamp(req) {
+    if (this._verificationMode() !== VERIFICATION_MODES.PRIVATE_KEY) {
+      const signedAt = (req.headers || {})[config.security.webhookTimestampHeader.toLowerCase()];
+      if (/^\d+$/.test(String(signedAt || ''))) {
+        return new Date(parseInt(signedAt, 10) * 1000);
       }
+    }
 
-      return isValid;
-    } catch (error) {
-      console.error('💥 Error during private key verification:', error);
+    const times = CALLBACK_TIMESTAMP_FIELDS
+      .map(field => parseCallbackTime((req.body || {})[field]))
+      .filter(Boolean);
+
+    return times.length > 0 ? new Date(Math.max(...times.map(time => time.getTime()))) : null;
+  }
+
+  /**
+   * Verify a PayID19 callback - MANDATORY for security.
+   * Depending on WEBHOOK_VERIFICATION_MODE the callback must carry our private key, an HMAC-SHA256
+   * signature of its body made with the private key, or both.
+   * @param {Object} req - Express request
+   * @returns {Object} `{ valid: true }` or `{ valid: false, code, error, message }`
+   */
+  verifyWebhook(req) {
+    const code = this._checkWebhook(req);
+    if (!code) {
+      return { valid: true };
+    }
+
+    const { privatekey, order_id } = req.body || {};
+    console.error(`❌ PayID19 webhook verification failed (${code}) - rejecting request for security`, {
+      mode: this._verificationMode(),
+      merchantId: this.merchantId,
+      orderId: order_id,
+      receivedPrivateKeyLength: privatekey ? String(privatekey).length : 0,
+      timestamp: new Date().toISOString(),
+      ipAddress: req.ip || req.connection?.remoteAddress || 'unknown'
+    });
+
+    return { valid: false, code, ...VERIFICATION_FAILURES[code] };
+  }
+
+  /**
+   * Check quietly whether a callback verifies against this account
+   * @param {Object} req - Express request
+   * @returns {boolean} True if the callback belongs to this account
+   */
+  ownsWebhook(req) {
+    return this._checkWebhook(req) === null;
+  }
+
+  /**
+   * Verify private key from webhook data in constant time
+   * @param {string} receivedPrivateKey - Private key received in webhook data
+   * @returns {boolean} True if private key matches our configured private key
+   */
+  verifyPrivateKey(receivedPrivateKey) {
+    if (!this.privateKey || !receivedPrivateKey) {
       return false;
     }
+    return secretsMatch(receivedPrivateKey, this.privateKey);
   }
 
   /**
-   * Verify webhook callback signature
+   * Verify a webhook callback signature in constant time.
+   * The signature is the hex HMAC-SHA256, keyed with our private key, of the callback data serialized
+   * as JSON with recursively sorted keys, prefixed with `<timestamp>.` when the send time is signed too;
+   * a `sha256=` prefix is accepted.
    * @param {Object} callbackData - Data received from webhook
    * @param {string} signature - Signature to verify
+   * @param {string} timestamp - Signed send time in Unix seconds (optional)
    * @returns {boolean} True if signature is valid
    */
-  verifyCallback(callbackData, signature) {
+  verifyCallback(callbackData, signature, timestamp = null) {
+    if (!this.privateKey || !signature || !callbackData) {
+      return false;
+    }
+
     try {
-      console.log('🔐 Starting signature verification...');
-      console.log('📋 Verification details:', {
-        hasPrivateKey: !!this.privateKey,
-        privateKeyLength: this.privateKey ? this.privateKey.length : 0,
-        signatureLength: signature ? signature.length : 0,
-        signaturePrefix: signature ? signature.substring(0, 16) + '...' : 'none',
-        callbackDataKeys: Object.keys(callbackData)
-      });
+      const expectedSignature = timestamp
+        ? computeSignature(callbackData, this.privateKey, timestamp)
+        : crypto.createHmac('sha256', this.privateKey).update(canonicalize(callbackData)).digest('hex');
 
-      // Validate inputs
-      if (!this.privateKey) {
-        console.error('❌ Private key not configured for signature verification');
-        return false;
-      }
+      return signaturesMatch(signature, expectedSignature);
+    } catch (error) {
+      console.error('💥 Error during signature verification:', error);
+      return false;
+    }
+  }
 
-      if (!signature) {
-        console.error('❌ No signature provided for verification');
-        return false;
-      }
+  /**
+   * Run the checks required by the verification mode
+   * @param {Object} req - Express request
+   * @returns {string|null} Code of the first failed check (VERIFICATION_ERRORS), or null when the callback verifies
+   */
+  _checkWebhook(req) {
+    if (!this.privateKey) {
+      return VERIFICATION_ERRORS.NOT_CONFIGURED;
+    }
 
-      // Clean signature (remove any prefixes like 'sha256=' if present)
-      const cleanSignature = signature.replace(/^(sha256=|sha1=)/i, '');
-      
-      // Create signature using private key and callback data
-      // Sort the callback data to ensure consistent signature generation
-      const sortedData = this._sortObjectKeys(callbackData);
-      const dataString = JSON.stringify(sortedData);
-      
-      console.log('🔧 Signature generation details:', {
-        dataStringLength: dataString.length,
-        dataStringPreview: dataString.substring(0, 100) + '...',
-        usingCleanSignature: cleanSignature !== signature
-      });
+    const mode = this._verificationMode();
+    const body = req.body || {};
 
-      // Generate expected signature using HMAC-SHA256
-      const expectedSignature = crypto
-        .createHmac('sha256', this.privateKey)
-        .update(dataString)
-        .digest('hex');
+    if (mode !== VERIFICATION_MODES.HMAC) {
+      if (!body.privatekey) {
+        return VERIFICATION_ERRORS.MISSING_PRIVATE_KEY;
+      }
+      if (!this.verifyPrivateKey(body.privatekey)) {
+        return VERIFICATION_ERRORS.INVALID_PRIVATE_KEY;
+      }
+    }
 
-      console.log('🔍 Signature comparison:', {
-        expectedSignature: expectedSignature.substring(0, 16) + '...',
-        receivedSignature: cleanSignature.substring(0, 16) + '...',
-        signaturesMatch: cleanSignature === expectedSignature
-      });
+    if (mode !== VERIFICATION_MODES.PRIVATE_KEY) {
+      const headers = req.headers || {};
+      const signature = headers[config.security.webhookSignatureHeader.toLowerCase()];
+      const timestamp = headers[config.security.webhookTimestampHeader.toLowerCase()] || null;
 
-      const isValid = cleanSignature === expectedSignature;
-      
-      if (isValid) {
-        console.log('✅ Signature verification successful');
-      } else {
-        console.error('❌ Signature verification failed');
-        console.error('🔍 Debug information:', {
-          expectedLength: expectedSignature.length,
-          receivedLength: cleanSignature.length,
-          expectedPrefix: expectedSignature.substring(0, 32),
-          receivedPrefix: cleanSignature.substring(0, 32)
-        });
+      if (!signature) {
+        return VERIFICATION_ERRORS.MISSING_SIGNATURE;
+      }
+      if (!this.verifyCallback(body, signature, timestamp)) {
+        return VERIFICATION_ERRORS.INVALID_SIGNATURE;
       }
-
-      return isValid;
-    } catch (error) {
-      console.error('💥 Error during signature verification:', error);
-      return false;
     }
+
+    return null;
+  }
+
+  /**
+   * Configured verification mode; an unknown value requires both checks rather than neither
+   * @returns {string} One of VERIFICATION_MODES
+   */
+  _verificationMode() {
+    const mode = config.security.webhookVerificationMode;
+    return Object.values(VERIFICATION_MODES).includes(mode) ? mode : VERIFICATION_MODES.BOTH;
   }
 
   /**
@@ -594,25 +827,12 @@ class PayID19Service {
    * @returns {Object} Object with sorted keys
    */
   _sortObjectKeys(obj) {
-    if (obj === null || typeof obj !== 'object') {
-      return obj;
-    }
-
-    if (Array.isArray(obj)) {
-      return obj.map(item => this._sortObjectKeys(item));
-    }
-
-    const sorted = {};
-    Object.keys(obj).sort().forEach(key => {
-      sorted[key] = this._sortObjectKeys(obj[key]);
-    });
-
-    return sorted;
+    return sortObjectKeys(obj);
   }
 
 }
 
-// Initialize static instance property
-PayID19Service.instance = null;
+// Initialize static instance registry, keyed by merchant
+PayID19Service.instances = new Map();
 
 module.exports = PayID19Service;
@@ -0,0 +1,151 @@
+const InvoiceLifecycle = require('./InvoiceLifecycle');
+const PaymentPolicy = require('./PaymentPolicy');
+
+const { STATES } = InvoiceLifecycle;
+
+// Statuses the payment policy may override based on the amounts received
+const POLICY_STATES = [STATES.PARTIALLY_PAID, STATES.FINISHED, STATES.OVERPAID];
+
+/**
+ * Derives the status to record from a payment notification.
+ * Used for provider callbacks and for upstream data found by the reconciliation job, so both
+ * paths apply the same payment policy.
+ */
+class PaymentNotificationProcessor {
+  constructor() {
+    // Only initialize if not already initialized
+    if (PaymentNotificationProcessor.instance) {
+      return PaymentNotificationProcessor.instance;
+    }
+
+    this.lifecycle = new InvoiceLifecycle();
+    this.paymentPolicy = new PaymentPolicy();
+
+    // Store the instance
+    PaymentNotificationProcessor.instance = this;
+  }
+
+  /**
+   * Process payment notification based on status and the payment policy
+   * @param {Object} callbackData - Payment notification data, parsed by the provider
+   * @param {Object} storedInvoice - Invoice record from the invoice store, if known
+   * @param {Object} provider - Payment provider that sent the notification
+   * @returns {Promise<Object>} `{ status, payment }`: the status to record and the payment policy assessment
+   */
+  async process(callbackData, storedInvoice, provider) {
+    const {
+      order_id,
+      invoice_id,
+      status,
+      price_amount,
+      price_currency,
+      pay_amount,
+      pay_currency,
+      amount,
+      amount_currency,
+      actually_paid,
+      actually_paid_at_fiat,
+      purchase_id,
+      outcome_amount,
+      outcome_currency,
+      created_at,
+      expiration_date
+    } = callbackData;
+
+    // The provider might not send status directly in webhook, so we need to determine it
+    let paymentStatus = this.lifecycle.normalizeStatus(status);
+  
+    // If status is undefined, try to determine status from available data or fetch from API
+    if (!paymentStatus) {
+      console.log('🔍 Status field not found in webhook, attempting to determine status...');
+    
+      // Try to resolve the current invoice status from the provider's API
+      try {
+        const resolution = await provider.getInvoice({
+          orderId: order_id,
+          invoiceId: invoice_id,
+          expectedAmount: price_amount
+        });
+        if (resolution.resolved) {
+          const invoiceData = resolution.invoice;
+          paymentStatus = resolution.status;
+          console.log(`✅ Retrieved status from API: ${paymentStatus}`);
+
+          // Update callbackData with additional info from API
+          Object.assign(callbackData, {
+            status: paymentStatus,
+            pay_amount: invoiceData.pay_amount || amount,
+            pay_currency: invoiceData.pay_currency || amount_currency,
+            actually_paid: invoiceData.actually_paid,
+            actually_paid_at_fiat: invoiceData.actually_paid_at_fiat
+          });
+        } else {
+          console.log(`🤷 API could not resolve the status: ${resolution.status} (${resolution.reason})`);
+        }
+      } catch (apiError) {
+        console.error('❌ Failed to fetch status from API:', apiError.message);
+      }
+    }
+
+    // Apply the under/overpayment policy whenever the amounts allow it. The policy decides between
+    // partially_paid, finished and overpaid; other upstream statuses (confirming, expired, ...) are kept.
+    const payment = this.paymentPolicy.assess({
+      ...callbackData,
+      price_amount: price_amount !== undefined ? price_amount : storedInvoice?.priceAmount,
+      price_currency: price_currency || storedInvoice?.priceCurrency
+    });
+
+    if (payment) {
+      console.log(`💰 Payment analysis: expected ${payment.expectedAmount} ${payment.currency}, received ${payment.receivedAmount} ${payment.currency} → ${payment.outcome}`);
+
+      const policyState = this.paymentPolicy.stateFor(payment.outcome);
+      const amountDecidesStatus = !paymentStatus || POLICY_STATES.includes(paymentStatus);
+      if (amountDecidesStatus && !(paymentStatus && payment.outcome === PaymentPolicy.OUTCOMES.UNPAID)) {
+        if (policyState !== paymentStatus) {
+          console.log(`💡 Payment policy sets status to "${policyState}"${paymentStatus ? ` (reported: "${paymentStatus}")` : ''}`);
+        }
+        paymentStatus = policyState;
+      }
+    }
+
+    // If still no status, fall back to what the webhook data tells us
+    if (!paymentStatus) {
+      console.log('🤔 Attempting to infer status from webhook data...');
+
+      if (parseFloat(amount) > 0) {
+        // Money arrived but can't be compared with the price (different currencies): wait for confirmation
+        paymentStatus = STATES.CONFIRMING;
+        console.log('💡 Inferred status as "confirming" - payment detected in another currency');
+      } else {
+        // No payment amount, likely waiting for payment
+        paymentStatus = STATES.WAITING;
+        console.log('💡 Inferred status as "waiting" - no payment amount detected');
+      }
+    }
+
+    if (!status) {
+      // Update callbackData with inferred status and normalized amounts
+      callbackData.status = paymentStatus;
+      callbackData.pay_amount = callbackData.pay_amount || amount;
+      callbackData.pay_currency = callbackData.pay_currency || amount_currency;
+    }
+
+    console.log(`🔄 Processing payment notification for order ${order_id}:`, {
+      invoice_id,
+      status: paymentStatus,
+      price_amount,
+      price_currency,
+      pay_amount: callbackData.pay_amount,
+      pay_currency: callbackData.pay_currency,
+      payment_outcome: payment ? payment.outcome : 'not assessed',
+      inferred: !status // indicate if status was inferred
+    });
+
+    return { status: paymentStatus, payment };
+  }
+}
+
+// Initialize static instance property
+PaymentNotificationProcessor.instance = null;
+
+module.exports = PaymentNotificationProcessor;
@@ -0,0 +1,170 @@
+const config = require('../config');
+const InvoiceLifecycle = require('./InvoiceLifecycle');
+
+const { STATES } = InvoiceLifecycle;
+
+/**
+ * Outcomes of a payment assessment
+ */
+const OUTCOMES = {
+  UNPAID: 'unpaid',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  OVERPAID: 'overpaid'
+};
+
+// Lifecycle state an invoice moves to for each outcome
+const OUTCOME_STATES = {
+  [OUTCOMES.UNPAID]: STATES.WAITING,
+  [OUTCOMES.PARTIALLY_PAID]: STATES.PARTIALLY_PAID,
+  [OUTCOMES.PAID]: STATES.FINISHED,
+  [OUTCOMES.OVERPAID]: STATES.OVERPAID
+};
+
+/**
+ * Decides whether a received amount settles an invoice.
+ * Tolerances are configured per currency (PAYMENT_TOLERANCE) as an absolute amount or a percentage
+ * of the expected amount; a difference within the tolerance counts as paid in full.
+ */
+class PaymentPolicy {
+  constructor() {
+    // Only initialize if not already initialized
+    if (PaymentPolicy.instance) {
+      return PaymentPolicy.instance;
+    }
+
+    this.tolerances = config.payments.tolerance;
+
+    // Store the instance
+    PaymentPolicy.instance = this;
+  }
+
+  /**
+   * Get the tolerance configured for a currency
+   * @param {string} currency - Currency code
+   * @returns {Object} `{ absolute }` or `{ percent }`
+   */
+  getTolerance(currency) {
+    const key = currency ? String(currency).toUpperCase() : null;
+    return (key && this.tolerances[key]) || this.tolerances.default || { percent: 0 };
+  }
+
+  /**
+   * Compare a received amount with the expected amount
+   * @param {number|string} expectedAmount - Amount due
+   * @param {number|string} receivedAmount - Amount received
+   * @param {string} currency - Currency of both amounts
+   * @returns {Object} Assessment with outcome, outstanding and overpaid amounts
+   */
+  evaluate(expectedAmount, receivedAmount, currency) {
+    const expected = parseFloat(expectedAmount);
+    const received = parseFloat(receivedAmount) || 0;
+    const tolerance = this.getTolerance(currency);
+    const allowedDifference = tolerance.absolute !== undefined
+      ? parseFloat(tolerance.absolute)
+      : expected * (parseFloat(tolerance.percent) || 0) / 100;
+
+    const difference = received - expected;
+    let outcome;
+
+    if (received <= 0) {
+      outcome = OUTCOMES.UNPAID;
+    } else if (difference < -allowedDifference) {
+      outcome = OUTCOMES.PARTIALLY_PAID;
+    } else if (difference > allowedDifference) {
+      outcome = OUTCOMES.OVERPAID;
+    } else {
+      outcome = OUTCOMES.PAID;
+    }
+
+    return {
+      outcome,
+      currency: currency || null,
+      expectedAmount: expected,
+      receivedAmount: received,
+      outstandingAmount: outcome === OUTCOMES.PARTIALLY_PAID || outcome === OUTCOMES.UNPAID ? -difference : 0,
+      overpaidAmount: outcome === OUTCOMES.OVERPAID ? difference : 0,
+      tolerance
+    };
+  }
+
+  /**
+   * Assess a payment from callback/invoice data, picking a pair of amounts in the same currency:
+   * the fiat value received against the price, the crypto received against the crypto due, or the raw
+   * amount against the price when both are in the price currency.
+   * @param {Object} data - Payment data (PayID19 callback field names)
+   * @returns {Object|null} Assessment including outstandingPriceAmount, or null if no comparable amounts exist
+   */
+  assess(data) {
+    const {
+      price_amount,
+      price_currency,
+      pay_amount,
+      pay_currency,
+      amount,
+      amount_currency,
+      actually_paid,
+      actually_paid_at_fiat
+    } = data;
+
+    if (!(parseFloat(price_amount) > 0)) {
+      return null;
+    }
+
+    let assessment = null;
+    if (this._isAmount(actually_paid_at_fiat)) {
+      assessment = this.evaluate(price_amount, actually_paid_at_fiat, price_currency);
+    } else if (this._isAmount(pay_amount) && this._isAmount(actually_paid)) {
+      assessment = this.evaluate(pay_amount, actually_paid, pay_currency);
+    } else if (this._isAmount(amount) && (!amount_currency || amount_currency === price_currency)) {
+      assessment = this.evaluate(price_amount, amount, price_currency);
+    }
+
+    if (!assessment) {
+      return null;
+    }
+
+    // Express what is still due in the invoice's price currency, so a top-up invoice can be created
+    const ratio = assessment.expectedAmount > 0 ? assessment.outstandingAmount / assessment.expectedAmount : 0;
+    return {
+      ...assessment,
+      priceCurrency: price_currency || null,
+      outstandingPriceAmount: this._round(parseFloat(price_amount) * ratio),
+      assessedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the lifecycle state matching an assessment outcome
+   * @param {string} outcome - Assessment outcome
+   * @returns {string} Lifecycle state
+   */
+  stateFor(outcome) {
+    return OUTCOME_STATES[outcome];
+  }
+
+  /**
+   * Check whether a value is a usable amount
+   * @param {*} value - Candidate amount
+   * @returns {boolean} True for numeric values
+   */
+  _isAmount(value) {
+    return value !== undefined && value !== null && value !== '' && !isNaN(parseFloat(value));
+  }
+
+  /**
+   * Round a price amount to 8 decimal places
+   * @param {number} value - Amount
+   * @returns {number} Rounded amount
+   */
+  _round(value) {
+    return Math.round(value * 1e8) / 1e8;
+  }
+}
+
+// Initialize static instance property
+PaymentPolicy.instance = null;
+
+PaymentPolicy.OUTCOMES = OUTCOMES;
+
+module.exports = PaymentPolicy;
@@ -0,0 +1,104 @@
+/**
+ * Ways a webhook can be authenticated (WEBHOOK_VERIFICATION_MODE)
+ */
+const VERIFICATION_MODES = {
+  PRIVATE_KEY: 'privatekey',
+  HMAC: 'hmac',
+  BOTH: 'both'
+};
+
+/**
+ * Error codes of failed webhook verifications, returned to the caller as `code`
+ */
+const VERIFICATION_ERRORS = {
+  MISSING_PRIVATE_KEY: 'missing_private_key',
+  INVALID_PRIVATE_KEY: 'invalid_private_key',
+  MISSING_SIGNATURE: 'missing_signature',
+  INVALID_SIGNATURE: 'invalid_signature',
+  NOT_CONFIGURED: 'verification_not_configured'
+};
+
+/**
+ * Interface every payment gateway adapter implements.
+ * Routes only talk to providers through these methods, so a new gateway is added by extending this
+ * class and registering it with the PaymentProviderRegistry, which creates one instance per merchant
+ * account (see utils/merchants.js). Invoice data uses the same field names
+ * for every provider (invoice_id, invoice_url, order_id, status, price_amount, price_currency,
+ * pay_amount, pay_currency, pay_address, actually_paid, actually_paid_at_fiat, created_at, expires_at).
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name, used in routes (/api/webhook/:provider/callback) and on invoice records
+   * @param {string} merchantId - Merchant whose account this instance uses (null for the global account)
+   */
+  constructor(name, merchantId = null) {
+    this.name = name;
+    this.merchantId = merchantId;
+  }
+
+  /**
+   * Create a new invoice
+   * @param {Object} invoiceData - Invoice details (priceAmount, priceCurrency, orderId, orderDescription,
+   *   customerEmail, successUrl, failureUrl, cancelUrl)
+   * @returns {Promise<Object>} `{ success, data, raw, pageUrls, message }` on success, where pageUrls holds our
+   *   success/cancel/failure page URLs for the invoice; `{ success: false, error, message }` otherwise
+   */
+  async createInvoice(invoiceData) {
+    throw new Error(`${this.name} provider does not implement createInvoice()`);
+  }
+
+  /**
+   * Look up an invoice and determine its status without guessing
+   * @param {Object} criteria - `{ orderId, invoiceId, expectedAmount }` (at least one ID is required)
+   * @returns {Promise<Object>} `{ resolution, resolved, status, invoice, invoiceId, reason }`
+   *   as returned by InvoiceStatusResolver
+   */
+  async getInvoice(criteria) {
+    throw new Error(`${this.name} provider does not implement getInvoice()`);
+  }
+
+  /**
+   * Verify that a webhook request really comes from the gateway, as required by WEBHOOK_VERIFICATION_MODE
+   * @param {Object} req - Express request (body and headers)
+   * @returns {Object} `{ valid: true }` or `{ valid: false, code, error, message }` with code one of
+   *   VERIFICATION_ERRORS
+   */
+  verifyWebhook(req) {
+    throw new Error(`${this.name} provider does not implement verifyWebhook()`);
+  }
+
+  /**
+   * Check, without logging failures, whether a webhook was sent for this instance's account.
+   * Used to find the merchant of a callback for an invoice we don't know.
+   * @param {Object} req - Express request (body and headers)
+   * @returns {boolean} True if the webhook verifies against this account
+   */
+  ownsWebhook(req) {
+    return this.verifyWebhook(req).valid;
+  }
+
+  /**
+   * Tell when the gateway issued a webhook, so callbacks replayed long after they were sent can be rejected
+   * @param {Object} req - Express request of a webhook that passed verifyWebhook
+   * @returns {Date|null} Issue time, or null when the webhook carries no usable timestamp
+   */
+  webhookTimestamp(req) {
+    return null;
+  }
+
+  /**
+   * Extract the invoice reference and payment data from a webhook payload
+   * @param {Object} body - Webhook request body
+   * @returns {Object} `{ success: true, invoiceId, orderId, data }` where data uses the common invoice
+   *   field names, or `{ success: false, error, message, errors }` for payloads that can't be processed
+   *   (errors as returned by validateSchema)
+   */
+  parseWebhook(body) {
+    throw new Error(`${this.name} provider does not implement parseWebhook()`);
+  }
+}
+
+PaymentProvider.VERIFICATION_MODES = VERIFICATION_MODES;
+PaymentProvider.VERIFICATION_ERRORS = VERIFICATION_ERRORS;
+
+module.exports = PaymentProvider;
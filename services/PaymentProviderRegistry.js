@@ -0,0 +1,143 @@
+const config = require('../config');
+const PayID19Service = require('./PayID19Service');
+const { getMerchant, listMerchants } = require('../utils/merchants');
+
+class PaymentProviderRegistry {
+  constructor() {
+    // Only initialize if not already initialized
+    if (PaymentProviderRegistry.instance) {
+      return PaymentProviderRegistry.instance;
+    }
+
+    // Provider factories keyed by the name used in routes, config and invoice records.
+    // Each factory receives the merchant (or null for the global account) and providers are created
+    // on first use, so unused gateways and merchants don't need credentials.
+    this.factories = {
+      payid19: (merchant) => new PayID19Service(merchant)
+    };
+    this.providers = new Map();
+    this.defaultProvider = config.providers.default;
+    this.merchantProviders = config.providers.merchants || {};
+
+    // Store the instance
+    PaymentProviderRegistry.instance = this;
+  }
+
+  /**
+   * Register an additional payment provider
+   * @param {string} name - Provider name
+   * @param {Function} factory - Factory receiving the merchant (or null) and returning a PaymentProvider instance
+   */
+  register(name, factory) {
+    const key = String(name).toLowerCase();
+    console.log(`➕ Registering payment provider ${key}`);
+    this.factories[key] = factory;
+    [...this.providers.keys()]
+      .filter(instanceKey => instanceKey.startsWith(`${key}:`))
+      .forEach(instanceKey => this.providers.delete(instanceKey));
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean} True if the provider exists
+   */
+  has(name) {
+    return !!name && Object.prototype.hasOwnProperty.call(this.factories, String(name).toLowerCase());
+  }
+
+  /**
+   * List the registered provider names
+   * @returns {Array<string>} Provider names
+   */
+  names() {
+    return Object.keys(this.factories);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name (defaults to the configured default provider)
+   * @param {string} merchantId - Merchant whose account to use; unknown merchants use the global account (optional)
+   * @returns {Object} PaymentProvider instance
+   */
+  get(name = this.defaultProvider, merchantId = null) {
+    const key = String(name || this.defaultProvider).toLowerCase();
+    if (!this.has(key)) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    const merchant = getMerchant(merchantId);
+    const instanceKey = `${key}:${merchant ? merchant.id : ''}`;
+    if (!this.providers.has(instanceKey)) {
+      this.providers.set(instanceKey, this.factories[key](merchant));
+    }
+    return this.providers.get(instanceKey);
+  }
+
+  /**
+   * Select the provider for a request: an explicit provider wins, then the merchant's configured
+   * provider, then the default provider. The provider uses the merchant's account.
+   * @param {Object} selection - Selection criteria
+   * @param {string} selection.provider - Provider requested explicitly (optional)
+   * @param {string} selection.merchantId - Merchant identifier (optional)
+   * @returns {Object} PaymentProvider instance
+   */
+  select({ provider = null, merchantId = null } = {}) {
+    return this.get(provider || this._merchantProvider(merchantId), merchantId);
+  }
+
+  /**
+   * Get the provider an invoice was created with, using the account of the invoice's merchant
+   * @param {Object|null} invoice - Invoice record; unknown invoices use the default provider
+   * @returns {Object} PaymentProvider instance
+   */
+  forInvoice(invoice) {
+    if (!invoice) {
+      return this.get();
+    }
+
+    // Records without a provider predate provider support and were all created with PayID19
+    return this.get(invoice.provider || 'payid19', invoice.merchantId);
+  }
+
+  /**
+   * Find the provider instance (and so the merchant account) a webhook must be verified against.
+   * Callbacks for known invoices belong to the invoice's merchant; for unknown invoices the first
+   * account the callback verifies against wins, falling back to the global account.
+   * @param {string} name - Provider name from the webhook route
+   * @param {Object} context - Webhook context
+   * @param {Object|null} context.invoice - Stored invoice the callback refers to
+   * @param {Object} context.req - Express request
+   * @returns {Object} PaymentProvider instance
+   */
+  forWebhook(name, { invoice = null, req }) {
+    if (invoice) {
+      return this.get(name, invoice.merchantId);
+    }
+
+    const candidates = [
+      this.get(name),
+      ...listMerchants()
+        .filter(merchant => this._merchantProvider(merchant.id) === String(name).toLowerCase())
+        .map(merchant => this.get(name, merchant.id))
+    ];
+    return candidates.find(candidate => candidate.ownsWebhook(req)) || candidates[0];
+  }
+
+  /**
+   * Get the provider name configured for a merchant
+   * @param {string} merchantId - Merchant identifier (optional)
+   * @returns {string} Provider name
+   */
+  _merchantProvider(merchantId) {
+    const merchant = getMerchant(merchantId);
+    return (merchant && merchant.provider) ||
+      (merchantId && this.merchantProviders[merchantId]) ||
+      this.defaultProvider;
+  }
+}
+
+// Initialize static instance property
+PaymentProviderRegistry.instance = null;
+
+module.exports = PaymentProviderRegistry;
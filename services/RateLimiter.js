@@ -0,0 +1,134 @@
+const config = require('../config');
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('../storage');
+
+/**
+ * Stores available for RATE_LIMIT_STORE
+ */
+const STORES = {
+  memory: () => new MemoryRateLimitStore(),
+  redis: (settings) => new RedisRateLimitStore({ url: settings.redisUrl, timeoutMs: settings.redisTimeoutMs })
+};
+
+/**
+ * Token-bucket rate limits and temporary blocks of abusive sources.
+ * When the store fails (Redis down) requests are let through and the error is logged: rate limiting
+ * protects the gateway quota, it shouldn't take the payment API down with it.
+ */
+class RateLimiter {
+  constructor(store = null) {
+    // Only initialize if not already initialized
+    if (RateLimiter.instance) {
+      return RateLimiter.instance;
+    }
+
+    this.settings = config.rateLimit;
+    if (!store && !STORES[this.settings.store]) {
+      throw new Error(`Unknown rate limit store: ${this.settings.store}`);
+    }
+    this.store = store || STORES[this.settings.store](this.settings);
+
+    // Store the instance
+    RateLimiter.instance = this;
+  }
+
+  /**
+   * Count a request against a token bucket
+   * @param {string} name - Bucket family (e.g. invoice:ip)
+   * @param {string} key - Who the request is counted for (IP address, API key ID, ...)
+   * @param {Object} policy - `{ burst, perMinute }`
+   * @returns {Promise<Object>} `{ allowed, limit, remaining, resetSeconds, retryAfterSeconds, policy }`
+   */
+  async consume(name, key, { burst, perMinute }) {
+    const refillPerMs = perMinute / 60000;
+    const result = { allowed: true, limit: burst, remaining: burst, resetSeconds: 0, retryAfterSeconds: 0 };
+    // Time for an empty bucket to fill up again
+    result.policy = `${burst};w=${Math.ceil(burst / refillPerMs / 1000)}`;
+
+    if (!this.settings.enabled) {
+      return result;
+    }
+
+    try {
+      const { allowed, tokens } = await this.store.take(`${name}:${key}`, burst, refillPerMs);
+      return {
+        ...result,
+        allowed,
+        remaining: Math.floor(tokens),
+        resetSeconds: Math.ceil((burst - tokens) / refillPerMs / 1000),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000)
+      };
+    } catch (error) {
+      console.error(`💥 Rate limit check for ${name} failed, letting the request through:`, error.message);
+      return result;
+    }
+  }
+
+  /**
+   * Record a failed attempt (e.g. a wrong webhook private key) and block the source once it has too many
+   * @param {string} name - Failure family (e.g. webhook_auth)
+   * @param {string} key - Source of the attempt
+   * @param {Object} policy - `{ maxFailures, windowSeconds, blockSeconds }`
+   * @returns {Promise<Object>} `{ failures, blocked }`
+   */
+  async recordFailure(name, key, { maxFailures, windowSeconds, blockSeconds }) {
+    if (!this.settings.enabled) {
+      return { failures: 0, blocked: false };
+    }
+
+    try {
+      const failures = await this.store.increment(`${name}:failures:${key}`, windowSeconds * 1000);
+      if (failures < maxFailures) {
+        return { failures, blocked: false };
+      }
+
+      await this.store.set(`${name}:blocked:${key}`, blockSeconds * 1000);
+      await this.store.delete(`${name}:failures:${key}`);
+      console.warn(`🚫 Blocking ${key} for ${blockSeconds}s after ${failures} failed ${name} attempts`);
+      return { failures, blocked: true };
+    } catch (error) {
+      console.error(`💥 Failed to record ${name} failure:`, error.message);
+      return { failures: 0, blocked: false };
+    }
+  }
+
+  /**
+   * Forget the failed attempts of a source after a successful one
+   * @param {string} name - Failure family
+   * @param {string} key - Source of the attempt
+   */
+  async clearFailures(name, key) {
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    try {
+      await this.store.delete(`${name}:failures:${key}`);
+    } catch (error) {
+      console.error(`💥 Failed to clear ${name} failures:`, error.message);
+    }
+  }
+
+  /**
+   * Check whether a source is blocked
+   * @param {string} name - Failure family
+   * @param {string} key - Source
+   * @returns {Promise<number>} Seconds until the block ends, 0 when not blocked
+   */
+  async blockedFor(name, key) {
+    if (!this.settings.enabled) {
+      return 0;
+    }
+
+    try {
+      return Math.ceil(await this.store.ttl(`${name}:blocked:${key}`) / 1000);
+    } catch (error) {
+      console.error(`💥 Failed to check ${name} block:`, error.message);
+      return 0;
+    }
+  }
+}
+
+// Initialize static instance property
+RateLimiter.instance = null;
+
+module.exports = RateLimiter;
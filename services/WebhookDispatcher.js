@@ -0,0 +1,49 @@
+const WebhookSubscriberRegistry = require('./WebhookSubscriberRegistry');
+const WebhookQueue = require('./WebhookQueue');
+
+class WebhookDispatcher {
+  constructor() {
+    // Only initialize if not already initialized
+    if (WebhookDispatcher.instance) {
+      return WebhookDispatcher.instance;
+    }
+
+    this.registry = new WebhookSubscriberRegistry();
+    this.queue = new WebhookQueue();
+
+    // Store the instance
+    WebhookDispatcher.instance = this;
+  }
+
+  /**
+   * Fan a normalized event out to every subscriber interested in its status or event type.
+   * Deliveries are only queued here; the webhook queue signs and sends them in the background.
+   * @param {Object} event - Normalized event (see utils/webhookEvent.js)
+   * @param {string} status - Payment status used for event filtering
+   * @param {Object} meta - Context stored with each delivery (invoiceId, orderId, merchantId, ...)
+   * @returns {Promise<Array<Object>>} Queued deliveries
+   */
+  async dispatch(event, status, meta = {}) {
+    const subscribers = await this.registry.getMatching(status, event.type, meta.merchantId);
+
+    if (subscribers.length === 0) {
+      console.log(`📭 No webhook subscribers for ${event.type} (status "${status}")`);
+      return [];
+    }
+
+    console.log(`📤 Queueing ${status} notification for ${subscribers.length} subscriber(s)`);
+
+    const deliveries = [];
+    for (const subscriber of subscribers) {
+      deliveries.push(await this.queue.enqueue(subscriber, event, { ...meta, status, eventId: event.id, eventType: event.type }));
+    }
+
+    this.queue.trigger();
+    return deliveries;
+  }
+}
+
+// Initialize static instance property
+WebhookDispatcher.instance = null;
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,262 @@
+const axios = require('axios');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const config = require('../config');
+const { getStorage } = require('../storage');
+const WebhookSubscriberRegistry = require('./WebhookSubscriberRegistry');
+const { signPayload } = require('../utils/signature');
+
+const COLLECTION = 'webhook_deliveries';
+
+/**
+ * Persistent outbox for downstream webhook deliveries.
+ * Deliveries are stored before PayID19 is acknowledged and then delivered in the background,
+ * retried with exponential backoff and jitter, and dead-lettered after the last attempt.
+ */
+class WebhookQueue {
+  constructor(storage = getStorage()) {
+    // Only initialize if not already initialized
+    if (WebhookQueue.instance) {
+      return WebhookQueue.instance;
+    }
+
+    this.storage = storage;
+    this.registry = new WebhookSubscriberRegistry();
+    this.timeout = config.webhooks.timeout;
+    this.retry = config.webhooks.retry;
+    this.signingSecret = config.webhooks.signingSecret;
+    this.timer = null;
+    this.processing = null;
+
+    // Store the instance
+    WebhookQueue.instance = this;
+  }
+
+  /**
+   * Start polling the outbox for due deliveries
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`📬 Starting webhook delivery queue (poll every ${this.retry.pollIntervalMs}ms, max ${this.retry.maxAttempts} attempts)`);
+    this.timer = setInterval(() => this.processDue(), this.retry.pollIntervalMs);
+    this.timer.unref();
+    this.processDue();
+  }
+
+  /**
+   * Stop polling the outbox
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Persist a delivery for a subscriber.
+   * With an event ID the delivery ID is derived from the event and subscriber, so publishing the same
+   * event again (after a failed publish) returns the existing delivery instead of queueing a second one.
+   * @param {Object} subscriber - Target subscriber
+   * @param {Object} payload - Notification payload
+   * @param {Object} meta - Context stored with the delivery (invoiceId, status, eventId, ...)
+   * @returns {Promise<Object>} Stored delivery
+   */
+  async enqueue(subscriber, payload, meta = {}) {
+    const id = meta.eventId
+      ? `dlv_${uuidv5(`${meta.eventId}:${subscriber.id}`, uuidv5.URL)}`
+      : `dlv_${uuidv4()}`;
+
+    const existing = meta.eventId ? await this.storage.get(COLLECTION, id) : null;
+    if (existing) {
+      console.log(`📥 Delivery ${id} for subscriber ${subscriber.id} already queued`);
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const delivery = {
+      id,
+      subscriberId: subscriber.id,
+      url: subscriber.url,
+      payload,
+      meta,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: this.retry.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      lastStatusCode: null,
+      createdAt: now,
+      updatedAt: now,
+      deliveredAt: null
+    };
+
+    console.log(`📥 Queued delivery ${delivery.id} for subscriber ${subscriber.id}`);
+    return this.storage.set(COLLECTION, delivery.id, delivery);
+  }
+
+  /**
+   * Kick off processing without waiting for the next poll
+   */
+  trigger() {
+    setImmediate(() => this.processDue());
+  }
+
+  /**
+   * Deliver every pending delivery whose next attempt is due.
+   * Concurrent calls share the run already in progress.
+   * @returns {Promise<void>}
+   */
+  async processDue() {
+    if (this.processing) {
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      try {
+        const now = new Date().toISOString();
+        const dueDeliveries = await this.storage.list(COLLECTION, delivery =>
+          delivery.status === 'pending' && delivery.nextAttemptAt <= now
+        );
+
+        for (const delivery of dueDeliveries) {
+          await this._attempt(delivery);
+        }
+      } catch (error) {
+        console.error('💥 Webhook queue processing error:', error);
+      } finally {
+        this.processing = null;
+      }
+    })();
+
+    return this.processing;
+  }
+
+  /**
+   * List deliveries, optionally filtered by status
+   * @param {Object} filter - Filter options
+   * @param {string} filter.status - Delivery status (pending, delivered, dead)
+   * @returns {Promise<Array<Object>>} Deliveries, newest first
+   */
+  async list({ status = null } = {}) {
+    const deliveries = await this.storage.list(COLLECTION, delivery => !status || delivery.status === status);
+    return deliveries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Put a dead-lettered delivery back in the queue with a fresh attempt budget
+   * @param {string} id - Delivery identifier
+   * @returns {Promise<Object|null>} Requeued delivery, or null if not found
+   */
+  async replay(id) {
+    const delivery = await this.storage.get(COLLECTION, id);
+    if (!delivery) {
+      return null;
+    }
+
+    if (delivery.status !== 'dead') {
+      throw new Error(`Delivery ${id} is ${delivery.status}; only dead-lettered deliveries can be replayed`);
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(delivery, {
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: this.retry.maxAttempts,
+      nextAttemptAt: now,
+      replayedAt: now,
+      updatedAt: now
+    });
+
+    console.log(`🔁 Replaying dead-lettered delivery ${id}`);
+    const saved = await this.storage.set(COLLECTION, id, delivery);
+    this.trigger();
+    return saved;
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   * @param {Object} delivery - Delivery to attempt
+   */
+  async _attempt(delivery) {
+    const subscriber = (await this.registry.list()).find(item => item.id === delivery.subscriberId);
+    const now = new Date();
+    delivery.attempts += 1;
+    delivery.updatedAt = now.toISOString();
+
+    try {
+      if (!subscriber) {
+        throw new Error(`Subscriber ${delivery.subscriberId} no longer exists`);
+      }
+
+      const { body, headers } = this._buildRequest(subscriber, delivery);
+      const response = await axios.post(subscriber.url, body, { timeout: this.timeout, headers });
+
+      delivery.status = 'delivered';
+      delivery.deliveredAt = delivery.updatedAt;
+      delivery.lastStatusCode = response.status;
+      delivery.lastError = null;
+      console.log(`✅ Delivery ${delivery.id} to ${delivery.subscriberId} succeeded (attempt ${delivery.attempts})`);
+    } catch (error) {
+      delivery.lastError = error.message;
+      delivery.lastStatusCode = error.response?.status || null;
+
+      if (!subscriber || delivery.attempts >= delivery.maxAttempts) {
+        delivery.status = 'dead';
+        delivery.deadAt = delivery.updatedAt;
+        console.error(`☠️ Delivery ${delivery.id} to ${delivery.subscriberId} dead-lettered after ${delivery.attempts} attempt(s):`, error.message);
+      } else {
+        const delay = this._backoffDelay(delivery.attempts);
+        delivery.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+        console.error(`❌ Delivery ${delivery.id} to ${delivery.subscriberId} failed (attempt ${delivery.attempts}/${delivery.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      }
+    }
+
+    await this.storage.set(COLLECTION, delivery.id, delivery);
+  }
+
+  /**
+   * Build the signed request for a delivery attempt. A fresh timestamp is used for every attempt.
+   * @param {Object} subscriber - Target subscriber
+   * @param {Object} delivery - Delivery being attempted
+   * @returns {Object} Request body and headers
+   * @throws {Error} When neither the subscriber nor WEBHOOK_SIGNING_SECRET provides a secret; the attempt
+   *   fails like any other, so the delivery can be replayed once a secret is configured
+   */
+  _buildRequest(subscriber, delivery) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Event-Id': delivery.meta.eventId || delivery.id,
+      'X-Event-Type': delivery.meta.eventType || 'invoice.updated',
+      'X-Delivery-Id': delivery.id
+    };
+
+    const secret = subscriber.secret || this.signingSecret;
+    if (!secret) {
+      throw new Error(`No signing secret for subscriber ${subscriber.id}; refusing to send an unsigned notification`);
+    }
+
+    const signed = signPayload(delivery.payload, secret);
+    return {
+      body: signed.body,
+      headers: { ...headers, ...signed.headers }
+    };
+  }
+
+  /**
+   * Exponential backoff with jitter: half of the delay is fixed, half is random
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds before the next attempt
+   */
+  _backoffDelay(attempts) {
+    const exponential = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+}
+
+// Initialize static instance property
+WebhookQueue.instance = null;
+
+module.exports = WebhookQueue;
@@ -0,0 +1,172 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getStorage } = require('../storage');
+const { listMerchants } = require('../utils/merchants');
+
+const COLLECTION = 'webhook_subscribers';
+
+// Shown instead of a subscriber secret; fixed so that no part of the secret is revealed
+const SECRET_MASK = '********';
+
+class WebhookSubscriberRegistry {
+  constructor(storage = getStorage()) {
+    // Only initialize if not already initialized
+    if (WebhookSubscriberRegistry.instance) {
+      return WebhookSubscriberRegistry.instance;
+    }
+
+    this.storage = storage;
+
+    // Subscribers from config/env (including the merchants' own webhooks) are read-only;
+    // admin API subscribers live in storage
+    this.configSubscribers = [
+      ...(config.webhooks.subscribers || []).map((subscriber, index) =>
+        this._normalize({ id: subscriber.id || `config_${index}`, ...subscriber }, 'config')
+      ),
+      ...listMerchants()
+        .filter(merchant => merchant.webhook)
+        .map(merchant => this._normalize({
+          id: `merchant_${merchant.id}`,
+          ...merchant.webhook,
+          merchantId: merchant.id,
+          description: `Webhook of merchant ${merchant.name}`
+        }, 'config'))
+    ];
+
+    // Notifications are never sent unsigned, so a subscriber without a secret would silently receive nothing
+    const unsigned = this.configSubscribers.filter(subscriber => !this.hasSigningSecret(subscriber));
+    if (unsigned.length > 0) {
+      throw new Error(`Webhook subscribers without a secret: ${unsigned.map(subscriber => subscriber.id).join(', ')}. Set their secret or WEBHOOK_SIGNING_SECRET`);
+    }
+
+    console.log('📋 Configured webhook subscribers:');
+    this.configSubscribers.forEach(subscriber => {
+      const scope = subscriber.merchantId ? `, merchant: ${subscriber.merchantId}` : '';
+      console.log(`  - ${subscriber.id}: ${subscriber.url} (events: ${subscriber.events.join(', ')}${scope})`);
+    });
+
+    // Store the instance
+    WebhookSubscriberRegistry.instance = this;
+  }
+
+  /**
+   * List all subscribers, configured and stored
+   * @returns {Promise<Array<Object>>} Subscribers
+   */
+  async list() {
+    const storedSubscribers = await this.storage.list(COLLECTION);
+    return [...this.configSubscribers, ...storedSubscribers];
+  }
+
+  /**
+   * Get the subscribers interested in an event.
+   * A subscriber's event filter may list statuses (finished) or event types (invoice.paid).
+   * Events of a merchant with its own subscribers only go to those; all other events go to the
+   * subscribers that aren't tied to a merchant.
+   * @param {string} status - Invoice status of the notification
+   * @param {string} type - Event type of the notification (optional)
+   * @param {string} merchantId - Merchant of the invoice (optional)
+   * @returns {Promise<Array<Object>>} Matching, enabled subscribers
+   */
+  async getMatching(status, type = null, merchantId = null) {
+    const subscribers = await this.list();
+    const merchantSubscribers = merchantId
+      ? subscribers.filter(subscriber => subscriber.merchantId === merchantId)
+      : [];
+    const candidates = merchantSubscribers.length > 0
+      ? merchantSubscribers
+      : subscribers.filter(subscriber => !subscriber.merchantId);
+
+    return candidates.filter(subscriber =>
+      subscriber.enabled &&
+      (subscriber.events.includes('*') ||
+        subscriber.events.includes(status) ||
+        (type && subscriber.events.includes(type)))
+    );
+  }
+
+  /**
+   * Register a new subscriber
+   * @param {Object} subscriberData - Subscriber details
+   * @param {string} subscriberData.url - Delivery URL
+   * @param {string} subscriberData.secret - Shared secret of the subscriber (optional)
+   * @param {Array<string>} subscriberData.events - Statuses to deliver, '*' for all (optional)
+   * @param {string} subscriberData.description - Free-form description (optional)
+   * @param {string} subscriberData.merchantId - Only deliver events of this merchant's invoices (optional)
+   * @returns {Promise<Object>} Stored subscriber
+   */
+  async add(subscriberData) {
+    const subscriber = this._normalize({
+      ...subscriberData,
+      id: `sub_${uuidv4()}`,
+      createdAt: new Date().toISOString()
+    }, 'api');
+
+    console.log(`➕ Registering webhook subscriber ${subscriber.id}: ${subscriber.url}`);
+    return this.storage.set(COLLECTION, subscriber.id, subscriber);
+  }
+
+  /**
+   * Remove a subscriber registered through the admin API
+   * @param {string} id - Subscriber identifier
+   * @returns {Promise<boolean>} True if the subscriber was removed
+   */
+  async remove(id) {
+    if (this.configSubscribers.some(subscriber => subscriber.id === id)) {
+      throw new Error(`Subscriber ${id} is defined in configuration and cannot be removed through the API`);
+    }
+
+    console.log(`➖ Removing webhook subscriber ${id}`);
+    return this.storage.delete(COLLECTION, id);
+  }
+
+  /**
+   * Check whether notifications to a subscriber can be signed
+   * @param {Object} subscriber - Subscriber
+   * @returns {boolean} True when the subscriber has a secret or WEBHOOK_SIGNING_SECRET is set
+   */
+  hasSigningSecret(subscriber) {
+    return !!(subscriber.secret || config.webhooks.signingSecret);
+  }
+
+  /**
+   * Hide subscriber secrets for API responses
+   * @param {Object} subscriber - Subscriber
+   * @returns {Object} Subscriber with the secret replaced by a fixed mask (null when it has none)
+   */
+  mask(subscriber) {
+    return {
+      ...subscriber,
+      secret: subscriber.secret ? SECRET_MASK : null
+    };
+  }
+
+  /**
+   * Apply defaults to a subscriber definition
+   * @param {Object} subscriber - Raw subscriber
+   * @param {string} source - Where the subscriber was defined (config or api)
+   * @returns {Object} Normalized subscriber
+   */
+  _normalize(subscriber, source) {
+    const events = Array.isArray(subscriber.events) && subscriber.events.length > 0
+      ? subscriber.events
+      : ['*'];
+
+    return {
+      id: subscriber.id,
+      url: subscriber.url,
+      secret: subscriber.secret || '',
+      events,
+      description: subscriber.description || '',
+      merchantId: subscriber.merchantId || null,
+      enabled: subscriber.enabled !== false,
+      source,
+      createdAt: subscriber.createdAt || null
+    };
+  }
+}
+
+// Initialize static instance property
+WebhookSubscriberRegistry.instance = null;
+
+module.exports = WebhookSubscriberRegistry;
@@ -0,0 +1,199 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'withdrawals';
+
+/**
+ * Local withdrawal statuses; upstream statuses are stored as reported once PayID19 knows the withdrawal
+ */
+const WITHDRAWAL_STATUSES = {
+  REQUESTED: 'requested',
+  SUBMITTED: 'submitted',
+  REJECTED: 'rejected',
+  // The request got no answer and may have been executed; GET /withdraws reconciles it
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Audit trail of every withdrawal request and its status.
+ * A withdrawal is stored before it is sent upstream, so failed and in-flight requests are kept too.
+ */
+class WithdrawalStore {
+  constructor(storage = getStorage()) {
+    // Only initialize if not already initialized
+    if (WithdrawalStore.instance) {
+      return WithdrawalStore.instance;
+    }
+
+    this.storage = storage;
+
+    // Store the instance
+    WithdrawalStore.instance = this;
+  }
+
+  /**
+   * Record a withdrawal request before it is sent upstream
+   * @param {Object} withdrawal - Withdrawal details (currency, amount, address, tag, provider)
+   * @param {Object} requestedBy - Who requested it (ipAddress, ...)
+   * @returns {Promise<Object>} Stored withdrawal
+   */
+  async recordRequested(withdrawal, requestedBy = {}) {
+    const now = new Date().toISOString();
+    const record = {
+      id: `wd_${uuidv4()}`,
+      withdrawId: null,
+      provider: withdrawal.provider || null,
+      currency: withdrawal.currency,
+      amount: withdrawal.amount,
+      address: withdrawal.address,
+      tag: withdrawal.tag || null,
+      status: WITHDRAWAL_STATUSES.REQUESTED,
+      error: null,
+      requestedBy,
+      history: [{ status: WITHDRAWAL_STATUSES.REQUESTED, at: now }],
+      payloads: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    console.log(`🗄️ Recording withdrawal request ${record.id}: ${record.amount} ${record.currency}`);
+    return this.storage.set(COLLECTION, record.id, record);
+  }
+
+  /**
+   * Record the upstream answer to a withdrawal request
+   * @param {string} id - Local withdrawal identifier
+   * @param {Object} result - Result of createWithdrawal
+   * @returns {Promise<Object|null>} Updated withdrawal, or null if it doesn't exist
+   */
+  async recordSubmission(id, result) {
+    const record = await this.storage.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    if (result.success) {
+      record.withdrawId = this.withdrawIdOf(result.data);
+      record.status = this._upstreamStatus(result.data) || WITHDRAWAL_STATUSES.SUBMITTED;
+    } else {
+      record.status = result.noResponse ? WITHDRAWAL_STATUSES.UNKNOWN : WITHDRAWAL_STATUSES.REJECTED;
+      record.error = typeof result.error === 'string' ? result.error : JSON.stringify(result.error);
+    }
+
+    record.history.push({ status: record.status, source: 'create', at: now });
+    record.payloads.push({ source: 'create', at: now, data: result.raw || result.error || null });
+    record.updatedAt = now;
+
+    console.log(`🔄 Withdrawal ${id} ${record.status}${record.withdrawId ? ` (upstream ID ${record.withdrawId})` : ''}`);
+    return this.storage.set(COLLECTION, id, record);
+  }
+
+  /**
+   * Merge a withdrawal reported by PayID19 into the store.
+   * Withdrawals that were not requested through this service are recorded as well.
+   * @param {Object} upstream - Withdrawal data from get_withdraws
+   * @param {string} provider - Provider that reported the withdrawal
+   * @returns {Promise<Object|null>} Stored withdrawal, or null if it carries no identifier
+   */
+  async recordUpstream(upstream, provider = null) {
+    const withdrawId = this.withdrawIdOf(upstream);
+    if (!withdrawId) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const existing = await this.findByWithdrawId(withdrawId);
+    const record = existing || {
+      id: `wd_${uuidv4()}`,
+      withdrawId,
+      provider,
+      currency: upstream.currency || upstream.coin || null,
+      amount: upstream.amount || null,
+      address: upstream.address || null,
+      tag: upstream.tag || null,
+      status: null,
+      error: null,
+      requestedBy: null,
+      history: [],
+      payloads: [],
+      createdAt: upstream.created_at || now,
+      updatedAt: now
+    };
+
+    const status = this._upstreamStatus(upstream);
+    if (!status || status === record.status) {
+      return existing || this.storage.set(COLLECTION, record.id, record);
+    }
+
+    console.log(`🔄 Withdrawal ${record.id} status ${record.status || 'unknown'} → ${status}`);
+    record.history.push({ status, previousStatus: record.status, source: 'api', at: now });
+    record.payloads.push({ source: 'api', at: now, data: upstream });
+    record.status = status;
+    record.updatedAt = now;
+    return this.storage.set(COLLECTION, record.id, record);
+  }
+
+  /**
+   * Find a withdrawal by its local identifier
+   * @param {string} id - Local withdrawal identifier
+   * @returns {Promise<Object|null>} Withdrawal or null
+   */
+  async findById(id) {
+    return this.storage.get(COLLECTION, id);
+  }
+
+  /**
+   * Find a withdrawal by its upstream identifier
+   * @param {string} withdrawId - Upstream withdrawal identifier
+   * @returns {Promise<Object|null>} Withdrawal or null
+   */
+  async findByWithdrawId(withdrawId) {
+    const [withdrawal] = await this.storage.list(COLLECTION, record => record.withdrawId === String(withdrawId));
+    return withdrawal || null;
+  }
+
+  /**
+   * List withdrawals, newest first
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.withdrawId - Upstream withdrawal identifier or local identifier
+   * @returns {Promise<Array<Object>>} Withdrawals
+   */
+  async list({ withdrawId = null } = {}) {
+    const withdrawals = await this.storage.list(COLLECTION, record =>
+      !withdrawId || record.withdrawId === String(withdrawId) || record.id === withdrawId
+    );
+    return withdrawals.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get the upstream identifier of a withdrawal
+   * @param {Object} upstream - Upstream withdrawal data
+   * @returns {string|null} Withdrawal identifier
+   */
+  withdrawIdOf(upstream) {
+    if (!upstream || typeof upstream !== 'object') {
+      return null;
+    }
+    const id = upstream.withdraw_id || upstream.id;
+    return id === undefined || id === null ? null : String(id);
+  }
+
+  /**
+   * Get the status reported upstream for a withdrawal
+   * @param {Object} upstream - Upstream withdrawal data
+   * @returns {string|null} Status
+   */
+  _upstreamStatus(upstream) {
+    if (!upstream || typeof upstream !== 'object' || upstream.status === undefined || upstream.status === null) {
+      return null;
+    }
+    return String(upstream.status);
+  }
+}
+
+// Initialize static instance property
+WithdrawalStore.instance = null;
+WithdrawalStore.STATUSES = WITHDRAWAL_STATUSES;
+
+module.exports = WithdrawalStore;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStorage = require('./MemoryStorage');
+
+/**
+ * File-backed storage driver.
+ * Each collection lives in its own JSON file inside the data directory. Collections are loaded
+ * lazily on first access and rewritten atomically (temp file + rename) after every write.
+ */
+class FileStorage extends MemoryStorage {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.dataDir - Directory holding the collection files
+   */
+  constructor({ dataDir }) {
+    super();
+    this.dataDir = dataDir;
+    this.loading = new Map();
+    this.writes = new Map();
+  }
+
+  /**
+   * Resolve the JSON file path of a collection
+   * @param {string} collection - Collection name
+   * @returns {string} Absolute file path
+   */
+  _filePath(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  async _getCollection(collection) {
+    if (this.collections.has(collection)) {
+      return this.collections.get(collection);
+    }
+
+    // Share one load between concurrent first readers
+    if (!this.loading.has(collection)) {
+      this.loading.set(collection, this._load(collection));
+    }
+
+    const records = await this.loading.get(collection);
+    this.collections.set(collection, records);
+    this.loading.delete(collection);
+    return records;
+  }
+
+  /**
+   * Load a collection file from disk
+   * @param {string} collection - Collection name
+   * @returns {Promise<Map>} Collection map
+   */
+  async _load(collection) {
+    try {
+      const content = await fs.promises.readFile(this._filePath(collection), 'utf8');
+      return new Map(Object.entries(JSON.parse(content)));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      console.error(`💥 Failed to load storage collection "${collection}":`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a collection to disk, serializing writes per collection
+   * @param {string} collection - Collection name
+   */
+  async _persist(collection) {
+    const previous = this.writes.get(collection) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const records = this.collections.get(collection) || new Map();
+      const filePath = this._filePath(collection);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      await fs.promises.mkdir(this.dataDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(records), null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    });
+
+    this.writes.set(collection, next);
+    return next;
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,116 @@
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process store for rate limit token buckets and counters.
+ * Limits are per process; use the Redis store to share them between instances.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.entries = new Map();
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * Take one token from a token bucket, refilling it for the time since the last request
+   * @param {string} key - Bucket key
+   * @param {number} capacity - Bucket size
+   * @param {number} refillPerMs - Tokens added per millisecond
+   * @returns {Promise<Object>} `{ allowed, tokens }` with the tokens left after this request
+   */
+  async take(key, capacity, refillPerMs) {
+    const now = Date.now();
+    this._purge(now);
+
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    let tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+
+    this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + (capacity - tokens) / refillPerMs });
+    return { allowed, tokens };
+  }
+
+  /**
+   * Increment a counter that expires a fixed time after its first increment
+   * @param {string} key - Counter key
+   * @param {number} ttlMs - Counter lifetime
+   * @returns {Promise<number>} Count after this increment
+   */
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this._live(key, now) || { value: 0, expiresAt: now + ttlMs };
+    entry.value += 1;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Set a flag that expires after a while
+   * @param {string} key - Flag key
+   * @param {number} ttlMs - Flag lifetime
+   */
+  async set(key, ttlMs) {
+    this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Get the remaining lifetime of a counter or flag
+   * @param {string} key - Entry key
+   * @returns {Promise<number>} Milliseconds left, 0 when missing or expired
+   */
+  async ttl(key) {
+    const now = Date.now();
+    const entry = this._live(key, now);
+    return entry ? entry.expiresAt - now : 0;
+  }
+
+  /**
+   * Remove a counter or flag
+   * @param {string} key - Entry key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Get an entry unless it has expired
+   * @param {string} key - Entry key
+   * @param {number} now - Current time
+   * @returns {Object|null} Entry or null
+   */
+  _live(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Drop full buckets and expired entries now and then, so idle clients don't accumulate
+   * @param {number} now - Current time
+   */
+  _purge(now) {
+    if (now - this.lastPurgeAt < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurgeAt = now;
+
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= now) {
+        this.buckets.delete(key);
+      }
+    });
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = MemoryRateLimitStore;
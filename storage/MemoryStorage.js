@@ -0,0 +1,104 @@
+/**
+ * In-memory storage driver.
+ * Keeps every collection in a Map; data is lost when the process exits.
+ * Values are cloned on the way in and out so callers can never mutate stored state by accident.
+ */
+class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Get (and lazily create) the Map backing a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<Map>} Collection map
+   */
+  async _getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Read a single record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record identifier
+   * @returns {Promise<Object|null>} Stored record or null
+   */
+  async get(collection, id) {
+    const records = await this._getCollection(collection);
+    return records.has(id) ? structuredClone(records.get(id)) : null;
+  }
+
+  /**
+   * Create or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record identifier
+   * @param {Object} value - Record to store
+   * @returns {Promise<Object>} Stored record
+   */
+  async set(collection, id, value) {
+    const records = await this._getCollection(collection);
+    records.set(id, structuredClone(value));
+    await this._persist(collection);
+    return structuredClone(value);
+  }
+
+  /**
+   * Create a record only if it doesn't exist yet (or the existing one may be replaced), as one atomic step.
+   * The check and the write happen without yielding, so concurrent callers can't both succeed.
+   * @param {string} collection - Collection name
+   * @param {string} id - Record identifier
+   * @param {Object} value - Record to store
+   * @param {Function} canReplace - Optional predicate receiving the existing record (e.g. to replace expired entries)
+   * @returns {Promise<Object>} `{ created: true, record }` or `{ created: false, record }` with the existing record
+   */
+  async setIfAbsent(collection, id, value, canReplace = null) {
+    const records = await this._getCollection(collection);
+    const existing = records.get(id);
+
+    if (existing && !(canReplace && canReplace(existing))) {
+      return { created: false, record: structuredClone(existing) };
+    }
+
+    records.set(id, structuredClone(value));
+    await this._persist(collection);
+    return { created: true, record: structuredClone(value) };
+  }
+
+  /**
+   * Delete a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record identifier
+   * @returns {Promise<boolean>} True if a record was removed
+   */
+  async delete(collection, id) {
+    const records = await this._getCollection(collection);
+    const removed = records.delete(id);
+    if (removed) {
+      await this._persist(collection);
+    }
+    return removed;
+  }
+
+  /**
+   * List records of a collection, optionally filtered
+   * @param {string} collection - Collection name
+   * @param {Function} filter - Optional predicate receiving each record
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async list(collection, filter = null) {
+    const records = await this._getCollection(collection);
+    const values = Array.from(records.values());
+    return (filter ? values.filter(filter) : values).map(value => structuredClone(value));
+  }
+
+  /**
+   * Persist a collection after a write; no-op for the memory driver
+   * @param {string} collection - Collection name
+   */
+  async _persist(collection) {}
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,153 @@
+const KEY_PREFIX = 'ratelimit:';
+
+// Refill and take in one step, using the Redis clock so every instance sees the same buckets
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// Reconnection attempts before the client gives up; the next call starts a new connection
+const MAX_RECONNECT_ATTEMPTS = 3;
+
+/**
+ * Redis store for rate limit token buckets and counters, shared by every instance of the service.
+ * Same interface as MemoryRateLimitStore. Every call gives up after `timeoutMs` instead of waiting for Redis
+ * to come back, so callers can fail open while Redis is down.
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Redis connection URL
+   * @param {number} options.timeoutMs - How long a call (including connecting) may take before it fails
+   */
+  constructor({ url, timeoutMs = 500 }) {
+    // Only needed when the Redis store is selected
+    const { createClient } = require('redis');
+
+    this.timeoutMs = timeoutMs;
+    this.client = createClient({
+      url,
+      // Commands fail right away while disconnected instead of queueing until Redis is back
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: timeoutMs,
+        reconnectStrategy: (retries) => retries >= MAX_RECONNECT_ATTEMPTS
+          ? new Error(`Gave up connecting to Redis after ${retries} attempts`)
+          : Math.min(retries * 100, 1000)
+      }
+    });
+    this.client.on('error', (error) => console.error('💥 Redis rate limit store error:', error.message));
+    this.connecting = null;
+  }
+
+  /**
+   * Connect on first use, and again after the client gave up reconnecting
+   * @returns {Promise<Object>} Connected client
+   */
+  async _connected() {
+    if (!this.client.isOpen && !this.connecting) {
+      console.log('🔌 Connecting rate limit store to Redis');
+      this.connecting = this.client.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    if (this.connecting) {
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  /**
+   * Run a command on the connected client, failing after `timeoutMs`
+   * @param {Function} command - Receives the client and returns a promise
+   * @returns {Promise<*>} Command result
+   */
+  async _call(command) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Redis did not answer within ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([this._connected().then(command), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Take one token from a token bucket, refilling it for the time since the last request
+   * @param {string} key - Bucket key
+   * @param {number} capacity - Bucket size
+   * @param {number} refillPerMs - Tokens added per millisecond
+   * @returns {Promise<Object>} `{ allowed, tokens }` with the tokens left after this request
+   */
+  async take(key, capacity, refillPerMs) {
+    const [allowed, tokens] = await this._call(client => client.eval(TAKE_SCRIPT, {
+      keys: [`${KEY_PREFIX}${key}`],
+      arguments: [String(capacity), String(refillPerMs)]
+    }));
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+  }
+
+  /**
+   * Increment a counter that expires a fixed time after its first increment
+   * @param {string} key - Counter key
+   * @param {number} ttlMs - Counter lifetime
+   * @returns {Promise<number>} Count after this increment
+   */
+  async increment(key, ttlMs) {
+    return this._call(async (client) => {
+      const count = await client.incr(`${KEY_PREFIX}${key}`);
+      if (count === 1) {
+        await client.pExpire(`${KEY_PREFIX}${key}`, ttlMs);
+      }
+      return count;
+    });
+  }
+
+  /**
+   * Set a flag that expires after a while
+   * @param {string} key - Flag key
+   * @param {number} ttlMs - Flag lifetime
+   */
+  async set(key, ttlMs) {
+    await this._call(client => client.set(`${KEY_PREFIX}${key}`, '1', { PX: ttlMs }));
+  }
+
+  /**
+   * Get the remaining lifetime of a counter or flag
+   * @param {string} key - Entry key
+   * @returns {Promise<number>} Milliseconds left, 0 when missing or expired
+   */
+  async ttl(key) {
+    return Math.max(0, await this._call(client => client.pTTL(`${KEY_PREFIX}${key}`)));
+  }
+
+  /**
+   * Remove a counter or flag
+   * @param {string} key - Entry key
+   */
+  async delete(key) {
+    await this._call(client => client.del(`${KEY_PREFIX}${key}`));
+  }
+}
+
+module.exports = RedisRateLimitStore;
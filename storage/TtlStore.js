@@ -0,0 +1,111 @@
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Key/value store whose entries expire after a time-to-live.
+ * Built on top of any storage driver; expired entries are dropped lazily on read
+ * and swept from the collection periodically on write.
+ */
+class TtlStore {
+  /**
+   * @param {Object} storage - Storage driver instance
+   * @param {string} collection - Collection holding the entries
+   * @param {number} ttlMs - Default time-to-live in milliseconds
+   */
+  constructor(storage, collection, ttlMs) {
+    this.storage = storage;
+    this.collection = collection;
+    this.ttlMs = ttlMs;
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * Read a live entry
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} Stored value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = await this.storage.get(this.collection, key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.storage.delete(this.collection, key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Entry key
+   * @param {*} value - Value to store
+   * @param {number} ttlMs - Time-to-live override in milliseconds (optional)
+   * @returns {Promise<*>} Stored value
+   */
+  async set(key, value, ttlMs = this.ttlMs) {
+    const now = Date.now();
+    await this.storage.set(this.collection, key, {
+      key,
+      value,
+      createdAt: now,
+      expiresAt: now + ttlMs
+    });
+
+    if (now - this.lastPurgeAt > PURGE_INTERVAL_MS) {
+      this.lastPurgeAt = now;
+      await this.purgeExpired();
+    }
+
+    return value;
+  }
+
+  /**
+   * Store an entry only if there is no live one, atomically
+   * @param {string} key - Entry key
+   * @param {*} value - Value to store
+   * @param {number} ttlMs - Time-to-live override in milliseconds (optional)
+   * @returns {Promise<Object>} `{ added: true, value }`, or `{ added: false, value }` with the live entry's value
+   */
+  async add(key, value, ttlMs = this.ttlMs) {
+    const now = Date.now();
+    const { created, record } = await this.storage.setIfAbsent(this.collection, key, {
+      key,
+      value,
+      createdAt: now,
+      expiresAt: now + ttlMs
+    }, existing => existing.expiresAt <= now);
+
+    return { added: created, value: record.value };
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async delete(key) {
+    return this.storage.delete(this.collection, key);
+  }
+
+  /**
+   * Drop every expired entry from the collection
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    const entries = await this.storage.list(this.collection);
+    const expired = entries.filter(entry => entry.expiresAt <= now);
+
+    let removed = 0;
+    for (const entry of expired) {
+      if (await this.storage.delete(this.collection, entry.key)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = TtlStore;
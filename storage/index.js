@@ -0,0 +1,54 @@
+const config = require('../config');
+const MemoryStorage = require('./MemoryStorage');
+const FileStorage = require('./FileStorage');
+const TtlStore = require('./TtlStore');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const RedisRateLimitStore = require('./RedisRateLimitStore');
+
+/**
+ * Available storage drivers, keyed by the name used in STORAGE_DRIVER.
+ * Every driver implements the same async interface: get, set, setIfAbsent, delete and list.
+ * setIfAbsent must be atomic: it is what idempotency keys and order claims rely on.
+ */
+const drivers = {
+  memory: () => new MemoryStorage(),
+  file: (options) => new FileStorage(options)
+};
+
+let storage = null;
+
+/**
+ * Register an additional storage driver (e.g. SQL or Redis backed)
+ * @param {string} name - Driver name to select through config.storage.driver
+ * @param {Function} factory - Factory receiving config.storage and returning a driver instance
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Get the shared storage instance, creating it from config on first use
+ * @returns {Object} Storage driver instance
+ */
+const getStorage = () => {
+  if (!storage) {
+    const factory = drivers[config.storage.driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    }
+
+    console.log(`🗄️ Initializing ${config.storage.driver} storage driver`);
+    storage = factory(config.storage);
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  registerStorageDriver,
+  MemoryStorage,
+  FileStorage,
+  TtlStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
@@ -0,0 +1,140 @@
+process.env.API_KEYS_REQUIRED = 'true';
+process.env.API_SECRET = 'test_api_secret';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ApiKeyStore = require('../services/ApiKeyStore');
+const InvoiceStore = require('../services/InvoiceStore');
+const paymentRoutes = require('../routes/payment');
+const checkoutRoutes = require('../routes/checkout');
+
+const apiKeyStore = new ApiKeyStore();
+const invoiceStore = new InvoiceStore();
+
+describe('ApiKeyStore', () => {
+  it('authenticates an issued key and stores only its hash', async () => {
+    const { key, apiKey } = await apiKeyStore.issue({ name: 'shop', merchantId: 'shop-eu', merchantIds: ['shop-us'] });
+
+    assert.match(key, /^cpk_[a-f0-9]{16}_[a-f0-9]{64}$/);
+    assert.equal(apiKey.hash, undefined);
+    assert.equal(JSON.stringify(await apiKeyStore.storage.get('api_keys', apiKey.id)).includes(key), false);
+
+    const client = await apiKeyStore.authenticate(key);
+    assert.equal(client.id, apiKey.id);
+    assert.equal(client.merchantId, 'shop-eu');
+    assert.deepEqual(client.merchantIds, ['shop-us']);
+  });
+
+  it('rejects malformed, altered and revoked keys', async () => {
+    const { key, apiKey } = await apiKeyStore.issue({ name: 'revoked' });
+
+    assert.equal(await apiKeyStore.authenticate('not-a-key'), null);
+    assert.equal(await apiKeyStore.authenticate(`${key.slice(0, -1)}${key.endsWith('0') ? '1' : '0'}`), null);
+
+    await apiKeyStore.revoke(apiKey.id);
+    assert.equal(await apiKeyStore.authenticate(key), null);
+  });
+});
+
+describe('payment API scoping', () => {
+  let server;
+  let baseUrl;
+  let ownerKey;
+  let otherKey;
+  let multiMerchantKey;
+  let invoice;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payment', paymentRoutes);
+    app.use('/checkout', checkoutRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const owner = await apiKeyStore.issue({ name: 'owner' });
+    ownerKey = owner.key;
+    otherKey = (await apiKeyStore.issue({ name: 'other' })).key;
+    multiMerchantKey = (await apiKeyStore.issue({ name: 'multi', merchantId: 'shop-eu', merchantIds: ['shop-us'] })).key;
+
+    invoice = await invoiceStore.recordCreated({
+      invoiceId: 'inv_scoped',
+      orderId: 'order_scoped',
+      clientId: owner.apiKey.id,
+      priceAmount: 10,
+      priceCurrency: 'USD'
+    });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = async (path, { key = null, method = 'GET', body = null, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(key ? { Authorization: `Bearer ${key}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('requires an API key', async () => {
+    assert.equal((await request('/api/payment/invoices?invoiceId=inv_scoped')).status, 401);
+    assert.equal((await request('/api/payment/invoices/inv_scoped/status')).status, 401);
+    assert.equal((await request('/api/payment/invoices/inv_scoped/status', { key: 'cpk_bogus' })).status, 401);
+  });
+
+  it('shows an invoice to the client that created it', async () => {
+    const lookup = await request('/api/payment/invoices?invoiceId=inv_scoped', { key: ownerKey });
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.body.status, 'waiting');
+
+    const status = await request('/api/payment/invoices/inv_scoped/status', { key: ownerKey });
+    assert.equal(status.status, 200);
+    assert.equal(status.body.data.invoiceId, 'inv_scoped');
+  });
+
+  it('hides an invoice from other clients', async () => {
+    assert.equal((await request('/api/payment/invoices?invoiceId=inv_scoped', { key: otherKey })).status, 404);
+    assert.equal((await request('/api/payment/invoices?orderId=order_scoped', { key: otherKey })).status, 404);
+    assert.equal((await request('/api/payment/invoices/inv_scoped/status', { key: otherKey })).status, 404);
+    assert.equal((await request('/api/payment/invoices/inv_scoped/events', { key: otherKey })).status, 404);
+    assert.equal((await request('/api/payment/invoices/inv_scoped/top-up', { key: otherKey, method: 'POST', body: {} })).status, 404);
+  });
+
+  it('does not let a key without a merchant pick one', async () => {
+    const response = await request('/api/payment/create-invoice', {
+      key: otherKey,
+      method: 'POST',
+      body: { priceAmount: 10 },
+      headers: { 'X-Merchant-Id': 'shop-eu' }
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, 'Forbidden');
+  });
+
+  it('lets a key pick only the merchants it is bound to or allowed', async () => {
+    const lookup = (merchantId) => request(`/api/payment/invoices?invoiceId=unknown&merchantId=${merchantId}`, { key: multiMerchantKey });
+
+    // Allowed merchants get past the merchant check (and find nothing); others are refused
+    assert.equal((await lookup('shop-eu')).status, 404);
+    assert.equal((await lookup('shop-us')).status, 404);
+    assert.equal((await lookup('shop-uk')).status, 403);
+  });
+
+  it('opens the checkout status only with the invoice checkout token', async () => {
+    const token = encodeURIComponent(invoice.checkoutToken);
+
+    assert.equal((await request(`/checkout/inv_scoped/status?token=${token}`)).status, 200);
+    assert.equal((await request('/checkout/inv_scoped/status')).status, 404);
+    assert.equal((await request('/checkout/inv_scoped/status?token=wrong')).status, 404);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CallbackDeduplicator = require('../services/CallbackDeduplicator');
+const { TtlStore, MemoryStorage } = require('../storage');
+
+const deduplicator = new CallbackDeduplicator();
+
+describe('CallbackDeduplicator', () => {
+  it('keys callbacks with a status on invoice and status', () => {
+    assert.equal(deduplicator.keyFor('inv_1', { id: 'inv_1', status: 'finished' }), 'inv_1:finished');
+  });
+
+  it('keys callbacks without a status on their payload, ignoring credentials and key order', () => {
+    const key = deduplicator.keyFor('inv_1', { id: 'inv_1', amount: 5, privatekey: 'a' });
+
+    assert.equal(deduplicator.keyFor('inv_1', { amount: 5, id: 'inv_1', privatekey: 'b' }), key);
+    assert.notEqual(deduplicator.keyFor('inv_1', { id: 'inv_1', amount: 6 }), key);
+  });
+
+  it('reports a second delivery of the same callback as a duplicate', async () => {
+    assert.deepEqual(await deduplicator.claim('inv_dup:finished'), { duplicate: false });
+
+    const second = await deduplicator.claim('inv_dup:finished');
+    assert.equal(second.duplicate, true);
+    assert.ok(second.firstSeenAt);
+  });
+
+  it('lets only one of two concurrent deliveries through', async () => {
+    const claims = await Promise.all([
+      deduplicator.claim('inv_race:finished'),
+      deduplicator.claim('inv_race:finished')
+    ]);
+    assert.deepEqual(claims.map(claim => claim.duplicate).sort(), [false, true]);
+  });
+
+  it('processes a redelivery again once the claim is released', async () => {
+    await deduplicator.claim('inv_retry:finished');
+    await deduplicator.release('inv_retry:finished');
+
+    assert.deepEqual(await deduplicator.claim('inv_retry:finished'), { duplicate: false });
+  });
+});
+
+describe('TtlStore.add', () => {
+  it('replaces an expired entry instead of reporting it', async () => {
+    const store = new TtlStore(new MemoryStorage(), 'ttl_test', 1000);
+
+    assert.equal((await store.add('key', 'first', -1)).added, true);
+    assert.deepEqual(await store.add('key', 'second'), { added: true, value: 'second' });
+    assert.deepEqual(await store.add('key', 'third'), { added: false, value: 'second' });
+  });
+});
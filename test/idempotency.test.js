@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const idempotency = require('../middleware/idempotency');
+const InvoiceStore = require('../services/InvoiceStore');
+
+describe('idempotency middleware', () => {
+  let server;
+  let baseUrl;
+  const calls = { charge: 0, flaky: 0, payout: 0, abandoned: 0 };
+  let releaseSlow = null;
+  let releaseAbandoned = null;
+  let abandonedClosed = false;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+
+    // Stand-in for apiKeyAuth: the X-Client header picks the API client
+    app.use((req, res, next) => {
+      if (req.get('X-Client')) {
+        req.apiClient = { id: req.get('X-Client') };
+      }
+      next();
+    });
+
+    app.post('/charge', idempotency(), (req, res) => {
+      calls.charge += 1;
+      res.status(201).json({ success: true, call: calls.charge });
+    });
+
+    app.post('/slow', idempotency(), async (req, res) => {
+      await new Promise(resolve => {
+        releaseSlow = resolve;
+      });
+      res.json({ success: true });
+    });
+
+    app.post('/abandoned', idempotency(), async (req, res) => {
+      calls.abandoned += 1;
+      res.on('close', () => {
+        abandonedClosed = true;
+      });
+      await new Promise(resolve => {
+        releaseAbandoned = resolve;
+      });
+      res.status(201).json({ success: true, call: calls.abandoned });
+    });
+
+    app.post('/flaky', idempotency(), (req, res) => {
+      calls.flaky += 1;
+      res.status(502).json({ success: false, call: calls.flaky });
+    });
+
+    app.post('/payout', idempotency({ cacheFailures: true }), (req, res) => {
+      calls.payout += 1;
+      res.status(502).json({ success: false, call: calls.payout });
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const post = async (path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    // The cached response is stored once the first response has finished
+    await new Promise(resolve => setImmediate(resolve));
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  it('replays the cached response for a repeated key and body', async () => {
+    const first = await post('/charge', { amount: 1 }, { 'Idempotency-Key': 'replay' });
+    const second = await post('/charge', { amount: 1 }, { 'Idempotency-Key': 'replay' });
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.equal(calls.charge, 1);
+  });
+
+  it('answers 409 when a key is reused with a different body', async () => {
+    await post('/charge', { amount: 1 }, { 'Idempotency-Key': 'conflict' });
+    const reused = await post('/charge', { amount: 2 }, { 'Idempotency-Key': 'conflict' });
+
+    assert.equal(reused.status, 409);
+    assert.match(reused.body.message, /different request body/);
+  });
+
+  it('processes only one of two concurrent requests with the same key', async () => {
+    const first = fetch(`${baseUrl}/slow`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'concurrent' },
+      body: '{}'
+    });
+    while (!releaseSlow) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const second = await post('/slow', {}, { 'Idempotency-Key': 'concurrent' });
+    assert.equal(second.status, 409);
+    assert.match(second.body.message, /still being processed/);
+
+    releaseSlow();
+    assert.equal((await first).status, 200);
+  });
+
+  it('stores the response of a request the client gave up on, so its retry gets it', async () => {
+    const controller = new AbortController();
+    const first = fetch(`${baseUrl}/abandoned`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'abandoned' },
+      body: '{}',
+      signal: controller.signal
+    });
+    while (!releaseAbandoned) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    controller.abort();
+    await assert.rejects(first);
+    while (!abandonedClosed) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    releaseAbandoned();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const retried = await post('/abandoned', {}, { 'Idempotency-Key': 'abandoned' });
+    assert.equal(retried.status, 201);
+    assert.equal(retried.headers.get('idempotent-replayed'), 'true');
+    assert.equal(calls.abandoned, 1);
+  });
+
+  it('scopes keys per API client', async () => {
+    const callsBefore = calls.charge;
+    await post('/charge', { amount: 1 }, { 'Idempotency-Key': 'shared', 'X-Client': 'a' });
+    const other = await post('/charge', { amount: 1 }, { 'Idempotency-Key': 'shared', 'X-Client': 'b' });
+
+    assert.equal(other.headers.get('idempotent-replayed'), null);
+    assert.equal(calls.charge, callsBefore + 2);
+  });
+
+  it('releases the key after a failure by default so the client can retry', async () => {
+    await post('/flaky', {}, { 'Idempotency-Key': 'retry' });
+    const retried = await post('/flaky', {}, { 'Idempotency-Key': 'retry' });
+
+    assert.equal(retried.body.call, 2);
+    assert.equal(calls.flaky, 2);
+  });
+
+  it('replays failures with cacheFailures so an unknown outcome is never executed twice', async () => {
+    await post('/payout', {}, { 'Idempotency-Key': 'payout' });
+    const retried = await post('/payout', {}, { 'Idempotency-Key': 'payout' });
+
+    assert.equal(retried.status, 502);
+    assert.equal(retried.body.call, 1);
+    assert.equal(retried.headers.get('idempotent-replayed'), 'true');
+    assert.equal(calls.payout, 1);
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    const response = await post('/charge', {}, { 'Idempotency-Key': 'k'.repeat(256) });
+    assert.equal(response.status, 400);
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const callsBefore = calls.charge;
+    await post('/charge', { amount: 1 });
+    await post('/charge', { amount: 1 });
+    assert.equal(calls.charge, callsBefore + 2);
+  });
+});
+
+describe('InvoiceStore order claims', () => {
+  const invoiceStore = new InvoiceStore();
+
+  it('lets only one of two concurrent requests claim an order', async () => {
+    const claims = await Promise.all([invoiceStore.claimOrder('order_claim'), invoiceStore.claimOrder('order_claim')]);
+    assert.deepEqual(claims.sort(), [false, true]);
+  });
+
+  it('lets the order be claimed again once released', async () => {
+    assert.equal(await invoiceStore.claimOrder('order_release'), true);
+    assert.equal(await invoiceStore.claimOrder('order_release'), false);
+
+    await invoiceStore.releaseOrder('order_release');
+    assert.equal(await invoiceStore.claimOrder('order_release'), true);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const InvoiceEventStream = require('../services/InvoiceEventStream');
+const InvoiceStore = require('../services/InvoiceStore');
+
+const eventStream = new InvoiceEventStream();
+const invoiceStore = new InvoiceStore();
+
+let sequence = 0;
+const createInvoice = () => {
+  sequence += 1;
+  return invoiceStore.recordCreated({
+    invoiceId: `stream_${sequence}`,
+    orderId: `order_stream_${sequence}`,
+    priceAmount: 10,
+    priceCurrency: 'USD'
+  });
+};
+
+// Minimal Express request/response pair recording the events written to the stream
+const connect = async (invoiceId, lastEventId = null) => {
+  const req = new EventEmitter();
+  req.get = () => null;
+  req.query = {};
+
+  const chunks = [];
+  const res = {
+    destroyed: false,
+    status() {
+      return this;
+    },
+    set() {
+      return this;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      chunks.push(chunk);
+    }
+  };
+
+  await eventStream.subscribe(invoiceId, req, res, lastEventId);
+
+  return {
+    events: () => chunks
+      .filter(chunk => chunk.startsWith('id: '))
+      .map(chunk => {
+        const [idLine, , dataLine] = chunk.split('\n');
+        return { id: Number(idLine.slice('id: '.length)), ...JSON.parse(dataLine.slice('data: '.length)) };
+      }),
+    close: () => req.emit('close')
+  };
+};
+
+describe('InvoiceEventStream', () => {
+  it('sends the current status, then each transition with its history position as ID', async () => {
+    const invoice = await createInvoice();
+    const client = await connect(invoice.invoiceId);
+    try {
+      await invoiceStore.recordStatus(invoice.invoiceId, 'confirming', { source: 'webhook' });
+      await invoiceStore.recordStatus(invoice.invoiceId, 'finished', { source: 'webhook' });
+    } finally {
+      client.close();
+    }
+
+    assert.deepEqual(client.events().map(({ id, status, previousStatus }) => ({ id, status, previousStatus })), [
+      { id: 1, status: 'waiting', previousStatus: null },
+      { id: 2, status: 'confirming', previousStatus: 'waiting' },
+      { id: 3, status: 'finished', previousStatus: 'confirming' }
+    ]);
+  });
+
+  it('keeps the ID and status of each transition when pending events are published together', async () => {
+    const invoice = await createInvoice();
+    const client = await connect(invoice.invoiceId);
+
+    // Save two transitions without publishing them, as after a crash between saving and publishing
+    const publishPending = invoiceStore._publishPending;
+    invoiceStore._publishPending = (invoiceId) => invoiceStore.findByInvoiceId(invoiceId);
+    try {
+      await invoiceStore.recordStatus(invoice.invoiceId, 'confirming', { source: 'webhook' });
+      await invoiceStore.recordStatus(invoice.invoiceId, 'finished', { source: 'webhook' });
+    } finally {
+      invoiceStore._publishPending = publishPending;
+    }
+
+    try {
+      await invoiceStore.publishPending();
+    } finally {
+      client.close();
+    }
+
+    assert.deepEqual(client.events().map(({ id, status }) => [id, status]), [[1, 'waiting'], [2, 'confirming'], [3, 'finished']]);
+  });
+
+  it('replays the transitions after Last-Event-ID', async () => {
+    const invoice = await createInvoice();
+    await invoiceStore.recordStatus(invoice.invoiceId, 'confirming', { source: 'webhook' });
+    await invoiceStore.recordStatus(invoice.invoiceId, 'finished', { source: 'webhook' });
+
+    const client = await connect(invoice.invoiceId, '1');
+    client.close();
+
+    assert.deepEqual(client.events().map(({ id, status }) => [id, status]), [[2, 'confirming'], [3, 'finished']]);
+  });
+
+  it('stops sending to a client once it disconnects', async () => {
+    const invoice = await createInvoice();
+    const client = await connect(invoice.invoiceId);
+    client.close();
+
+    await invoiceStore.recordStatus(invoice.invoiceId, 'confirming', { source: 'webhook' });
+    assert.equal(client.events().length, 1);
+    assert.equal(eventStream.canSubscribe(invoice.invoiceId), true);
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const InvoiceLifecycle = require('../services/InvoiceLifecycle');
+const InvoiceStore = require('../services/InvoiceStore');
+
+const { STATES, TRANSITION_REJECTED_EVENT, PAID_AFTER_EXPIRY_EVENT } = InvoiceLifecycle;
+
+const lifecycle = new InvoiceLifecycle();
+const invoiceStore = new InvoiceStore();
+
+let sequence = 0;
+const createInvoice = (status = STATES.WAITING) => {
+  sequence += 1;
+  return invoiceStore.recordCreated({
+    invoiceId: `lifecycle_${sequence}`,
+    orderId: `order_${sequence}`,
+    status,
+    priceAmount: 10,
+    priceCurrency: 'USD'
+  });
+};
+
+describe('InvoiceLifecycle', () => {
+  it('maps gateway and legacy statuses onto lifecycle states', () => {
+    assert.equal(lifecycle.normalizeStatus('Paid'), STATES.FINISHED);
+    assert.equal(lifecycle.normalizeStatus(1), STATES.FINISHED);
+    assert.equal(lifecycle.normalizeStatus('canceled'), STATES.CANCELLED);
+    assert.equal(lifecycle.normalizeStatus(' waiting '), STATES.WAITING);
+    assert.equal(lifecycle.normalizeStatus('bogus'), null);
+    assert.equal(lifecycle.normalizeStatus(''), null);
+  });
+
+  it('allows the transitions of the state table and nothing else', () => {
+    assert.equal(lifecycle.evaluate(STATES.WAITING, STATES.CONFIRMING).allowed, true);
+    assert.equal(lifecycle.evaluate(STATES.CONFIRMING, STATES.FINISHED).allowed, true);
+    assert.equal(lifecycle.evaluate(STATES.FINISHED, STATES.REFUNDED).allowed, true);
+
+    const backwards = lifecycle.evaluate(STATES.FINISHED, STATES.WAITING);
+    assert.equal(backwards.allowed, false);
+    assert.match(backwards.reason, /Illegal transition finished → waiting/);
+
+    assert.equal(lifecycle.evaluate(STATES.EXPIRED, STATES.FINISHED).allowed, false);
+    assert.equal(lifecycle.evaluate(STATES.WAITING, 'bogus').allowed, false);
+  });
+
+  it('accepts any state for an invoice seen for the first time', () => {
+    assert.equal(lifecycle.evaluate(null, STATES.FINISHED).allowed, true);
+  });
+
+  it('names the event emitted for each state', () => {
+    assert.equal(lifecycle.eventFor(STATES.FINISHED), 'invoice.paid');
+    assert.equal(lifecycle.eventFor(STATES.EXPIRED), 'invoice.expired');
+  });
+
+  it('waits for async and wildcard listeners when publishing', async () => {
+    const handled = [];
+    const typed = async (event) => {
+      await new Promise(resolve => setImmediate(resolve));
+      handled.push(`typed:${event.type}`);
+    };
+    const wildcard = async (event) => {
+      handled.push(`wildcard:${event.type}`);
+    };
+
+    lifecycle.on('test.published', typed);
+    lifecycle.on('*', wildcard);
+    try {
+      await lifecycle.publish('test.published', { invoiceId: 'x' });
+    } finally {
+      lifecycle.off('test.published', typed);
+      lifecycle.off('*', wildcard);
+    }
+
+    assert.deepEqual(handled.sort(), ['typed:test.published', 'wildcard:test.published']);
+  });
+});
+
+describe('InvoiceStore status transitions', () => {
+  it('applies a legal transition and records it in the history', async () => {
+    const invoice = await createInvoice();
+
+    const result = await invoiceStore.recordStatus(invoice.invoiceId, 'paid', { source: 'webhook' });
+
+    assert.equal(result.changed, true);
+    assert.equal(result.rejected, false);
+    assert.equal(result.previousStatus, STATES.WAITING);
+    assert.equal(result.invoice.status, STATES.FINISHED);
+    assert.deepEqual(result.invoice.history.map(entry => entry.status), [STATES.WAITING, STATES.FINISHED]);
+    assert.deepEqual(result.invoice.pendingEvents, []);
+  });
+
+  it('rejects an illegal transition, keeps the status and flags the record', async () => {
+    const invoice = await createInvoice();
+    await invoiceStore.recordStatus(invoice.invoiceId, STATES.FINISHED, { source: 'webhook' });
+
+    const result = await invoiceStore.recordStatus(invoice.invoiceId, STATES.WAITING, { source: 'api' });
+
+    assert.equal(result.changed, false);
+    assert.equal(result.rejected, true);
+    assert.equal(result.invoice.status, STATES.FINISHED);
+    assert.equal(result.invoice.flags[0].type, 'illegal_transition');
+  });
+
+  it('flags a payment after expiry for manual review', async () => {
+    const invoice = await createInvoice();
+    await invoiceStore.recordStatus(invoice.invoiceId, STATES.EXPIRED, { source: 'expiry' });
+
+    const result = await invoiceStore.recordStatus(invoice.invoiceId, STATES.FINISHED, { source: 'webhook' });
+
+    assert.equal(result.rejected, true);
+    assert.equal(result.invoice.status, STATES.EXPIRED);
+    assert.equal(result.invoice.review.required, true);
+  });
+
+  it('publishes typed events for changes and rejections', async () => {
+    const invoice = await createInvoice();
+    const published = [];
+    const listener = (event) => {
+      if (event.invoice.invoiceId === invoice.invoiceId) {
+        published.push(event.type);
+      }
+    };
+
+    lifecycle.on('*', listener);
+    try {
+      await invoiceStore.recordStatus(invoice.invoiceId, STATES.CONFIRMING, { source: 'webhook' });
+      await invoiceStore.recordStatus(invoice.invoiceId, STATES.WAITING, { source: 'webhook' });
+      await invoiceStore.recordStatus(invoice.invoiceId, STATES.EXPIRED, { source: 'expiry' });
+    } finally {
+      lifecycle.off('*', listener);
+    }
+
+    assert.deepEqual(published, ['invoice.confirming', TRANSITION_REJECTED_EVENT, TRANSITION_REJECTED_EVENT]);
+  });
+
+  it('publishes paid_after_expiry instead of a plain rejection for late payments', async () => {
+    const invoice = await createInvoice();
+    await invoiceStore.recordStatus(invoice.invoiceId, STATES.EXPIRED, { source: 'expiry' });
+    const published = [];
+    const listener = (event) => {
+      if (event.invoice.invoiceId === invoice.invoiceId) {
+        published.push(event.type);
+      }
+    };
+
+    lifecycle.on('*', listener);
+    try {
+      await invoiceStore.recordStatus(invoice.invoiceId, STATES.FINISHED, { source: 'webhook' });
+    } finally {
+      lifecycle.off('*', listener);
+    }
+
+    assert.deepEqual(published, [PAID_AFTER_EXPIRY_EVENT]);
+  });
+
+  it('applies concurrent updates of an invoice one after the other', async () => {
+    const invoice = await createInvoice();
+
+    await Promise.all([
+      invoiceStore.recordStatus(invoice.invoiceId, STATES.CONFIRMING, { source: 'webhook', payload: { id: 'first' } }),
+      invoiceStore.recordStatus(invoice.invoiceId, STATES.FINISHED, { source: 'api', payload: { id: 'second' } }),
+      invoiceStore.markReconciled(invoice.invoiceId, '2026-01-01T00:00:00.000Z')
+    ]);
+
+    const stored = await invoiceStore.findByInvoiceId(invoice.invoiceId);
+    assert.equal(stored.status, STATES.FINISHED);
+    assert.deepEqual(stored.history.map(entry => entry.status), [STATES.WAITING, STATES.CONFIRMING, STATES.FINISHED]);
+    assert.deepEqual(stored.payloads.map(entry => entry.data.id), ['first', 'second']);
+    assert.equal(stored.lastReconciledAt, '2026-01-01T00:00:00.000Z');
+    assert.deepEqual(stored.pendingEvents, []);
+  });
+
+  it('keeps an event pending when a listener fails until publishPending succeeds', async () => {
+    const invoice = await createInvoice();
+    let failing = true;
+    const listener = async (event) => {
+      if (failing && event.invoice.invoiceId === invoice.invoiceId) {
+        throw new Error('outbox unavailable');
+      }
+    };
+
+    lifecycle.on('invoice.paid', listener);
+    try {
+      await assert.rejects(
+        invoiceStore.recordStatus(invoice.invoiceId, STATES.FINISHED, { source: 'webhook' }),
+        /outbox unavailable/
+      );
+
+      const stored = await invoiceStore.findByInvoiceId(invoice.invoiceId);
+      assert.equal(stored.status, STATES.FINISHED);
+      assert.equal(stored.pendingEvents.length, 1);
+
+      failing = false;
+      assert.equal(await invoiceStore.publishPending(), 1);
+    } finally {
+      lifecycle.off('invoice.paid', listener);
+    }
+
+    const published = await invoiceStore.findByInvoiceId(invoice.invoiceId);
+    assert.deepEqual(published.pendingEvents, []);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const InvoiceStore = require('../services/InvoiceStore');
+const InvoiceReconciler = require('../services/InvoiceReconciler');
+const InvoiceStatusResolver = require('../services/InvoiceStatusResolver');
+const PaymentProviderRegistry = require('../services/PaymentProviderRegistry');
+
+const { ACTIONS } = InvoiceReconciler;
+const { RESOLUTION } = InvoiceStatusResolver;
+
+const invoiceStore = new InvoiceStore();
+const reconciler = new InvoiceReconciler();
+
+describe('InvoiceReconciler', () => {
+  const settings = { ...config.reconciliation };
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  let provider;
+  let getInvoice;
+  let report;
+
+  // What the gateway reports per invoice; anything else is unknown to it
+  const upstream = {
+    inv_rec_paid: { resolution: RESOLUTION.RESOLVED, resolved: true, status: 'finished', invoice: { id: 'inv_rec_paid', status: 'finished' } },
+    inv_rec_synced: { resolution: RESOLUTION.RESOLVED, resolved: true, status: 'waiting', invoice: { id: 'inv_rec_synced', status: 'waiting' } },
+    inv_rec_unknown: { resolution: RESOLUTION.UNKNOWN, resolved: false, status: RESOLUTION.UNKNOWN, invoice: null, reason: 'Invoice reported as both waiting and paid' },
+    inv_rec_stale_waiting: { resolution: RESOLUTION.RESOLVED, resolved: true, status: 'waiting', invoice: { id: 'inv_rec_stale_waiting', status: 'waiting' } }
+  };
+
+  const create = (invoiceId, fields = {}) => invoiceStore.recordCreated({
+    invoiceId,
+    orderId: `order_${invoiceId}`,
+    provider: 'payid19',
+    priceAmount: 10,
+    priceCurrency: 'USD',
+    ...fields
+  });
+
+  before(async () => {
+    await create('inv_rec_paid');
+    await create('inv_rec_synced');
+    await create('inv_rec_unknown');
+    await create('inv_rec_gone', { expiresAt: past });
+    await create('inv_rec_stale_waiting', { expiresAt: past });
+    await create('inv_rec_finished');
+    await invoiceStore.recordStatus('inv_rec_finished', 'finished', { source: 'webhook' });
+
+    provider = new PaymentProviderRegistry().forInvoice({ provider: 'payid19' });
+    getInvoice = provider.getInvoice;
+    provider.getInvoice = async ({ invoiceId }) => upstream[invoiceId] || {
+      resolution: RESOLUTION.NOT_FOUND,
+      resolved: false,
+      status: RESOLUTION.NOT_FOUND,
+      invoice: null,
+      reason: 'No matching invoice upstream'
+    };
+
+    config.reconciliation.staleAfterSeconds = 0;
+    report = await reconciler.sweep('manual');
+  });
+
+  after(() => {
+    provider.getInvoice = getInvoice;
+    Object.assign(config.reconciliation, settings);
+  });
+
+  const discrepancyOf = (invoiceId) => report.discrepancies.find(discrepancy => discrepancy.invoiceId === invoiceId);
+
+  it('applies a status change reported upstream', async () => {
+    assert.equal(discrepancyOf('inv_rec_paid').action, ACTIONS.UPDATED);
+    assert.equal(discrepancyOf('inv_rec_paid').newStatus, 'finished');
+
+    const invoice = await invoiceStore.findByInvoiceId('inv_rec_paid');
+    assert.equal(invoice.status, 'finished');
+    assert.equal(invoice.history.at(-1).source, 'reconciliation');
+  });
+
+  it('leaves an invoice that is in sync alone', async () => {
+    assert.equal(discrepancyOf('inv_rec_synced'), undefined);
+    assert.equal((await invoiceStore.findByInvoiceId('inv_rec_synced')).status, 'waiting');
+  });
+
+  it('reports an invoice upstream cannot resolve without changing it', async () => {
+    const discrepancy = discrepancyOf('inv_rec_unknown');
+    assert.equal(discrepancy.action, ACTIONS.UNRESOLVED);
+    assert.match(discrepancy.reason, /both waiting and paid/);
+    assert.equal((await invoiceStore.findByInvoiceId('inv_rec_unknown')).status, 'waiting');
+  });
+
+  it('expires waiting invoices past expires_at that are gone or still waiting upstream', async () => {
+    for (const invoiceId of ['inv_rec_gone', 'inv_rec_stale_waiting']) {
+      assert.equal(discrepancyOf(invoiceId).action, ACTIONS.EXPIRED);
+      assert.equal((await invoiceStore.findByInvoiceId(invoiceId)).status, 'expired');
+    }
+  });
+
+  it('only checks open invoices and records when each was checked', async () => {
+    assert.equal(discrepancyOf('inv_rec_finished'), undefined);
+    assert.equal((await invoiceStore.findByInvoiceId('inv_rec_finished')).lastReconciledAt, undefined);
+    assert.ok((await invoiceStore.findByInvoiceId('inv_rec_synced')).lastReconciledAt);
+  });
+
+  it('stores a report counting what the sweep did', async () => {
+    assert.equal(report.trigger, 'manual');
+    assert.equal(report.checked, 5);
+    assert.equal(report.inSync, 1);
+    assert.equal(report.updated, 1);
+    assert.equal(report.expired, 2);
+    assert.equal(report.unresolved, 1);
+    assert.deepEqual(report.errors, []);
+
+    assert.equal((await reconciler.listReports())[0].id, report.id);
+  });
+
+  it('skips invoices updated within the stale period', async () => {
+    config.reconciliation.staleAfterSeconds = 60;
+    await create('inv_rec_fresh');
+
+    const fresh = await reconciler.sweep('manual');
+    assert.equal(fresh.checked, 0);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const InvoiceStatusResolver = require('../services/InvoiceStatusResolver');
+
+const { RESOLUTION } = InvoiceStatusResolver;
+
+// Stand-in for the payment service: answers get_invoices per upstream status filter (0 = waiting, 1 = paid)
+const upstream = ({ waiting = [], paid = [] }) => ({
+  _makeInvoiceRequest: async (orderId, invoiceId, status) => {
+    const result = status === 1 ? paid : waiting;
+    return result instanceof Error
+      ? { success: false, error: result.message }
+      : { success: true, data: result };
+  }
+});
+
+const invoice = (fields = {}) => ({ id: 'inv_1', order_id: 'order_1', price_amount: '10', ...fields });
+
+describe('InvoiceStatusResolver', () => {
+  it('requires an order or invoice ID', async () => {
+    const outcome = await new InvoiceStatusResolver(upstream({})).resolve();
+    assert.equal(outcome.resolution, RESOLUTION.ERROR);
+  });
+
+  it('resolves an invoice found only by the paid query as finished', async () => {
+    const outcome = await new InvoiceStatusResolver(upstream({ paid: [invoice()] })).resolve({ invoiceId: 'inv_1' });
+
+    assert.equal(outcome.resolution, RESOLUTION.RESOLVED);
+    assert.equal(outcome.resolved, true);
+    assert.equal(outcome.status, 'finished');
+    assert.equal(outcome.invoiceId, 'inv_1');
+  });
+
+  it('resolves an invoice found only by the waiting query as waiting', async () => {
+    const outcome = await new InvoiceStatusResolver(upstream({ waiting: [invoice()] })).resolve({ orderId: 'order_1' });
+    assert.equal(outcome.status, 'waiting');
+  });
+
+  it('prefers the status the upstream invoice reports over the query it was found by', async () => {
+    const resolver = new InvoiceStatusResolver(upstream({ paid: [invoice({ status: 'Partially_Paid' })] }));
+    assert.equal((await resolver.resolve({ invoiceId: 'inv_1' })).status, 'partially_paid');
+  });
+
+  it('reports an invoice returned by both queries as unknown', async () => {
+    const resolver = new InvoiceStatusResolver(upstream({ waiting: [invoice()], paid: [invoice()] }));
+    const outcome = await resolver.resolve({ invoiceId: 'inv_1' });
+
+    assert.equal(outcome.resolution, RESOLUTION.UNKNOWN);
+    assert.equal(outcome.resolved, false);
+    assert.match(outcome.reason, /both waiting and paid/);
+  });
+
+  it('does not treat an empty or unrelated result as paid', async () => {
+    const empty = await new InvoiceStatusResolver(upstream({})).resolve({ invoiceId: 'inv_1' });
+    assert.equal(empty.resolution, RESOLUTION.NOT_FOUND);
+
+    const resolver = new InvoiceStatusResolver(upstream({ paid: [invoice({ id: 'inv_2', order_id: 'order_2' })] }));
+    assert.equal((await resolver.resolve({ invoiceId: 'inv_1' })).resolution, RESOLUTION.NOT_FOUND);
+    assert.equal((await resolver.resolve({ orderId: 'order_1' })).resolution, RESOLUTION.NOT_FOUND);
+  });
+
+  it('matches an invoice by its alias or invoice_id as well as its id', async () => {
+    const resolver = new InvoiceStatusResolver(upstream({ paid: [invoice({ id: 42, alias: 'inv_alias' })] }));
+    const outcome = await resolver.resolve({ invoiceId: 'inv_alias' });
+
+    assert.equal(outcome.status, 'finished');
+    assert.equal(outcome.invoiceId, 'inv_alias');
+  });
+
+  it('uses a match from one query even when the other fails', async () => {
+    const resolver = new InvoiceStatusResolver(upstream({ waiting: new Error('timeout'), paid: [invoice()] }));
+    assert.equal((await resolver.resolve({ invoiceId: 'inv_1' })).status, 'finished');
+  });
+
+  it('reports an error instead of not found when a query without a match failed', async () => {
+    const resolver = new InvoiceStatusResolver(upstream({ waiting: [], paid: new Error('timeout') }));
+    const outcome = await resolver.resolve({ invoiceId: 'inv_1' });
+
+    assert.equal(outcome.resolution, RESOLUTION.ERROR);
+    assert.equal(outcome.reason, 'timeout');
+  });
+
+  it('reports an amount mismatch as unknown', async () => {
+    const resolver = new InvoiceStatusResolver(upstream({ paid: [invoice()] }));
+
+    const mismatch = await resolver.resolve({ invoiceId: 'inv_1', expectedAmount: 11 });
+    assert.equal(mismatch.resolution, RESOLUTION.UNKNOWN);
+    assert.match(mismatch.reason, /Amount mismatch/);
+
+    assert.equal((await resolver.resolve({ invoiceId: 'inv_1', expectedAmount: '10.00' })).resolution, RESOLUTION.RESOLVED);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAddress, createAllowList } = require('../utils/ipAllowList');
+const ipAllowList = require('../middleware/ipAllowList');
+
+describe('createAllowList', () => {
+  it('matches single addresses and CIDR ranges', () => {
+    const allowList = createAllowList(['203.0.113.7', '198.51.100.0/24', '2001:db8::/32']);
+
+    assert.equal(allowList.size, 3);
+    assert.equal(allowList.allows('203.0.113.7'), true);
+    assert.equal(allowList.allows('203.0.113.8'), false);
+    assert.equal(allowList.allows('198.51.100.200'), true);
+    assert.equal(allowList.allows('198.51.101.1'), false);
+    assert.equal(allowList.allows('2001:db8:1::5'), true);
+    assert.equal(allowList.allows('2001:db9::1'), false);
+  });
+
+  it('matches IPv4-mapped IPv6 addresses as IPv4', () => {
+    assert.equal(normalizeAddress('::ffff:203.0.113.7'), '203.0.113.7');
+    assert.equal(createAllowList(['203.0.113.7']).allows('::ffff:203.0.113.7'), true);
+  });
+
+  it('rejects sources that are not IP addresses', () => {
+    const allowList = createAllowList(['203.0.113.7']);
+    assert.equal(allowList.allows(undefined), false);
+    assert.equal(allowList.allows('localhost'), false);
+  });
+
+  it('allows every source when the list is empty', () => {
+    assert.equal(createAllowList([]).allows('192.0.2.1'), true);
+  });
+
+  it('refuses invalid entries instead of dropping them', () => {
+    assert.throws(() => createAllowList(['203.0.113.7', 'not-an-ip']), /Invalid IP allow-list entries: not-an-ip/);
+    assert.throws(() => createAllowList(['203.0.113.0/33']), /203\.0\.113\.0\/33/);
+    assert.throws(() => createAllowList(['203.0.113.0/2x']), /Invalid IP allow-list entries/);
+    assert.throws(() => createAllowList(['203.0.113.0/24/8']), /Invalid IP allow-list entries/);
+    assert.throws(() => createAllowList(['2001:db8::/129']), /Invalid IP allow-list entries/);
+  });
+});
+
+describe('ipAllowList middleware', () => {
+  // Minimal Express request/response pair recording what the middleware answered
+  const run = (middleware, ip) => {
+    const result = { nextCalled: false, statusCode: null, body: null };
+    const req = { ip, originalUrl: '/api/webhook/callback', headers: {} };
+    const res = {
+      status(code) {
+        result.statusCode = code;
+        return this;
+      },
+      json(body) {
+        result.body = body;
+        return this;
+      }
+    };
+    middleware(req, res, () => {
+      result.nextCalled = true;
+    });
+    return result;
+  };
+
+  it('passes allowed sources through and answers 403 to others', () => {
+    const middleware = ipAllowList(['198.51.100.0/24'], 'Webhook');
+
+    assert.equal(run(middleware, '198.51.100.10').nextCalled, true);
+
+    const rejected = run(middleware, '192.0.2.1');
+    assert.equal(rejected.nextCalled, false);
+    assert.equal(rejected.statusCode, 403);
+    assert.equal(rejected.body.error, 'Forbidden');
+  });
+
+  it('fails at startup on an invalid entry', () => {
+    assert.throws(() => ipAllowList(['198.51.100.0/24', 'bogus'], 'Webhook'), /bogus/);
+  });
+});
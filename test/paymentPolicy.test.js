@@ -0,0 +1,95 @@
+process.env.PAYMENT_TOLERANCE = JSON.stringify({ default: { percent: 1 }, BTC: { absolute: 0.0001 } });
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentPolicy = require('../services/PaymentPolicy');
+const { STATES } = require('../services/InvoiceLifecycle');
+
+const { OUTCOMES } = PaymentPolicy;
+const policy = new PaymentPolicy();
+
+describe('PaymentPolicy.evaluate', () => {
+  it('treats an exact payment as paid', () => {
+    const assessment = policy.evaluate(100, 100, 'USD');
+    assert.equal(assessment.outcome, OUTCOMES.PAID);
+    assert.equal(assessment.outstandingAmount, 0);
+    assert.equal(assessment.overpaidAmount, 0);
+  });
+
+  it('accepts a difference within the percentage tolerance as paid', () => {
+    assert.equal(policy.evaluate(100, 99.5, 'USD').outcome, OUTCOMES.PAID);
+    assert.equal(policy.evaluate(100, 100.9, 'USD').outcome, OUTCOMES.PAID);
+  });
+
+  it('reports an underpayment beyond the tolerance with the outstanding amount', () => {
+    const assessment = policy.evaluate(100, 90, 'USD');
+    assert.equal(assessment.outcome, OUTCOMES.PARTIALLY_PAID);
+    assert.equal(assessment.outstandingAmount, 10);
+  });
+
+  it('reports an overpayment beyond the tolerance with the overpaid amount', () => {
+    const assessment = policy.evaluate(100, 105, 'USD');
+    assert.equal(assessment.outcome, OUTCOMES.OVERPAID);
+    assert.equal(assessment.overpaidAmount, 5);
+  });
+
+  it('treats nothing received as unpaid', () => {
+    const assessment = policy.evaluate(100, 0, 'USD');
+    assert.equal(assessment.outcome, OUTCOMES.UNPAID);
+    assert.equal(assessment.outstandingAmount, 100);
+  });
+
+  it('uses the absolute tolerance configured for a currency, whatever its case', () => {
+    assert.deepEqual(policy.getTolerance('btc'), { absolute: 0.0001 });
+    assert.equal(policy.evaluate(0.01, 0.00995, 'BTC').outcome, OUTCOMES.PAID);
+    assert.equal(policy.evaluate(0.01, 0.0098, 'BTC').outcome, OUTCOMES.PARTIALLY_PAID);
+  });
+});
+
+describe('PaymentPolicy.assess', () => {
+  it('compares the fiat value received with the price', () => {
+    const assessment = policy.assess({
+      price_amount: 100,
+      price_currency: 'USD',
+      pay_amount: 0.0025,
+      pay_currency: 'BTC',
+      actually_paid: 0.002,
+      actually_paid_at_fiat: 80
+    });
+
+    assert.equal(assessment.outcome, OUTCOMES.PARTIALLY_PAID);
+    assert.equal(assessment.currency, 'USD');
+    assert.equal(assessment.outstandingPriceAmount, 20);
+  });
+
+  it('falls back to the crypto amounts and converts what is due into the price currency', () => {
+    const assessment = policy.assess({
+      price_amount: 100,
+      price_currency: 'USD',
+      pay_amount: 0.004,
+      pay_currency: 'BTC',
+      actually_paid: 0.001
+    });
+
+    assert.equal(assessment.outcome, OUTCOMES.PARTIALLY_PAID);
+    assert.equal(assessment.currency, 'BTC');
+    assert.equal(assessment.outstandingPriceAmount, 75);
+  });
+
+  it('does not compare an amount in another currency with the price', () => {
+    assert.equal(policy.assess({ price_amount: 100, price_currency: 'USD', amount: 0.5, amount_currency: 'BTC' }), null);
+  });
+
+  it('returns null without a price', () => {
+    assert.equal(policy.assess({ actually_paid_at_fiat: 10 }), null);
+  });
+});
+
+describe('PaymentPolicy.stateFor', () => {
+  it('maps outcomes onto lifecycle states', () => {
+    assert.equal(policy.stateFor(OUTCOMES.PAID), STATES.FINISHED);
+    assert.equal(policy.stateFor(OUTCOMES.PARTIALLY_PAID), STATES.PARTIALLY_PAID);
+    assert.equal(policy.stateFor(OUTCOMES.OVERPAID), STATES.OVERPAID);
+    assert.equal(policy.stateFor(OUTCOMES.UNPAID), STATES.WAITING);
+  });
+});
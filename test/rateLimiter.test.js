@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../services/RateLimiter');
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('../storage');
+
+const rateLimiter = new RateLimiter(new MemoryRateLimitStore());
+const memoryStore = rateLimiter.store;
+
+// Nothing listens on port 1, so every connection attempt is refused
+const unreachableRedis = () => new RedisRateLimitStore({ url: 'redis://127.0.0.1:1', timeoutMs: 200 });
+
+describe('RateLimiter', () => {
+  const now = Date.now;
+  let clock;
+
+  // Freeze the clock so refills only happen when a test advances it
+  beforeEach(() => {
+    clock = now();
+    Date.now = () => clock;
+  });
+
+  afterEach(() => {
+    Date.now = now;
+  });
+
+  const advance = (ms) => {
+    clock += ms;
+  };
+
+  it('allows a burst and then refuses until a token has been refilled', async () => {
+    const policy = { burst: 3, perMinute: 6 };
+    const results = [];
+    for (let request = 0; request < 4; request++) {
+      results.push(await rateLimiter.consume('invoice:ip', '198.51.100.1', policy));
+    }
+
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    // One token every 10s; a full bucket again after 30s
+    assert.equal(results[3].retryAfterSeconds, 10);
+    assert.equal(results[3].resetSeconds, 30);
+    assert.equal(results[3].policy, '3;w=30');
+
+    advance(9000);
+    assert.equal((await rateLimiter.consume('invoice:ip', '198.51.100.1', policy)).allowed, false);
+
+    advance(1000);
+    const refilled = await rateLimiter.consume('invoice:ip', '198.51.100.1', policy);
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, 0);
+  });
+
+  it('never refills a bucket beyond its burst', async () => {
+    const policy = { burst: 2, perMinute: 60 };
+    await rateLimiter.consume('invoice:ip', '198.51.100.2', policy);
+
+    advance(60 * 60 * 1000);
+    assert.equal((await rateLimiter.consume('invoice:ip', '198.51.100.2', policy)).remaining, 1);
+  });
+
+  it('keeps separate buckets per key and per bucket family', async () => {
+    const policy = { burst: 1, perMinute: 1 };
+
+    assert.equal((await rateLimiter.consume('invoice:ip', '198.51.100.3', policy)).allowed, true);
+    assert.equal((await rateLimiter.consume('invoice:ip', '198.51.100.3', policy)).allowed, false);
+    assert.equal((await rateLimiter.consume('invoice:ip', '198.51.100.4', policy)).allowed, true);
+    assert.equal((await rateLimiter.consume('invoice:api_key', '198.51.100.3', policy)).allowed, true);
+  });
+
+  it('blocks a source once it reaches the failure limit, until the block expires', async () => {
+    const policy = { maxFailures: 3, windowSeconds: 60, blockSeconds: 120 };
+
+    assert.deepEqual(await rateLimiter.recordFailure('webhook_auth', '198.51.100.5', policy), { failures: 1, blocked: false });
+    assert.deepEqual(await rateLimiter.recordFailure('webhook_auth', '198.51.100.5', policy), { failures: 2, blocked: false });
+    assert.equal(await rateLimiter.blockedFor('webhook_auth', '198.51.100.5'), 0);
+
+    assert.deepEqual(await rateLimiter.recordFailure('webhook_auth', '198.51.100.5', policy), { failures: 3, blocked: true });
+    assert.equal(await rateLimiter.blockedFor('webhook_auth', '198.51.100.5'), 120);
+
+    advance(60 * 1000);
+    assert.equal(await rateLimiter.blockedFor('webhook_auth', '198.51.100.5'), 60);
+
+    advance(60 * 1000);
+    assert.equal(await rateLimiter.blockedFor('webhook_auth', '198.51.100.5'), 0);
+    // The failures that led to the block were reset with it
+    assert.deepEqual(await rateLimiter.recordFailure('webhook_auth', '198.51.100.5', policy), { failures: 1, blocked: false });
+  });
+
+  it('forgets failures outside the window or after a success', async () => {
+    const policy = { maxFailures: 2, windowSeconds: 60, blockSeconds: 120 };
+
+    await rateLimiter.recordFailure('webhook_auth', '198.51.100.6', policy);
+    advance(61 * 1000);
+    assert.deepEqual(await rateLimiter.recordFailure('webhook_auth', '198.51.100.6', policy), { failures: 1, blocked: false });
+
+    await rateLimiter.clearFailures('webhook_auth', '198.51.100.6');
+    assert.deepEqual(await rateLimiter.recordFailure('webhook_auth', '198.51.100.6', policy), { failures: 1, blocked: false });
+    assert.equal(await rateLimiter.blockedFor('webhook_auth', '198.51.100.6'), 0);
+  });
+});
+
+describe('RateLimiter with Redis down', () => {
+  afterEach(() => {
+    rateLimiter.store = memoryStore;
+  });
+
+  it('fails store calls within the timeout instead of waiting for Redis', { timeout: 5000 }, async () => {
+    const store = unreachableRedis();
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const startedAt = Date.now();
+      await assert.rejects(store.take('down', 5, 1));
+      assert.ok(Date.now() - startedAt < 1000);
+    }
+  });
+
+  it('lets requests through', { timeout: 5000 }, async () => {
+    rateLimiter.store = unreachableRedis();
+    const policy = { burst: 1, perMinute: 1 };
+
+    assert.equal((await rateLimiter.consume('invoice:ip', '192.0.2.1', policy)).allowed, true);
+    assert.equal((await rateLimiter.consume('invoice:ip', '192.0.2.1', policy)).allowed, true);
+    assert.deepEqual(
+      await rateLimiter.recordFailure('webhook_auth', '192.0.2.1', { maxFailures: 1, windowSeconds: 60, blockSeconds: 60 }),
+      { failures: 0, blocked: false }
+    );
+    assert.equal(await rateLimiter.blockedFor('webhook_auth', '192.0.2.1'), 0);
+  });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redactForLog } = require('../utils/redact');
+
+describe('redactForLog', () => {
+  it('replaces private keys anywhere in a webhook log entry', () => {
+    const logged = redactForLog({
+      body: { id: 'inv_1', privatekey: 'callback_secret' },
+      headers: { 'content-type': 'application/json' }
+    });
+
+    assert.equal(logged.includes('callback_secret'), false);
+    assert.deepEqual(JSON.parse(logged).body, { id: 'inv_1', privatekey: '[REDACTED]' });
+  });
+
+  it('replaces private keys inside bodies serialized as JSON strings', () => {
+    const logged = redactForLog({ config: { data: JSON.stringify({ private_key: 'api_secret', amount: 5 }) } });
+
+    assert.equal(logged.includes('api_secret'), false);
+    assert.deepEqual(JSON.parse(logged).config.data, { private_key: '[REDACTED]', amount: 5 });
+  });
+
+  it('leaves plain strings alone', () => {
+    assert.equal(redactForLog('Bad Request'), 'Bad Request');
+  });
+});
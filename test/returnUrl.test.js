@@ -0,0 +1,91 @@
+process.env.DOMAIN_URL = 'https://pay.example.com';
+process.env.RETURN_URL_SECRET = 'test_return_url_secret';
+process.env.RETURN_URL_ORIGINS = JSON.stringify({ default: ['https://shop.example.com'], 'shop-eu': ['https://eu.shop.example.com'] });
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const {
+  isAllowedReturnUrl,
+  signReturnUrl,
+  verifyReturnUrl,
+  withSignedReturnUrl,
+  resolveReturnUrl,
+  returnUrlErrors
+} = require('../utils/returnUrl');
+
+const RETURN_URL = 'https://shop.example.com/thanks';
+
+// Query of a success page URL, as Express parses it
+const queryOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+describe('return URL origins', () => {
+  it('allows http(s) URLs on the default origins and the service domain', () => {
+    assert.equal(isAllowedReturnUrl(RETURN_URL), true);
+    assert.equal(isAllowedReturnUrl('https://pay.example.com/payment/success'), true);
+    assert.equal(isAllowedReturnUrl('https://evil.example.com/'), false);
+    assert.equal(isAllowedReturnUrl('javascript:alert(1)'), false);
+    assert.equal(isAllowedReturnUrl('not a url'), false);
+  });
+
+  it('adds the origins of the merchant', () => {
+    assert.equal(isAllowedReturnUrl('https://eu.shop.example.com/thanks'), false);
+    assert.equal(isAllowedReturnUrl('https://eu.shop.example.com/thanks', 'shop-eu'), true);
+  });
+
+  it('reports every disallowed URL of an invoice request', () => {
+    const errors = returnUrlErrors({ successUrl: RETURN_URL, cancelUrl: 'https://evil.example.com/cart' });
+    assert.deepEqual(errors.map(error => error.field), ['cancelUrl']);
+  });
+});
+
+describe('return URL signatures', () => {
+  it('binds the signature to the URL and the order', () => {
+    const signature = signReturnUrl(RETURN_URL, 'order_1');
+
+    assert.equal(verifyReturnUrl(RETURN_URL, 'order_1', signature), true);
+    assert.equal(verifyReturnUrl(RETURN_URL, 'order_2', signature), false);
+    assert.equal(verifyReturnUrl('https://shop.example.com/other', 'order_1', signature), false);
+    assert.equal(verifyReturnUrl(RETURN_URL, 'order_1', `${signature}x`), false);
+    assert.equal(verifyReturnUrl(RETURN_URL, 'order_1', null), false);
+  });
+
+  it('follows a signed return URL on an allowed origin', () => {
+    const pageUrl = withSignedReturnUrl('https://pay.example.com/payment/success?order_id=order_1', RETURN_URL, 'order_1');
+    assert.deepEqual(resolveReturnUrl(queryOf(pageUrl)), { returnUrl: RETURN_URL, rejected: false, reason: null });
+  });
+
+  it('accepts an HTML-escaped return_url parameter', () => {
+    const signature = signReturnUrl(RETURN_URL, 'order_1');
+    const query = { order_id: 'order_1', 'amp;return_url': RETURN_URL, 'amp;return_sig': signature };
+    assert.equal(resolveReturnUrl(query).returnUrl, RETURN_URL);
+  });
+
+  it('rejects a swapped or unsigned return URL', () => {
+    const pageUrl = withSignedReturnUrl('https://pay.example.com/payment/success?order_id=order_1', RETURN_URL, 'order_1');
+    const query = { ...queryOf(pageUrl), return_url: 'https://evil.example.com/' };
+
+    assert.deepEqual(resolveReturnUrl(query), { returnUrl: null, rejected: true, reason: 'invalid or missing signature' });
+    assert.equal(resolveReturnUrl({ order_id: 'order_1', return_url: RETURN_URL }).rejected, true);
+  });
+
+  it('rejects a signed return URL whose origin is no longer allowed', () => {
+    const returnUrl = 'https://eu.shop.example.com/thanks';
+    const query = { order_id: 'order_1', return_url: returnUrl, return_sig: signReturnUrl(returnUrl, 'order_1') };
+
+    assert.equal(resolveReturnUrl(query).reason, 'origin not allowed');
+    assert.equal(resolveReturnUrl(query, { merchantId: 'shop-eu' }).returnUrl, returnUrl);
+  });
+
+  it('never follows return URLs without a dedicated signing secret', () => {
+    const signature = signReturnUrl(RETURN_URL, 'order_1');
+    const { signingSecret } = config.redirects;
+    config.redirects.signingSecret = '';
+    try {
+      assert.equal(signReturnUrl(RETURN_URL, 'order_1'), null);
+      assert.equal(resolveReturnUrl({ order_id: 'order_1', return_url: RETURN_URL, return_sig: signature }).rejected, true);
+    } finally {
+      config.redirects.signingSecret = signingSecret;
+    }
+  });
+});
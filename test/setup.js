@@ -0,0 +1,7 @@
+// Loaded before every test file (see the test script in package.json)
+
+// Keep test data in process memory instead of DATA_DIR
+process.env.STORAGE_DRIVER = 'memory';
+
+// The test runner reads each file's stdout; keep the service's logs on stderr
+console.log = console.error;
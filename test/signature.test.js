@@ -0,0 +1,150 @@
+process.env.PAYID19_PRIVATE_KEY = 'test_private_key';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../config');
+const PayID19Service = require('../services/PayID19Service');
+const {
+  secretsMatch,
+  signaturesMatch,
+  canonicalize,
+  computeSignature,
+  signPayload,
+  verifySignature
+} = require('../utils/signature');
+const { VERIFICATION_MODES, VERIFICATION_ERRORS } = require('../services/PaymentProvider');
+
+const PRIVATE_KEY = 'test_private_key';
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('signature helpers', () => {
+  it('compares secrets of any length in constant time', () => {
+    assert.equal(secretsMatch('secret', 'secret'), true);
+    assert.equal(secretsMatch('secret', 'secret2'), false);
+    assert.equal(secretsMatch('secret', ''), false);
+  });
+
+  it('accepts a sha256= prefix and rejects malformed signatures', () => {
+    const signature = computeSignature({ a: 1 }, 'key', 1700000000);
+    assert.equal(signaturesMatch(signature, signature), true);
+    assert.equal(signaturesMatch(`sha256=${signature}`, signature), true);
+    assert.equal(signaturesMatch(signature.slice(0, -2), signature), false);
+    assert.equal(signaturesMatch('not-hex', signature), false);
+    assert.equal(signaturesMatch('', ''), false);
+  });
+
+  it('serializes payloads with sorted keys regardless of input order', () => {
+    assert.equal(canonicalize({ b: 1, a: { d: 2, c: [{ f: 1, e: 2 }] } }), '{"a":{"c":[{"e":2,"f":1}],"d":2},"b":1}');
+    assert.equal(canonicalize('{"b":1,"a":2}'), '{"a":2,"b":1}');
+  });
+
+  it('signs the timestamp together with the canonical body', () => {
+    const timestamp = 1700000000;
+    const expected = crypto.createHmac('sha256', 'key').update(`${timestamp}.{"a":1,"b":2}`).digest('hex');
+    assert.equal(computeSignature({ b: 2, a: 1 }, 'key', timestamp), expected);
+  });
+
+  it('verifies a signed notification and rejects tampering, other secrets and old timestamps', () => {
+    const payload = { id: 'evt_1', type: 'invoice.paid' };
+    const timestamp = now();
+    const { body, headers } = signPayload(payload, 'key', timestamp);
+    const signature = headers['X-Signature'];
+
+    assert.equal(verifySignature({ payload: body, signature, timestamp, secret: 'key' }), true);
+    assert.equal(verifySignature({ payload: { ...payload, type: 'invoice.expired' }, signature, timestamp, secret: 'key' }), false);
+    assert.equal(verifySignature({ payload: body, signature, timestamp, secret: 'other' }), false);
+    assert.equal(verifySignature({ payload: body, signature, timestamp: timestamp + 1, secret: 'key' }), false);
+
+    const old = signPayload(payload, 'key', timestamp - 600);
+    assert.equal(verifySignature({
+      payload: old.body,
+      signature: old.headers['X-Signature'],
+      timestamp: timestamp - 600,
+      secret: 'key'
+    }), false);
+  });
+});
+
+describe('PayID19 callback verification', () => {
+  const provider = new PayID19Service();
+  const settings = { ...config.security };
+
+  afterEach(() => {
+    Object.assign(config.security, settings);
+  });
+
+  const callback = (body, headers = {}) => ({
+    body,
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+    ip: '127.0.0.1'
+  });
+
+  const signedCallback = (body, timestamp = null) => {
+    const signature = timestamp
+      ? computeSignature(body, PRIVATE_KEY, timestamp)
+      : crypto.createHmac('sha256', PRIVATE_KEY).update(canonicalize(body)).digest('hex');
+    const headers = { 'X-Signature': signature };
+    if (timestamp) {
+      headers['X-Signature-Timestamp'] = String(timestamp);
+    }
+    return callback(body, headers);
+  };
+
+  it('checks the private key in privatekey mode', () => {
+    config.security.webhookVerificationMode = VERIFICATION_MODES.PRIVATE_KEY;
+
+    assert.deepEqual(provider.verifyWebhook(callback({ id: 'inv_1', privatekey: PRIVATE_KEY })), { valid: true });
+    assert.equal(provider.verifyWebhook(callback({ id: 'inv_1' })).code, VERIFICATION_ERRORS.MISSING_PRIVATE_KEY);
+    assert.equal(provider.verifyWebhook(callback({ id: 'inv_1', privatekey: 'wrong' })).code, VERIFICATION_ERRORS.INVALID_PRIVATE_KEY);
+  });
+
+  it('checks the HMAC of the body in hmac mode', () => {
+    config.security.webhookVerificationMode = VERIFICATION_MODES.HMAC;
+    const body = { id: 'inv_1', status: 'finished' };
+
+    assert.equal(provider.verifyWebhook(signedCallback(body)).valid, true);
+    assert.equal(provider.verifyWebhook(callback(body)).code, VERIFICATION_ERRORS.MISSING_SIGNATURE);
+
+    const tampered = signedCallback(body);
+    tampered.body = { ...body, status: 'refunded' };
+    assert.equal(provider.verifyWebhook(tampered).code, VERIFICATION_ERRORS.INVALID_SIGNATURE);
+  });
+
+  it('requires both checks in both mode and for an unknown mode', () => {
+    const body = { id: 'inv_1', privatekey: PRIVATE_KEY };
+
+    config.security.webhookVerificationMode = VERIFICATION_MODES.BOTH;
+    assert.equal(provider.verifyWebhook(signedCallback(body)).valid, true);
+    assert.equal(provider.verifyWebhook(callback(body)).code, VERIFICATION_ERRORS.MISSING_SIGNATURE);
+
+    config.security.webhookVerificationMode = 'bogus';
+    assert.equal(provider.verifyWebhook(callback(body)).code, VERIFICATION_ERRORS.MISSING_SIGNATURE);
+  });
+
+  it('covers a send time header with the signature', () => {
+    config.security.webhookVerificationMode = VERIFICATION_MODES.HMAC;
+    const body = { id: 'inv_1', status: 'finished' };
+
+    assert.equal(provider.verifyWebhook(signedCallback(body, now())).valid, true);
+
+    // An old send time can't be swapped for a fresh one
+    const replayed = signedCallback(body, now() - 3600);
+    replayed.headers['x-signature-timestamp'] = String(now());
+    assert.equal(provider.verifyWebhook(replayed).code, VERIFICATION_ERRORS.INVALID_SIGNATURE);
+  });
+
+  it('dates a callback by its signed send time, else by its newest timestamp field', () => {
+    const body = { id: 'inv_1', created_at: '2026-01-01 10:00:00', updated_at: 1767268800 };
+    const sentAt = now() - 60;
+
+    config.security.webhookVerificationMode = VERIFICATION_MODES.PRIVATE_KEY;
+    assert.equal(provider.webhookTimestamp(callback(body)).toISOString(), '2026-01-01T12:00:00.000Z');
+    assert.equal(provider.webhookTimestamp(callback({ id: 'inv_1', date: 'soon' })), null);
+    // Without a signature the send time header proves nothing
+    assert.equal(provider.webhookTimestamp(signedCallback(body, sentAt)).toISOString(), '2026-01-01T12:00:00.000Z');
+
+    config.security.webhookVerificationMode = VERIFICATION_MODES.HMAC;
+    assert.equal(provider.webhookTimestamp(signedCallback(body, sentAt)).getTime(), sentAt * 1000);
+  });
+});
@@ -0,0 +1,98 @@
+process.env.API_SECRET = 'test_api_secret';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ApiKeyStore = require('../services/ApiKeyStore');
+const InvoiceStore = require('../services/InvoiceStore');
+const PaymentProviderRegistry = require('../services/PaymentProviderRegistry');
+const paymentRoutes = require('../routes/payment');
+
+const invoiceStore = new InvoiceStore();
+
+describe('top-up invoices', () => {
+  let server;
+  let baseUrl;
+  let key;
+  let provider;
+  let createInvoice;
+  const created = [];
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payment', paymentRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const issued = await new ApiKeyStore().issue({ name: 'top-ups' });
+    key = issued.key;
+
+    const parent = await invoiceStore.recordCreated({
+      invoiceId: 'inv_parent',
+      orderId: 'order_parent',
+      provider: 'payid19',
+      clientId: issued.apiKey.id,
+      priceAmount: 10,
+      priceCurrency: 'USD'
+    });
+    await invoiceStore.recordStatus(parent.invoiceId, 'partially_paid', {
+      source: 'webhook',
+      fields: { payment: { outstandingPriceAmount: 4 } }
+    });
+
+    // Answer for the gateway, slowly enough for two requests to overlap
+    provider = new PaymentProviderRegistry().forInvoice(parent);
+    createInvoice = provider.createInvoice;
+    provider.createInvoice = async (invoiceData) => {
+      created.push(invoiceData);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return {
+        success: true,
+        data: {
+          invoice_id: `inv_topup_${created.length}`,
+          status: 'waiting',
+          price_amount: invoiceData.priceAmount,
+          price_currency: invoiceData.priceCurrency,
+          invoice_url: 'https://payid19.com/invoice/topup'
+        },
+        raw: null,
+        pageUrls: null
+      };
+    };
+  });
+
+  after(() => {
+    provider.createInvoice = createInvoice;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const requestTopUp = async () => {
+    const response = await fetch(`${baseUrl}/api/payment/invoices/inv_parent/top-up`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('creates a single top-up when two requests arrive together', async () => {
+    const responses = await Promise.all([requestTopUp(), requestTopUp()]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 409]);
+    assert.equal(created.length, 1);
+    assert.equal(created[0].priceAmount, 4);
+    assert.deepEqual((await invoiceStore.findByInvoiceId('inv_parent')).topUpInvoiceIds, ['inv_topup_1']);
+  });
+
+  it('returns the open top-up once the first request is answered', async () => {
+    const again = await requestTopUp();
+
+    assert.equal(again.status, 200);
+    assert.equal(again.body.data.invoiceId, 'inv_topup_1');
+    assert.equal(created.length, 1);
+  });
+});
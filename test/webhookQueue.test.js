@@ -0,0 +1,174 @@
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '1000';
+process.env.WEBHOOK_RETRY_MAX_DELAY_MS = '4000';
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const WebhookQueue = require('../services/WebhookQueue');
+const WebhookSubscriberRegistry = require('../services/WebhookSubscriberRegistry');
+const { verifySignature } = require('../utils/signature');
+
+const queue = new WebhookQueue();
+const registry = new WebhookSubscriberRegistry();
+
+describe('WebhookQueue backoff', () => {
+  const random = Math.random;
+
+  afterEach(() => {
+    Math.random = random;
+  });
+
+  it('doubles the delay per attempt up to the maximum', () => {
+    Math.random = () => 0.999999;
+    assert.deepEqual([1, 2, 3, 4, 10].map(attempts => queue._backoffDelay(attempts)), [1000, 2000, 4000, 4000, 4000]);
+  });
+
+  it('keeps half of the delay fixed and randomizes the other half', () => {
+    Math.random = () => 0;
+    assert.deepEqual([1, 2, 3, 10].map(attempts => queue._backoffDelay(attempts)), [500, 1000, 2000, 2000]);
+
+    Math.random = () => 0.5;
+    assert.equal(queue._backoffDelay(2), 1500);
+  });
+});
+
+describe('WebhookQueue delivery', () => {
+  let server;
+  let baseUrl;
+  let responseStatus = 200;
+  const received = [];
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/webhook', (req, res) => {
+      received.push({ body: req.body, headers: req.headers });
+      res.status(responseStatus).json({ received: true });
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    responseStatus = 200;
+    received.length = 0;
+  });
+
+  // Make a queued delivery due again without waiting for its backoff
+  const makeDue = async (id) => {
+    const delivery = await queue.storage.get('webhook_deliveries', id);
+    delivery.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+    await queue.storage.set('webhook_deliveries', id, delivery);
+  };
+
+  it('delivers a signed notification', async () => {
+    const subscriber = await registry.add({ url: `${baseUrl}/webhook`, secret: 'shop_secret' });
+    const payload = { id: 'evt_signed', type: 'invoice.paid' };
+    const queued = await queue.enqueue(subscriber, payload, { eventId: 'evt_signed', eventType: 'invoice.paid' });
+
+    await queue.processDue();
+
+    const delivery = await queue.storage.get('webhook_deliveries', queued.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['x-event-type'], 'invoice.paid');
+    assert.equal(verifySignature({
+      payload: received[0].body,
+      signature: received[0].headers['x-signature'],
+      timestamp: received[0].headers['x-signature-timestamp'],
+      secret: 'shop_secret'
+    }), true);
+  });
+
+  it('queues an event only once per subscriber', async () => {
+    const subscriber = await registry.add({ url: `${baseUrl}/webhook`, secret: 'shop_secret' });
+    const first = await queue.enqueue(subscriber, { id: 'evt_once' }, { eventId: 'evt_once' });
+    const second = await queue.enqueue(subscriber, { id: 'evt_once' }, { eventId: 'evt_once' });
+
+    assert.equal(second.id, first.id);
+    assert.equal((await queue.list()).filter(delivery => delivery.id === first.id).length, 1);
+  });
+
+  it('schedules a failed attempt for a retry after the backoff delay', async () => {
+    const subscriber = await registry.add({ url: `${baseUrl}/webhook`, secret: 'shop_secret' });
+    const queued = await queue.enqueue(subscriber, { id: 'evt_retry' }, { eventId: 'evt_retry' });
+    responseStatus = 503;
+
+    const startedAt = Date.now();
+    await queue.processDue();
+
+    const delivery = await queue.storage.get('webhook_deliveries', queued.id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.lastStatusCode, 503);
+
+    // First retry: between half and all of the 1s base delay
+    const delay = new Date(delivery.nextAttemptAt).getTime() - startedAt;
+    assert.ok(delay >= 500 - 50 && delay <= 1000 + 50, `unexpected delay ${delay}ms`);
+
+    // Not due yet, so another run leaves it alone
+    await queue.processDue();
+    assert.equal((await queue.storage.get('webhook_deliveries', queued.id)).attempts, 1);
+
+    responseStatus = 200;
+    await makeDue(queued.id);
+    await queue.processDue();
+
+    const retried = await queue.storage.get('webhook_deliveries', queued.id);
+    assert.equal(retried.status, 'delivered');
+    assert.equal(retried.attempts, 2);
+  });
+
+  it('dead-letters a delivery after its last attempt and delivers it again when replayed', async () => {
+    const subscriber = await registry.add({ url: `${baseUrl}/webhook`, secret: 'shop_secret' });
+    const queued = await queue.enqueue(subscriber, { id: 'evt_dead' }, { eventId: 'evt_dead' });
+    responseStatus = 500;
+
+    await queue.processDue();
+    await makeDue(queued.id);
+    await queue.processDue();
+
+    const dead = await queue.storage.get('webhook_deliveries', queued.id);
+    assert.equal(dead.status, 'dead');
+    assert.equal(dead.attempts, 2);
+    assert.ok(dead.deadAt);
+    assert.ok((await queue.list({ status: 'dead' })).some(delivery => delivery.id === queued.id));
+
+    responseStatus = 200;
+    await queue.replay(queued.id);
+    await queue.processDue();
+
+    const replayed = await queue.storage.get('webhook_deliveries', queued.id);
+    assert.equal(replayed.status, 'delivered');
+    assert.equal(replayed.attempts, 1);
+  });
+
+  it('dead-letters a delivery to a removed subscriber without retrying', async () => {
+    const subscriber = await registry.add({ url: `${baseUrl}/webhook`, secret: 'shop_secret' });
+    const queued = await queue.enqueue(subscriber, { id: 'evt_removed' }, { eventId: 'evt_removed' });
+    await registry.remove(subscriber.id);
+
+    await queue.processDue();
+
+    const delivery = await queue.storage.get('webhook_deliveries', queued.id);
+    assert.equal(delivery.status, 'dead');
+    assert.equal(delivery.attempts, 1);
+    assert.match(delivery.lastError, /no longer exists/);
+    assert.equal(received.length, 0);
+  });
+
+  it('refuses to replay a delivery that is not dead-lettered', async () => {
+    const subscriber = await registry.add({ url: `${baseUrl}/webhook`, secret: 'shop_secret' });
+    const queued = await queue.enqueue(subscriber, { id: 'evt_pending' }, { eventId: 'evt_pending' });
+
+    await assert.rejects(queue.replay(queued.id), /only dead-lettered deliveries can be replayed/);
+    assert.equal(await queue.replay('dlv_unknown'), null);
+  });
+});
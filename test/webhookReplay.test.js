@@ -0,0 +1,79 @@
+process.env.PAYID19_PRIVATE_KEY = 'test_private_key';
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const config = require('../config');
+const webhookRoutes = require('../routes/webhook');
+
+const PRIVATE_KEY = 'test_private_key';
+
+describe('webhook replay window', () => {
+  const settings = { ...config.security };
+  let server;
+  let baseUrl;
+  let sequence = 0;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/webhook', webhookRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    Object.assign(config.security, settings);
+  });
+
+  // A PayID19 callback in privatekey mode, for a new invoice each time
+  const sendCallback = async (fields) => {
+    sequence += 1;
+    const response = await fetch(`${baseUrl}/api/webhook/callback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        id: `inv_replay_${sequence}`,
+        order_id: `order_replay_${sequence}`,
+        status: 'waiting',
+        privatekey: PRIVATE_KEY,
+        ...fields
+      })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const secondsAgo = (seconds) => Math.floor(Date.now() / 1000) - seconds;
+
+  it('accepts a callback issued within the window', async () => {
+    assert.equal((await sendCallback({ updated_at: secondsAgo(60) })).status, 200);
+  });
+
+  it('rejects a callback replayed after the window in privatekey mode', async () => {
+    const replayed = await sendCallback({ created_at: secondsAgo(3 * 24 * 60 * 60) });
+
+    assert.equal(replayed.status, 403);
+    assert.equal(replayed.body.error, 'Stale webhook');
+  });
+
+  it('rejects a callback dated too far in the future', async () => {
+    assert.equal((await sendCallback({ updated_at: secondsAgo(-3600) })).status, 403);
+  });
+
+  it('accepts callbacks without a timestamp unless one is required', async () => {
+    assert.equal((await sendCallback({})).status, 200);
+
+    config.security.webhookRequireTimestamp = true;
+    assert.equal((await sendCallback({})).status, 403);
+  });
+
+  it('accepts old callbacks when the window is disabled', async () => {
+    config.security.webhookReplayWindowSeconds = 0;
+    assert.equal((await sendCallback({ created_at: secondsAgo(3 * 24 * 60 * 60) })).status, 200);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const WebhookSubscriberRegistry = require('../services/WebhookSubscriberRegistry');
+const { MemoryStorage } = require('../storage');
+
+describe('WebhookSubscriberRegistry', () => {
+  const settings = { ...config.webhooks };
+
+  afterEach(() => {
+    Object.assign(config.webhooks, settings);
+    WebhookSubscriberRegistry.instance = null;
+  });
+
+  const createRegistry = (subscribers, signingSecret = '') => {
+    WebhookSubscriberRegistry.instance = null;
+    config.webhooks.subscribers = subscribers;
+    config.webhooks.signingSecret = signingSecret;
+    return new WebhookSubscriberRegistry(new MemoryStorage());
+  };
+
+  it('has no built-in subscriber', () => {
+    assert.deepEqual(settings.subscribers, []);
+  });
+
+  it('refuses to start with a configured subscriber that has no secret', () => {
+    assert.throws(
+      () => createRegistry([{ id: 'shop', url: 'https://shop.example.com/webhook', secret: '' }]),
+      /without a secret: shop/
+    );
+  });
+
+  it('accepts a subscriber without a secret of its own when WEBHOOK_SIGNING_SECRET is set', async () => {
+    const registry = createRegistry([{ id: 'shop', url: 'https://shop.example.com/webhook' }], 'fallback');
+    assert.deepEqual((await registry.list()).map(subscriber => subscriber.id), ['shop']);
+  });
+});
@@ -0,0 +1,74 @@
+const config = require('../config');
+const { getMerchant } = require('./merchants');
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const DEFAULT_BRANDING = {
+  name: 'NodeJS Coin Payment Service',
+  logoUrl: null,
+  primaryColor: '#28a745',
+  secondaryColor: '#007bff',
+  errorColor: '#dc3545',
+  supportUrl: null,
+  locale: null
+};
+
+/**
+ * Keep a branding URL only if it is a valid http(s) URL
+ * @param {string} url - Configured URL
+ * @returns {string|null} URL or null
+ */
+const safeUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the page branding of a merchant.
+ * The merchant's `branding` in MERCHANTS overrides its MERCHANT_BRANDING entry, which overrides the `default`
+ * entry of MERCHANT_BRANDING, which overrides the built-in look.
+ * Colors end up in a <style> block, so anything but a hex color is ignored.
+ * @param {string} merchantId - Merchant identifier (optional)
+ * @returns {Object} Branding (name, logoUrl, primaryColor, secondaryColor, errorColor, supportUrl, locale)
+ */
+const getBranding = (merchantId = null) => {
+  const configured = config.pages.branding;
+  const merchant = getMerchant(merchantId);
+  const merged = {
+    ...DEFAULT_BRANDING,
+    ...(configured.default || {}),
+    ...((merchantId && configured[merchantId]) || {}),
+    ...(merchant ? merchant.branding : {})
+  };
+
+  return {
+    name: String(merged.name || DEFAULT_BRANDING.name),
+    logoUrl: merged.logoUrl ? safeUrl(merged.logoUrl) : null,
+    primaryColor: HEX_COLOR_PATTERN.test(merged.primaryColor) ? merged.primaryColor : DEFAULT_BRANDING.primaryColor,
+    secondaryColor: HEX_COLOR_PATTERN.test(merged.secondaryColor) ? merged.secondaryColor : DEFAULT_BRANDING.secondaryColor,
+    errorColor: HEX_COLOR_PATTERN.test(merged.errorColor) ? merged.errorColor : DEFAULT_BRANDING.errorColor,
+    supportUrl: merged.supportUrl ? safeUrl(merged.supportUrl) : null,
+    locale: typeof merged.locale === 'string' ? merged.locale.toLowerCase() : null
+  };
+};
+
+/**
+ * List the origins of every configured logo, for the Content-Security-Policy img-src directive
+ * @returns {Array<string>} Logo origins
+ */
+const getLogoOrigins = () => {
+  const merchantIds = new Set([...Object.keys(config.pages.branding), ...Object.keys(config.merchants)]);
+  const origins = [...merchantIds]
+    .map(merchantId => getBranding(merchantId).logoUrl)
+    .filter(Boolean)
+    .map(url => new URL(url).origin);
+  return [...new Set(origins)];
+};
+
+module.exports = {
+  getBranding,
+  getLogoOrigins
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const config = require('../config');
+const InvoiceLifecycle = require('../services/InvoiceLifecycle');
+const { getMerchant } = require('./merchants');
+const { secretsMatch } = require('./signature');
+
+const { STATES } = InvoiceLifecycle;
+
+// Checkout phases: the page keeps polling while pending and stops once the invoice is paid or closed
+const PHASES = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  CLOSED: 'closed'
+};
+
+const PAID_STATES = [STATES.FINISHED, STATES.OVERPAID];
+const CLOSED_STATES = [STATES.EXPIRED, STATES.CANCELLED, STATES.FAILED, STATES.REFUNDED];
+
+/**
+ * Generate the secret that opens an invoice's checkout page and its status endpoints.
+ * Invoice IDs can be guessed or leak, so the customer-facing pages need their own credential.
+ * @returns {string} Random URL-safe token
+ */
+const generateCheckoutToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Check the checkout token presented for an invoice, in constant time
+ * @param {Object} invoice - Invoice record
+ * @param {string} token - Token from the request
+ * @returns {boolean} True if the token opens the invoice's checkout
+ */
+const checkoutTokenMatches = (invoice, token) => {
+  return !!(invoice && invoice.checkoutToken && token) && secretsMatch(String(token), invoice.checkoutToken);
+};
+
+/**
+ * Get the hosted checkout page URL of an invoice, on the merchant's own domain when it has one
+ * @param {Object} invoice - Invoice record (invoiceId, merchantId, checkoutToken)
+ * @returns {string|null} Checkout page URL, or null for invoices without a checkout token
+ */
+const checkoutUrl = (invoice) => {
+  if (!invoice || !invoice.checkoutToken) {
+    return null;
+  }
+
+  const merchant = getMerchant(invoice.merchantId || null);
+  const domainUrl = (merchant && merchant.domainUrl) || config.domain.url;
+  return `${domainUrl}/checkout/${encodeURIComponent(invoice.invoiceId)}?token=${encodeURIComponent(invoice.checkoutToken)}`;
+};
+
+/**
+ * Get the checkout phase of an invoice status
+ * @param {string} status - Lifecycle state
+ * @returns {string} pending, paid or closed
+ */
+const checkoutPhase = (status) => {
+  if (PAID_STATES.includes(status)) {
+    return PHASES.PAID;
+  }
+  return CLOSED_STATES.includes(status) ? PHASES.CLOSED : PHASES.PENDING;
+};
+
+/**
+ * Build the public status of an invoice, as polled by the checkout page.
+ * Only what the customer already sees on the page is exposed.
+ * @param {Object} invoice - Invoice record from the invoice store
+ * @returns {Object} Checkout status
+ */
+const checkoutStatus = (invoice) => {
+  const status = invoice.status || STATES.WAITING;
+  const expiresInSeconds = invoice.expiresAt
+    ? Math.max(0, Math.floor((new Date(invoice.expiresAt).getTime() - Date.now()) / 1000))
+    : null;
+
+  return {
+    invoiceId: invoice.invoiceId,
+    orderId: invoice.orderId,
+    status,
+    phase: checkoutPhase(status),
+    priceAmount: invoice.priceAmount,
+    priceCurrency: invoice.priceCurrency,
+    payAmount: invoice.payAmount || null,
+    payCurrency: invoice.payCurrency || null,
+    payAddress: invoice.payAddress || null,
+    paymentUrl: invoice.paymentUrl || null,
+    expiresAt: invoice.expiresAt || null,
+    // Relative to the server clock, so the page's countdown doesn't depend on the customer's clock
+    expiresInSeconds: Number.isNaN(expiresInSeconds) ? null : expiresInSeconds,
+    updatedAt: invoice.updatedAt || null
+  };
+};
+
+module.exports = {
+  PHASES,
+  generateCheckoutToken,
+  checkoutTokenMatches,
+  checkoutUrl,
+  checkoutPhase,
+  checkoutStatus
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * Message catalogs keyed by locale, loaded once from locales/<locale>.json
+ */
+const catalogs = fs.readdirSync(LOCALES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .reduce((loaded, file) => {
+    loaded[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    return loaded;
+  }, {});
+
+/**
+ * List the locales with a message catalog
+ * @returns {Array<string>} Locale codes
+ */
+const supportedLocales = () => Object.keys(catalogs);
+
+/**
+ * Pick the locale for a page request: an explicit `locale` query parameter, then the merchant's
+ * locale, then the browser's Accept-Language, then DEFAULT_LOCALE
+ * @param {Object} req - Express request
+ * @param {string} preferredLocale - Merchant locale (optional)
+ * @returns {string} Supported locale code
+ */
+const resolveLocale = (req, preferredLocale = null) => {
+  const requested = typeof req.query.locale === 'string' ? req.query.locale.toLowerCase() : null;
+  // Without an Accept-Language header acceptsLanguages() returns the first locale, which isn't a preference
+  const accepted = req.get('Accept-Language') ? req.acceptsLanguages(...supportedLocales()) : null;
+  const candidates = [requested, preferredLocale, accepted, config.pages.defaultLocale];
+  return candidates.find(locale => locale && catalogs[locale]) || FALLBACK_LOCALE;
+};
+
+/**
+ * Build a translate function for a locale.
+ * Missing messages fall back to English and then to the fallback text (the key itself by default);
+ * `{name}` placeholders are replaced from params.
+ * @param {string} locale - Locale code
+ * @returns {Function} `t(key, params, fallback)`
+ */
+const translator = (locale) => (key, params = {}, fallback = key) => {
+  const message = (catalogs[locale] && catalogs[locale][key]) || catalogs[FALLBACK_LOCALE][key] || fallback;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+};
+
+module.exports = {
+  supportedLocales,
+  resolveLocale,
+  translator
+};
@@ -0,0 +1,63 @@
+const net = require('net');
+
+/**
+ * Strip the IPv6 prefix of IPv4-mapped addresses (::ffff:1.2.3.4), as reported for IPv4 clients on dual-stack sockets
+ * @param {string} address - IP address
+ * @returns {string} Plain address
+ */
+const normalizeAddress = (address) => {
+  const value = String(address || '').trim();
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : value;
+};
+
+/**
+ * Build an allow-list from IP addresses and CIDR ranges.
+ * Any invalid entry is a configuration error: dropping it could leave an empty list, which allows everyone.
+ * @param {Array<string>} entries - Addresses and ranges ("203.0.113.7", "198.51.100.0/24", "2001:db8::/32")
+ * @returns {Object} `{ size, entries, allows(address) }`; an empty list allows every address
+ * @throws {Error} When an entry is not a valid address or range
+ */
+const createAllowList = (entries = []) => {
+  const blockList = new net.BlockList();
+  const accepted = [];
+  const invalid = [];
+
+  entries.forEach(entry => {
+    const [address, prefix, ...rest] = normalizeAddress(entry).split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const maxPrefix = type === 'ipv4' ? 32 : 128;
+    const prefixLength = prefix === undefined ? maxPrefix : /^\d+$/.test(prefix) ? Number(prefix) : NaN;
+
+    if (!type || rest.length > 0 || !(prefixLength >= 0 && prefixLength <= maxPrefix)) {
+      invalid.push(entry);
+      return;
+    }
+
+    blockList.addSubnet(address, prefixLength, type);
+    accepted.push(entry);
+  });
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid IP allow-list entries: ${invalid.join(', ')}`);
+  }
+
+  return {
+    size: accepted.length,
+    entries: accepted,
+    allows: (address) => {
+      if (accepted.length === 0) {
+        return true;
+      }
+
+      const ip = normalizeAddress(address);
+      const type = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+      return !!type && blockList.check(ip, type);
+    }
+  };
+};
+
+module.exports = {
+  normalizeAddress,
+  createAllowList
+};
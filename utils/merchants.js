@@ -0,0 +1,50 @@
+const config = require('../config');
+
+/**
+ * Get a merchant (tenant) defined in MERCHANTS.
+ * Every setting is optional; whatever a merchant leaves out falls back to the global configuration.
+ * @param {string} merchantId - Merchant identifier
+ * @returns {Object|null} Merchant `{ id, name, provider, payid19, domainUrl, returnUrls, webhook, branding,
+ *   returnUrlOrigins }`, or null for unknown merchants
+ */
+const getMerchant = (merchantId) => {
+  if (!merchantId || !Object.prototype.hasOwnProperty.call(config.merchants, merchantId)) {
+    return null;
+  }
+
+  const merchant = config.merchants[merchantId] || {};
+  const payid19 = merchant.payid19 || {};
+
+  return {
+    id: merchantId,
+    name: merchant.name || merchantId,
+    provider: merchant.provider ? String(merchant.provider).toLowerCase() : null,
+    // Own PayID19 account; null means the globally configured account
+    payid19: payid19.publicKey && payid19.privateKey
+      ? { publicKey: payid19.publicKey, privateKey: payid19.privateKey }
+      : null,
+    domainUrl: merchant.domainUrl || null,
+    // Where customers are sent back to when an invoice request doesn't name its own return URLs
+    returnUrls: {
+      success: merchant.successUrl || null,
+      cancel: merchant.cancelUrl || null,
+      failure: merchant.failureUrl || null
+    },
+    webhook: merchant.webhook && merchant.webhook.url
+      ? { url: merchant.webhook.url, secret: merchant.webhook.secret || '', events: merchant.webhook.events }
+      : null,
+    branding: merchant.branding || {},
+    returnUrlOrigins: Array.isArray(merchant.returnUrlOrigins) ? merchant.returnUrlOrigins : []
+  };
+};
+
+/**
+ * List every merchant defined in MERCHANTS
+ * @returns {Array<Object>} Merchants as returned by getMerchant
+ */
+const listMerchants = () => Object.keys(config.merchants).map(getMerchant);
+
+module.exports = {
+  getMerchant,
+  listMerchants
+};
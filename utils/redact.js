@@ -0,0 +1,37 @@
+// Credentials in request and response bodies that must never be written to the logs
+const SECRET_FIELDS = ['private_key', 'privatekey'];
+
+/**
+ * Parse a JSON object or array serialized into a string (request bodies once axios has sent them)
+ * @param {*} value - Any value
+ * @returns {*} Parsed value, or the value itself when it isn't serialized JSON
+ */
+const parseSerialized = (value) => {
+  if (typeof value !== 'string' || !/^\s*[{[]/.test(value)) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Format a request/response body or an axios error for the logs with credentials replaced,
+ * including inside bodies nested as JSON strings
+ * @param {Object|string} data - Body as an object or a JSON string, or an error
+ * @returns {string} Pretty-printed data with secret fields shown as [REDACTED]
+ */
+const redactForLog = (data) => {
+  const body = parseSerialized(data);
+  if (typeof body === 'string') {
+    return body;
+  }
+
+  return JSON.stringify(body, (key, value) => (SECRET_FIELDS.includes(key) ? '[REDACTED]' : parseSerialized(value)), 2);
+};
+
+module.exports = {
+  redactForLog
+};
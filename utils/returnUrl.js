@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { VALIDATION_CODES } = require('./validation');
+const { getMerchant } = require('./merchants');
+
+const SIGNATURE_PARAM = 'return_sig';
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Read a query parameter from a success/cancel page request.
+ * Some clients HTML-escape the URL they were given, turning `&return_url=` into `&amp;return_url=`;
+ * exactly that `amp;` prefix is accepted, nothing looser. Repeated parameters are rejected.
+ * @param {Object} query - Parsed request query
+ * @param {string} name - Parameter name
+ * @returns {string|null} Parameter value
+ */
+const getQueryParam = (query, name) => {
+  const value = query[name] !== undefined ? query[name] : query[`amp;${name}`];
+  return typeof value === 'string' ? value : null;
+};
+
+/**
+ * Get the origin of a URL
+ * @param {string} url - URL
+ * @returns {string|null} Origin, or null for unparseable URLs
+ */
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the origins return URLs may point to for a merchant
+ * Besides RETURN_URL_ORIGINS, a merchant from MERCHANTS may return to its own domain, its
+ * returnUrlOrigins and the origins of its default return URLs.
+ * @param {string} merchantId - Merchant identifier (optional)
+ * @returns {Array<string>} Allowed origins
+ */
+const getAllowedOrigins = (merchantId = null) => {
+  const configured = config.redirects.allowedOrigins;
+  const origins = Array.isArray(configured)
+    ? configured
+    : [...(configured.default || []), ...((merchantId && configured[merchantId]) || [])];
+
+  const merchant = getMerchant(merchantId);
+  const merchantOrigins = merchant
+    ? [merchant.domainUrl, ...merchant.returnUrlOrigins, ...Object.values(merchant.returnUrls)].filter(Boolean)
+    : [];
+
+  return [config.domain.url, ...origins, ...merchantOrigins].map(originOf).filter(Boolean);
+};
+
+/**
+ * Check that a return URL uses http(s) and points to an allowed origin
+ * @param {string} url - Return URL
+ * @param {string} merchantId - Merchant identifier (optional)
+ * @returns {boolean} True if the browser may be sent there
+ */
+const isAllowedReturnUrl = (url, merchantId = null) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  return ALLOWED_PROTOCOLS.includes(parsed.protocol) && getAllowedOrigins(merchantId).includes(parsed.origin);
+};
+
+/**
+ * Sign a return URL for one order
+ * @param {string} returnUrl - Return URL
+ * @param {string} orderId - Order the URL belongs to
+ * @returns {string|null} Signature, or null when no signing secret is configured
+ */
+const signReturnUrl = (returnUrl, orderId) => {
+  if (!config.redirects.signingSecret) {
+    console.warn('⚠️ RETURN_URL_SECRET is not configured, return URLs are not signed');
+    return null;
+  }
+
+  return crypto
+    .createHmac('sha256', config.redirects.signingSecret)
+    .update(`${orderId}.${returnUrl}`)
+    .digest('base64url');
+};
+
+/**
+ * Verify the signature of a return URL
+ * @param {string} returnUrl - Return URL
+ * @param {string} orderId - Order the URL claims to belong to
+ * @param {string} signature - Signature from the query
+ * @returns {boolean} True if the signature matches
+ */
+const verifyReturnUrl = (returnUrl, orderId, signature) => {
+  const expected = signReturnUrl(returnUrl, orderId || '');
+  if (!expected || !signature) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Append a signed return_url to one of our success/cancel page URLs
+ * @param {string} pageUrl - Page URL that already carries order_id
+ * @param {string} returnUrl - Merchant return URL
+ * @param {string} orderId - Order identifier
+ * @returns {string} Page URL with return_url and its signature
+ */
+const withSignedReturnUrl = (pageUrl, returnUrl, orderId) => {
+  const signature = signReturnUrl(returnUrl, orderId);
+  return `${pageUrl}&return_url=${encodeURIComponent(returnUrl)}` +
+    (signature ? `&${SIGNATURE_PARAM}=${signature}` : '');
+};
+
+/**
+ * Determine where a success/cancel page may send the browser.
+ * The return_url must carry a valid signature for the order and still point to an allowed origin;
+ * anything else falls back to the safe default.
+ * @param {Object} query - Parsed request query
+ * @param {Object} options - Lookup options
+ * @param {string} options.merchantId - Merchant of the order (optional)
+ * @returns {Object} `{ returnUrl, rejected, reason }`; returnUrl is null when there is nowhere safe to go back to
+ */
+const resolveReturnUrl = (query, { merchantId = null } = {}) => {
+  const returnUrl = getQueryParam(query, 'return_url');
+  if (!returnUrl) {
+    return { returnUrl: null, rejected: false, reason: null };
+  }
+
+  const orderId = getQueryParam(query, 'order_id');
+  if (!verifyReturnUrl(returnUrl, orderId, getQueryParam(query, SIGNATURE_PARAM))) {
+    return { returnUrl: null, rejected: true, reason: 'invalid or missing signature' };
+  }
+
+  if (!isAllowedReturnUrl(returnUrl, merchantId)) {
+    return { returnUrl: null, rejected: true, reason: 'origin not allowed' };
+  }
+
+  return { returnUrl, rejected: false, reason: null };
+};
+
+/**
+ * Validate the return URLs of an invoice request against the merchant's allowed origins
+ * @param {Object} urls - Return URLs keyed by field name (successUrl, failureUrl, cancelUrl)
+ * @param {string} merchantId - Merchant identifier (optional)
+ * @returns {Array<Object>} Field errors as `{ field, code, message }`
+ */
+const returnUrlErrors = (urls, merchantId = null) => {
+  return Object.entries(urls)
+    .filter(([, url]) => url && !isAllowedReturnUrl(url, merchantId))
+    .map(([field, url]) => ({
+      field,
+      code: VALIDATION_CODES.UNSUPPORTED,
+      message: `${field} origin ${originOf(url) || url} is not an allowed return URL origin`
+    }));
+};
+
+module.exports = {
+  SIGNATURE_PARAM,
+  getQueryParam,
+  getAllowedOrigins,
+  isAllowedReturnUrl,
+  signReturnUrl,
+  verifyReturnUrl,
+  withSignedReturnUrl,
+  resolveReturnUrl,
+  returnUrlErrors
+};
@@ -0,0 +1,147 @@
+/**
+ * Declarative schemas for request bodies, queries and webhook payloads, checked with validateSchema
+ */
+
+const { REVIEW_RESOLUTIONS } = require('../services/InvoiceStore');
+
+// Order identifiers are echoed in URLs and downstream notifications, so keep them URL-safe
+const ORDER_ID_RULE = {
+  type: 'string',
+  maxLength: 64,
+  pattern: /^[A-Za-z0-9_.:-]+$/,
+  patternMessage: 'may only contain letters, digits and _ . : -'
+};
+
+const PROVIDER_RULE = { type: 'string', maxLength: 32 };
+const MERCHANT_ID_RULE = { type: 'string', maxLength: 64 };
+const INVOICE_ID_RULE = { type: 'string', maxLength: 128 };
+
+const createInvoiceSchema = {
+  fields: {
+    priceAmount: { type: 'amount', required: true, currencyField: 'priceCurrency', defaultCurrency: 'USD' },
+    priceCurrency: { type: 'currency' },
+    orderId: ORDER_ID_RULE,
+    orderDescription: { type: 'string', maxLength: 255 },
+    customerEmail: { type: 'email' },
+    successUrl: { type: 'url' },
+    failureUrl: { type: 'url' },
+    cancelUrl: { type: 'url' },
+    provider: PROVIDER_RULE,
+    merchantId: MERCHANT_ID_RULE
+  }
+};
+
+const getInvoicesQuerySchema = {
+  fields: {
+    orderId: ORDER_ID_RULE,
+    invoiceId: INVOICE_ID_RULE,
+    provider: PROVIDER_RULE,
+    merchantId: MERCHANT_ID_RULE
+  },
+  requireOneOf: ['orderId', 'invoiceId']
+};
+
+const topUpSchema = {
+  fields: {
+    successUrl: { type: 'url' },
+    failureUrl: { type: 'url' },
+    cancelUrl: { type: 'url' }
+  }
+};
+
+const providerQuerySchema = {
+  fields: {
+    provider: PROVIDER_RULE,
+    merchantId: MERCHANT_ID_RULE
+  }
+};
+
+const withdrawalSchema = {
+  fields: {
+    currency: { type: 'currency', required: true },
+    amount: { type: 'amount', required: true, currencyField: 'currency' },
+    address: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    tag: { type: 'string', maxLength: 64 },
+    provider: PROVIDER_RULE,
+    merchantId: MERCHANT_ID_RULE
+  }
+};
+
+const getWithdrawalsQuerySchema = {
+  fields: {
+    withdrawId: { type: 'string', maxLength: 128 },
+    provider: PROVIDER_RULE,
+    merchantId: MERCHANT_ID_RULE
+  }
+};
+
+const subscriberSchema = {
+  fields: {
+    url: { type: 'url', required: true },
+    secret: { type: 'string', maxLength: 255 },
+    events: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 64 } },
+    description: { type: 'string', maxLength: 255 },
+    enabled: { type: 'boolean' },
+    merchantId: MERCHANT_ID_RULE
+  }
+};
+
+const apiKeySchema = {
+  fields: {
+    name: { type: 'string', required: true, maxLength: 64 },
+    merchantId: MERCHANT_ID_RULE,
+    merchantIds: { type: 'array', maxItems: 50, items: MERCHANT_ID_RULE }
+  }
+};
+
+const deliveriesQuerySchema = {
+  fields: {
+    status: { type: 'string', enum: ['dead', 'pending', 'delivered', 'all'] }
+  }
+};
+
+const reconciliationReportsQuerySchema = {
+  fields: {
+    limit: { type: 'string', pattern: /^[1-9][0-9]?$/, patternMessage: 'must be a number between 1 and 99' }
+  }
+};
+
+const invoiceReviewSchema = {
+  fields: {
+    resolution: { type: 'string', required: true, enum: REVIEW_RESOLUTIONS },
+    note: { type: 'string', maxLength: 500 }
+  }
+};
+
+// PayID19 callback payload; amounts are reported by the gateway, so only their format is checked
+const payid19CallbackSchema = {
+  fields: {
+    order_id: { type: 'id', required: true, maxLength: 128 },
+    invoice_id: { type: 'id', maxLength: 128 },
+    id: { type: 'id', maxLength: 128 },
+    status: { type: 'id', maxLength: 32 },
+    pay_address: { type: 'string', maxLength: 255 },
+    address: { type: 'string', maxLength: 255 },
+    price_amount: { type: 'amount', positive: false },
+    pay_amount: { type: 'amount', positive: false },
+    amount: { type: 'amount', positive: false },
+    actually_paid: { type: 'amount', positive: false },
+    actually_paid_at_fiat: { type: 'amount', positive: false }
+  },
+  requireOneOf: ['invoice_id', 'id']
+};
+
+module.exports = {
+  createInvoiceSchema,
+  getInvoicesQuerySchema,
+  topUpSchema,
+  providerQuerySchema,
+  withdrawalSchema,
+  getWithdrawalsQuerySchema,
+  subscriberSchema,
+  deliveriesQuerySchema,
+  reconciliationReportsQuerySchema,
+  invoiceReviewSchema,
+  apiKeySchema,
+  payid19CallbackSchema
+};
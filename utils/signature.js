@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+// Header names carried by every outgoing notification
+const SIGNATURE_HEADER = 'X-Signature';
+const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+
+/**
+ * Compare two secrets in constant time.
+ * Both values are hashed first, so neither their content nor their length leaks through timing.
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} True if both secrets are equal
+ */
+const secretsMatch = (a, b) => {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+};
+
+/**
+ * Compare two hex encoded signatures in constant time
+ * @param {string} received - Signature received, optionally prefixed with `sha256=`
+ * @param {string} expected - Signature computed locally
+ * @returns {boolean} True if the signatures are equal
+ */
+const signaturesMatch = (received, expected) => {
+  const receivedBuffer = Buffer.from(String(received || '').replace(/^sha256=/i, ''), 'hex');
+  const expectedBuffer = Buffer.from(String(expected || ''), 'hex');
+  return expectedBuffer.length > 0 && receivedBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+/**
+ * Sort object keys recursively for consistent signature generation
+ * @param {*} obj - Value to sort
+ * @returns {*} Value with sorted object keys
+ */
+const sortObjectKeys = (obj) => {
+  if (obj === null || typeof obj !== 'object') {
+    return obj;
+  }
+
+  if (Array.isArray(obj)) {
+    return obj.map(item => sortObjectKeys(item));
+  }
+
+  const sorted = {};
+  Object.keys(obj).sort().forEach(key => {
+    sorted[key] = sortObjectKeys(obj[key]);
+  });
+
+  return sorted;
+};
+
+/**
+ * Serialize a payload to its canonical JSON form (recursively sorted keys, no whitespace)
+ * @param {Object|string} payload - Payload object, or an already serialized JSON body
+ * @returns {string} Canonical JSON string
+ */
+const canonicalize = (payload) => {
+  const value = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  return JSON.stringify(sortObjectKeys(value));
+};
+
+/**
+ * Compute the HMAC-SHA256 signature of a payload
+ * The signed message is `<timestamp>.<canonical JSON>`
+ * @param {Object|string} payload - Payload object or JSON body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} Hex encoded signature
+ */
+const computeSignature = (payload, secret, timestamp) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${canonicalize(payload)}`)
+    .digest('hex');
+};
+
+/**
+ * Sign a payload for delivery
+ * @param {Object} payload - Notification payload
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix timestamp in seconds (defaults to now)
+ * @returns {Object} Canonical body and the headers to send with it
+ */
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const body = canonicalize(payload);
+  return {
+    body,
+    headers: {
+      [SIGNATURE_HEADER]: `sha256=${computeSignature(body, secret, timestamp)}`,
+      [TIMESTAMP_HEADER]: String(timestamp)
+    }
+  };
+};
+
+/**
+ * Verify a notification signature. Intended for downstream consumers.
+ *
+ * Example (Express):
+ *   const { verifySignature } = require('./utils/signature');
+ *   const valid = verifySignature({
+ *     payload: req.body,
+ *     signature: req.get('X-Signature'),
+ *     timestamp: req.get('X-Signature-Timestamp'),
+ *     secret: process.env.WEBHOOK_SECRET
+ *   });
+ *
+ * @param {Object} options - Verification options
+ * @param {Object|string} options.payload - Parsed body or raw JSON body
+ * @param {string} options.signature - Value of the X-Signature header
+ * @param {string|number} options.timestamp - Value of the X-Signature-Timestamp header
+ * @param {string} options.secret - Shared secret
+ * @param {number} options.toleranceSeconds - Maximum accepted age of the timestamp (default 300, 0 disables)
+ * @returns {boolean} True if the signature is valid and the timestamp is fresh
+ */
+const verifySignature = ({ payload, signature, timestamp, secret, toleranceSeconds = 300 }) => {
+  if (!payload || !signature || !timestamp || !secret) {
+    return false;
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (isNaN(timestampSeconds)) {
+    return false;
+  }
+
+  if (toleranceSeconds > 0 && Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds) > toleranceSeconds) {
+    return false;
+  }
+
+  return signaturesMatch(signature, computeSignature(payload, secret, timestampSeconds));
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  secretsMatch,
+  signaturesMatch,
+  sortObjectKeys,
+  canonicalize,
+  computeSignature,
+  signPayload,
+  verifySignature
+};
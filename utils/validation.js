@@ -1,3 +1,5 @@
+const config = require('../config');
+
 /**
  * URL validation utility function
  * @param {string} url - The URL to validate
@@ -16,34 +18,233 @@ const urlValidation = (url, fieldName) => {
 };
 
 /**
- * Price amount validation utility function
- * @param {number|string} priceAmount - The price amount to validate
- * @param {string} fieldName - The name of the field being validated (for error messages)
- * @returns {string|null} - Error message if invalid, null if valid
+ * Error codes reported by validateSchema
  */
-const priceAmountValidation = (priceAmount, fieldName = 'priceAmount') => {
-  // Check if priceAmount is provided
-  if (!priceAmount) {
-    return `${fieldName} is required`;
-  }
+const VALIDATION_CODES = {
+  REQUIRED: 'required',
+  TYPE: 'invalid_type',
+  FORMAT: 'invalid_format',
+  TOO_LONG: 'too_long',
+  TOO_SHORT: 'too_short',
+  OUT_OF_RANGE: 'out_of_range',
+  PRECISION: 'too_many_decimals',
+  UNSUPPORTED: 'unsupported_value'
+};
 
-  // Convert to number if it's a string
-  const numericAmount = typeof priceAmount === 'string' ? parseFloat(priceAmount) : priceAmount;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
 
-  // Check if it's a valid number
-  if (isNaN(numericAmount)) {
-    return `${fieldName} must be a valid number`;
+/**
+ * Check whether a value counts as missing
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Write a number or numeric string as a plain decimal string (no exponent)
+ * @param {number|string} value - Numeric value
+ * @returns {string|null} Decimal string, or null if the value isn't a non-negative decimal
+ */
+const toDecimalString = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      return null;
+    }
+    const text = String(value);
+    return text.includes('e') ? value.toFixed(20).replace(/\.?0+$/, '') : text;
   }
 
-  // Check if it's greater than 0
-  if (numericAmount <= 0) {
-    return `${fieldName} must be greater than 0`;
+  if (typeof value === 'string' && DECIMAL_PATTERN.test(value.trim())) {
+    return value.trim();
   }
 
   return null;
 };
 
+/**
+ * Get the decimal precision allowed for a currency
+ * @param {string} currency - Currency code
+ * @returns {number|undefined} Number of decimals, undefined for unknown currencies
+ */
+const currencyDecimals = (currency) => {
+  if (typeof currency !== 'string') {
+    return undefined;
+  }
+  return config.currencies.decimals[currency.trim().toUpperCase()];
+};
+
+/**
+ * Field validators keyed by rule type. Each returns `{ code, message }` or null.
+ */
+const typeValidators = {
+  string: (value, rule, field) => {
+    if (typeof value !== 'string') {
+      return { code: VALIDATION_CODES.TYPE, message: `${field} must be a string` };
+    }
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      return { code: VALIDATION_CODES.TOO_SHORT, message: `${field} must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { code: VALIDATION_CODES.TOO_LONG, message: `${field} must be at most ${rule.maxLength} characters` };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { code: VALIDATION_CODES.FORMAT, message: `${field} ${rule.patternMessage || 'has an invalid format'}` };
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return { code: VALIDATION_CODES.UNSUPPORTED, message: `${field} must be one of: ${rule.enum.join(', ')}` };
+    }
+    return null;
+  },
+
+  // Identifiers sent by gateways may be strings or numbers
+  id: (value, rule, field) => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return null;
+    }
+    return typeValidators.string(value, rule, field);
+  },
+
+  boolean: (value, rule, field) => {
+    if (typeof value !== 'boolean') {
+      return { code: VALIDATION_CODES.TYPE, message: `${field} must be true or false` };
+    }
+    return null;
+  },
+
+  email: (value, rule, field) => {
+    if (typeof value !== 'string' || value.length > 254 || !EMAIL_PATTERN.test(value)) {
+      return { code: VALIDATION_CODES.FORMAT, message: `${field} must be a valid email address` };
+    }
+    return null;
+  },
+
+  url: (value, rule, field) => {
+    if (typeof value !== 'string' || urlValidation(value, field)) {
+      return { code: VALIDATION_CODES.FORMAT, message: `${field} must be a valid URL` };
+    }
+    if (!['http:', 'https:'].includes(new URL(value).protocol)) {
+      return { code: VALIDATION_CODES.FORMAT, message: `${field} must be an http or https URL` };
+    }
+    return typeValidators.string(value, { maxLength: rule.maxLength || 2048 }, field);
+  },
+
+  currency: (value, rule, field) => {
+    if (typeof value !== 'string') {
+      return { code: VALIDATION_CODES.TYPE, message: `${field} must be a currency code` };
+    }
+    if (currencyDecimals(value) === undefined) {
+      return { code: VALIDATION_CODES.UNSUPPORTED, message: `${field} ${value} is not a supported currency` };
+    }
+    return null;
+  },
+
+  // Positive amount; `currencyField` names the sibling field whose currency sets the allowed precision
+  amount: (value, rule, field, data) => {
+    const decimal = toDecimalString(value);
+    if (decimal === null) {
+      return { code: VALIDATION_CODES.TYPE, message: `${field} must be a valid number` };
+    }
+    if (rule.positive !== false && !(parseFloat(decimal) > 0)) {
+      return { code: VALIDATION_CODES.OUT_OF_RANGE, message: `${field} must be greater than 0` };
+    }
+
+    const currency = rule.currencyField ? (data[rule.currencyField] || rule.defaultCurrency) : rule.currency;
+    const decimals = currencyDecimals(currency);
+    const fraction = decimal.split('.')[1] || '';
+    if (decimals !== undefined && fraction.replace(/0+$/, '').length > decimals) {
+      return {
+        code: VALIDATION_CODES.PRECISION,
+        message: `${field} allows at most ${decimals} decimals for ${String(currency).toUpperCase()}`
+      };
+    }
+    return null;
+  },
+
+  array: (value, rule, field) => {
+    if (!Array.isArray(value)) {
+      return { code: VALIDATION_CODES.TYPE, message: `${field} must be an array` };
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { code: VALIDATION_CODES.TOO_LONG, message: `${field} must have at most ${rule.maxItems} items` };
+    }
+    if (rule.items) {
+      for (const item of value) {
+        const error = validateField(item, rule.items, `${field}[]`, {});
+        if (error) {
+          return error;
+        }
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * Validate a single value against a rule
+ * @param {*} value - Value to validate
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field name (for error messages)
+ * @param {Object} data - All fields, for rules depending on sibling fields
+ * @returns {Object|null} `{ code, message }` or null if valid
+ */
+const validateField = (value, rule, field, data) => {
+  if (isMissing(value)) {
+    return rule.required ? { code: VALIDATION_CODES.REQUIRED, message: `${field} is required` } : null;
+  }
+
+  const validator = typeValidators[rule.type || 'string'];
+  if (!validator) {
+    throw new Error(`Unknown validation rule type: ${rule.type}`);
+  }
+  return validator(value, rule, field, data);
+};
+
+/**
+ * Validate data against a declarative schema and collect every field error.
+ * A schema lists its fields as `{ fieldName: { type, required, ...rule options } }` and may require
+ * at least one of several fields through `requireOneOf`. Fields not listed in the schema are ignored.
+ * @param {Object} schema - `{ fields, requireOneOf }`
+ * @param {Object} data - Request body, query or webhook payload
+ * @returns {Array<Object>} Field errors as `{ field, code, message }`, empty when valid
+ */
+const validateSchema = (schema, data) => {
+  const values = data && typeof data === 'object' ? data : {};
+  const errors = [];
+
+  Object.entries(schema.fields || {}).forEach(([field, rule]) => {
+    const error = validateField(values[field], rule, field, values);
+    if (error) {
+      errors.push({ field, ...error });
+    }
+  });
+
+  if (schema.requireOneOf && schema.requireOneOf.every(field => isMissing(values[field]))) {
+    errors.push({
+      field: schema.requireOneOf.join('|'),
+      code: VALIDATION_CODES.REQUIRED,
+      message: `${schema.requireOneOf.join(' or ')} is required`
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Build the error response body for failed validation
+ * @param {Array<Object>} errors - Field errors from validateSchema
+ * @returns {Object} `{ error, message, errors }`
+ */
+const validationErrorResponse = (errors) => ({
+  error: 'Validation Error',
+  message: errors.map(error => error.message).join('; '),
+  errors
+});
+
 module.exports = {
   urlValidation,
-  priceAmountValidation
+  validateSchema,
+  validationErrorResponse,
+  currencyDecimals,
+  VALIDATION_CODES
 };
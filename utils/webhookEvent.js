@@ -0,0 +1,51 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Pick the first defined value
+ * @param {...*} values - Candidate values
+ * @returns {*} First value that is neither undefined nor null, or null
+ */
+const firstDefined = (...values) => {
+  const value = values.find(item => item !== undefined && item !== null);
+  return value === undefined ? null : value;
+};
+
+/**
+ * Build the normalized event sent to downstream consumers.
+ * Only whitelisted fields are copied, so gateway credentials such as `privatekey` never leave the service.
+ * @param {Object} invoice - Invoice record from the invoice store
+ * @param {Object} callbackData - Processed PayID19 callback data (optional)
+ * @param {Object} options - Event options
+ * @param {string} options.type - Event type (default invoice.updated)
+ * @param {string} options.previousStatus - Status before this event (optional)
+ * @param {string} options.id - Event ID, e.g. the lifecycle event's (generated when omitted)
+ * @returns {Object} Normalized event
+ */
+const buildInvoiceEvent = (invoice, callbackData = {}, { type = 'invoice.updated', previousStatus = null, id = null } = {}) => {
+  return {
+    id: id || `evt_${uuidv4()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data: {
+      invoiceId: invoice.invoiceId,
+      orderId: invoice.orderId,
+      merchantId: firstDefined(invoice.merchantId),
+      status: invoice.status,
+      previousStatus,
+      priceAmount: firstDefined(invoice.priceAmount, callbackData.price_amount),
+      priceCurrency: firstDefined(invoice.priceCurrency, callbackData.price_currency),
+      payAmount: firstDefined(invoice.payAmount, callbackData.pay_amount),
+      payCurrency: firstDefined(invoice.payCurrency, callbackData.pay_currency),
+      actuallyPaid: firstDefined(callbackData.actually_paid),
+      actuallyPaidAtFiat: firstDefined(callbackData.actually_paid_at_fiat),
+      purchaseId: firstDefined(callbackData.purchase_id),
+      createdAt: firstDefined(invoice.createdAt),
+      expiresAt: firstDefined(invoice.expiresAt),
+      payment: firstDefined(invoice.payment)
+    }
+  };
+};
+
+module.exports = {
+  buildInvoiceEvent
+};